@@ -3,6 +3,7 @@ import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from './context/AuthContext';
 import NavBar from './components/NavBar';
 import Footer from './components/Footer';
+import VerifyEmailBanner from './components/VerifyEmailBanner';
 import { Toaster } from 'sonner';
 import { Loader2 } from 'lucide-react';
 import clsx from 'clsx';
@@ -17,6 +18,14 @@ const ApplicantDashboard = lazy(() => import('./pages/ApplicantDashboard'));
 const ApplicantsList = lazy(() => import('./pages/ApplicantsList'));
 const Notifications = lazy(() => import('./pages/Notifications'));
 const ProfileEditor = lazy(() => import('./pages/ProfileEditor'));
+const MyApplications = lazy(() => import('./pages/MyApplications'));
+const Sessions = lazy(() => import('./pages/Sessions'));
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
+const ResetPassword = lazy(() => import('./pages/ResetPassword'));
+const VerifyEmail = lazy(() => import('./pages/VerifyEmail'));
+const CandidateSearch = lazy(() => import('./pages/CandidateSearch'));
+const SavedSearches = lazy(() => import('./pages/SavedSearches'));
+const SavedJobs = lazy(() => import('./pages/SavedJobs'));
 
 // Scroll-to-top on route change
 function ScrollToTop() {
@@ -71,6 +80,7 @@ export default function App() {
 
       <div className="min-h-screen flex flex-col">
         <NavBar />
+        <VerifyEmailBanner />
 
         <main className="flex-1 app-container py-8">
           <Suspense fallback={<Loader />}>
@@ -89,6 +99,9 @@ export default function App() {
 
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
 
               <Route
                 path="/dashboard"
@@ -99,6 +112,15 @@ export default function App() {
                 }
               />
 
+              <Route
+                path="/candidates"
+                element={
+                  <RequireAuth roles={['recruiter', 'admin']}>
+                    <CandidateSearch />
+                  </RequireAuth>
+                }
+              />
+
               <Route
                 path="/jobs/:id/applicants"
                 element={
@@ -108,6 +130,33 @@ export default function App() {
                 }
               />
 
+              <Route
+                path="/applications"
+                element={
+                  <RequireAuth roles={['seeker']}>
+                    <MyApplications />
+                  </RequireAuth>
+                }
+              />
+
+              <Route
+                path="/saved"
+                element={
+                  <RequireAuth roles={['seeker']}>
+                    <SavedJobs />
+                  </RequireAuth>
+                }
+              />
+
+              <Route
+                path="/alerts"
+                element={
+                  <RequireAuth roles={['seeker']}>
+                    <SavedSearches />
+                  </RequireAuth>
+                }
+              />
+
               <Route
                 path="/notifications"
                 element={
@@ -126,6 +175,15 @@ export default function App() {
                 }
               />
 
+              <Route
+                path="/sessions"
+                element={
+                  <RequireAuth>
+                    <Sessions />
+                  </RequireAuth>
+                }
+              />
+
               {/* Fallback */}
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
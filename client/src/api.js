@@ -1,25 +1,91 @@
 import axios from 'axios';
 
+const AUTH_KEY = 'jobmug_auth';
+// Fired when the session can no longer be refreshed; AuthContext listens and signs the user out
+export const AUTH_EXPIRED_EVENT = 'jobmug:auth-expired';
+
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_BASE_URL || ''
+  baseURL: import.meta.env.VITE_API_BASE_URL || '',
   // When using the Vite proxy, baseURL can be empty and /api/... will be proxied.
+  // Credentials are needed for the httpOnly refresh-token cookie.
+  withCredentials: true
 });
 
+function readAuth() {
+  try {
+    const raw = localStorage.getItem(AUTH_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
 // Attach token when available
 api.interceptors.request.use((config) => {
-  try {
-    const raw = localStorage.getItem('jobmug_auth');
-    if (raw) {
-      const { token } = JSON.parse(raw);
-      if (token) {
-        config.headers = config.headers || {};
-        config.headers.Authorization = `Bearer ${token}`;
-      }
-    }
-  } catch (e) {
-    // ignore parse errors
+  const auth = readAuth();
+  if (auth?.token) {
+    config.headers = config.headers || {};
+    config.headers.Authorization = `Bearer ${auth.token}`;
   }
   return config;
 });
 
-export default api;
\ No newline at end of file
+// Auth endpoints that must never trigger a refresh themselves
+const NO_REFRESH_PATHS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+let refreshPromise = null;
+
+// Exchange the refresh cookie for a new access token. Concurrent callers share one request.
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post('/api/auth/refresh')
+      .then((res) => {
+        const { token, user } = res.data;
+        localStorage.setItem(AUTH_KEY, JSON.stringify({ token, user }));
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+// On 401, refresh the access token once and replay the request
+api.interceptors.response.use(
+  (res) => res,
+  async (error) => {
+    const config = error.config;
+    const status = error.response?.status;
+    if (
+      status !== 401 ||
+      !config ||
+      config._retried ||
+      NO_REFRESH_PATHS.some((p) => (config.url || '').startsWith(p)) ||
+      !readAuth()?.token
+    ) {
+      return Promise.reject(error);
+    }
+
+    config._retried = true;
+    const sentAuth = config.headers?.Authorization;
+    try {
+      const token = await refreshAccessToken();
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch {
+      // Another tab may have rotated the token first; retry with whatever it stored
+      const current = readAuth()?.token;
+      if (current && `Bearer ${current}` !== sentAuth) {
+        config.headers.Authorization = `Bearer ${current}`;
+        return api(config);
+      }
+      localStorage.removeItem(AUTH_KEY);
+      window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+      return Promise.reject(error);
+    }
+  }
+);
+
+export default api;
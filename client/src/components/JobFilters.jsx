@@ -0,0 +1,304 @@
+import React, { useEffect, useState } from "react";
+import clsx from "clsx";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import LocationInput from "./LocationInput";
+import { CURRENCIES, PAY_PERIODS } from "../lib/salary";
+
+const TYPE_LABELS = {
+  "full-time": "Full-time",
+  "part-time": "Part-time",
+  contract: "Contract",
+  internship: "Internship",
+  temporary: "Temporary",
+};
+
+const EXPERIENCE_LABELS = {
+  entry: "Entry (0–1 yrs)",
+  mid: "Mid (2–4 yrs)",
+  senior: "Senior (5–9 yrs)",
+  lead: "Lead (10+ yrs)",
+};
+
+const RADIUS_OPTIONS = ["10", "25", "50", "100", "250"];
+
+const POSTED_OPTIONS = [
+  ["", "Any time"],
+  ["1", "Last 24 hours"],
+  ["3", "Last 3 days"],
+  ["7", "Last 7 days"],
+  ["30", "Last 30 days"],
+];
+
+function listParam(params, key) {
+  return (params.get(key) || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+// Text filter that updates the URL on Enter or blur rather than on every keystroke
+function CommitInput({ value, onCommit, as, ...props }) {
+  const Field = as || Input;
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+
+  function commit() {
+    if (draft.trim() !== value) onCommit(draft.trim());
+  }
+
+  return (
+    <Field
+      {...props}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          commit();
+        }
+      }}
+    />
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-semibold">{title}</h4>
+      {children}
+    </div>
+  );
+}
+
+// Checkbox per facet value; selected values stay listed even when no job matches them
+function FacetList({ name, options = [], selected, labels = {}, onToggle, max = 8 }) {
+  const [expanded, setExpanded] = useState(false);
+  const values = [
+    ...options,
+    ...selected.filter((s) => !options.some((o) => String(o.value) === s)).map((s) => ({ value: s, count: 0 })),
+  ];
+  if (!values.length) return <p className="text-xs text-muted-foreground">No options</p>;
+  const shown = expanded ? values : values.slice(0, max);
+
+  return (
+    <ul className="space-y-1">
+      {shown.map((o) => {
+        const value = String(o.value);
+        const checked = selected.includes(value);
+        return (
+          <li key={value}>
+            <label className={clsx("flex items-center gap-2 text-sm", !checked && !o.count && "text-muted-foreground")}>
+              <Checkbox checked={checked} onCheckedChange={() => onToggle(value)} aria-label={`${name}: ${value}`} />
+              <span className="flex-1 truncate">{labels[value] || value}</span>
+              <span className="text-xs text-muted-foreground">{o.count}</span>
+            </label>
+          </li>
+        );
+      })}
+      {values.length > max && (
+        <li>
+          <button type="button" className="text-xs text-primary hover:underline" onClick={() => setExpanded((e) => !e)}>
+            {expanded ? "Show less" : `Show all ${values.length}`}
+          </button>
+        </li>
+      )}
+    </ul>
+  );
+}
+
+// Filter sidebar for the job listing; every filter lives in the URL (params) and counts come from /api/jobs/facets
+export default function JobFilters({ params, facets, onChange, onReset }) {
+  const f = facets || {};
+  const remoteCounts = Object.fromEntries((f.remote || []).map((o) => [String(o.value), o.count]));
+  const remote = params.get("remote") || "";
+  const tags = [...new Set([...listParam(params, "tags"), ...listParam(params, "tag")])];
+
+  function toggle(key, value, current = listParam(params, key), extra = {}) {
+    const next = current.includes(value) ? current.filter((v) => v !== value) : [...current, value];
+    onChange({ ...extra, [key]: next.join(",") });
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Filters</h3>
+        <Button variant="ghost" size="sm" onClick={onReset}>
+          Clear all
+        </Button>
+      </div>
+
+      <Section title="Work setting">
+        {[
+          ["true", "Remote"],
+          ["false", "On-site"],
+        ].map(([value, label]) => (
+          <label key={value} className="flex items-center gap-2 text-sm">
+            <Checkbox checked={remote === value} onCheckedChange={(c) => onChange({ remote: c ? value : "" })} />
+            <span className="flex-1">{label}</span>
+            <span className="text-xs text-muted-foreground">{remoteCounts[value] || 0}</span>
+          </label>
+        ))}
+      </Section>
+
+      <Section title="Job type">
+        <FacetList
+          name="Job type"
+          options={f.type}
+          selected={listParam(params, "type")}
+          labels={TYPE_LABELS}
+          onToggle={(v) => toggle("type", v)}
+        />
+      </Section>
+
+      <Section title="Experience level">
+        <FacetList
+          name="Experience level"
+          options={f.experience}
+          selected={listParam(params, "experience")}
+          labels={EXPERIENCE_LABELS}
+          onToggle={(v) => toggle("experience", v)}
+        />
+      </Section>
+
+      <Section title="Near">
+        <CommitInput
+          as={LocationInput}
+          value={params.get("near") || ""}
+          onCommit={(v) => onChange({ near: v })}
+          placeholder="City, or lat,lng"
+          aria-label="Near"
+        />
+        <select
+          aria-label="Radius"
+          className="form-field w-full"
+          value={params.get("radius") || "25"}
+          onChange={(e) => onChange({ radius: e.target.value === "25" ? "" : e.target.value })}
+          disabled={!params.get("near")}
+        >
+          {RADIUS_OPTIONS.map((km) => (
+            <option key={km} value={km}>
+              Within {km} km
+            </option>
+          ))}
+        </select>
+      </Section>
+
+      <Section title="Location">
+        <CommitInput
+          value={params.get("location") || ""}
+          onCommit={(v) => onChange({ location: v })}
+          placeholder="City or country"
+          aria-label="Location"
+        />
+        <ul className="space-y-1">
+          {(f.location || []).slice(0, 6).map((o) => (
+            <li key={o.value}>
+              <button
+                type="button"
+                className={clsx(
+                  "flex w-full items-center justify-between text-left text-sm hover:underline",
+                  params.get("location") === o.value && "font-semibold"
+                )}
+                onClick={() => onChange({ location: params.get("location") === o.value ? "" : o.value })}
+              >
+                <span className="truncate">{o.value}</span>
+                <span className="text-xs text-muted-foreground">{o.count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </Section>
+
+      <Section title="Company">
+        <FacetList
+          name="Company"
+          options={f.company}
+          selected={listParam(params, "company")}
+          onToggle={(v) => toggle("company", v)}
+        />
+      </Section>
+
+      <Section title="Skills & tags">
+        <FacetList
+          name="Tag"
+          options={f.tag}
+          selected={tags}
+          // "tag" (single, from saved searches and older links) is folded into "tags"
+          onToggle={(v) => toggle("tags", v, tags, { tag: "" })}
+        />
+      </Section>
+
+      <Section title="Salary">
+        <div className="flex gap-2">
+          <div>
+            <Label htmlFor="filter-salary-min" className="text-xs">
+              Min
+            </Label>
+            <CommitInput
+              id="filter-salary-min"
+              type="number"
+              min={0}
+              value={params.get("salaryMin") || ""}
+              onCommit={(v) => onChange({ salaryMin: v })}
+            />
+          </div>
+          <div>
+            <Label htmlFor="filter-salary-max" className="text-xs">
+              Max
+            </Label>
+            <CommitInput
+              id="filter-salary-max"
+              type="number"
+              min={0}
+              value={params.get("salaryMax") || ""}
+              onCommit={(v) => onChange({ salaryMax: v })}
+            />
+          </div>
+        </div>
+        {/* Jobs paid in other currencies or periods are converted before comparing */}
+        <div className="flex gap-2">
+          <select
+            aria-label="Salary currency"
+            className="form-field w-full"
+            value={params.get("salaryCurrency") || "USD"}
+            onChange={(e) => onChange({ salaryCurrency: e.target.value })}
+          >
+            {CURRENCIES.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Salary period"
+            className="form-field w-full"
+            value={params.get("salaryPeriod") || "yearly"}
+            onChange={(e) => onChange({ salaryPeriod: e.target.value })}
+          >
+            {PAY_PERIODS.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </Section>
+
+      <Section title="Date posted">
+        <select
+          aria-label="Date posted"
+          className="form-field w-full"
+          value={params.get("postedWithin") || ""}
+          onChange={(e) => onChange({ postedWithin: e.target.value })}
+        >
+          {POSTED_OPTIONS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </Section>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "sonner";
+import L from "leaflet";
+import "leaflet.markercluster";
+import "leaflet/dist/leaflet.css";
+import "leaflet.markercluster/dist/MarkerCluster.css";
+import "leaflet.markercluster/dist/MarkerCluster.Default.css";
+import api from "../api";
+import { formatSalary } from "../lib/salary";
+import Card from "./Card";
+import { Button } from "@/components/ui/button";
+
+const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+// Wait for the map to settle before asking for the new viewport
+const MOVE_DELAY_MS = 300;
+const REMOTE_LIMIT = 20;
+
+const PIN_ICON = L.divIcon({
+  className: "",
+  html: '<span class="block h-4 w-4 rounded-full border-2 border-white bg-primary shadow"></span>',
+  iconSize: [16, 16],
+  iconAnchor: [8, 8],
+});
+
+function bboxOf(map) {
+  const b = map.getBounds();
+  return [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].map((v) => v.toFixed(4)).join(",");
+}
+
+function JobPreview({ job, onClose }) {
+  return (
+    <Card tight className="rounded-xl border border-border">
+      <div className="flex items-start justify-between gap-2">
+        <Link to={`/jobs/${job._id}`} className="font-semibold hover:underline">
+          {job.title}
+        </Link>
+        <button type="button" className="text-xs text-muted-foreground hover:underline" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <div className="text-sm text-muted-foreground mt-1">
+        {job.company} • {job.location} {job.isRemote && "• Remote"}
+      </div>
+      <div className="text-xs text-muted-foreground mt-1 capitalize">
+        {job.type}
+        {formatSalary(job.salaryRange) && ` • ${formatSalary(job.salaryRange)}`}
+      </div>
+      <div className="mt-3 flex items-center justify-between">
+        <span className="text-xs text-muted-foreground">
+          {new Date(job.postedAt || job.createdAt).toLocaleDateString()}
+        </span>
+        <Link to={`/jobs/${job._id}`}>
+          <Button size="sm">View job</Button>
+        </Link>
+      </div>
+    </Card>
+  );
+}
+
+// Map mode of the job listing: clustered pins from /api/jobs/map for the visible area, re-queried as the
+// map moves, plus remote jobs (which have no place to pin) listed alongside.
+// filterKey is the listing's query string; a new one refits the map to the matching jobs.
+export default function JobMapView({ filterKey }) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const clusterRef = useRef(null);
+  const filterKeyRef = useRef(filterKey);
+  filterKeyRef.current = filterKey;
+  // Viewport the map was moved to, for the filters it was moved under; until the map moves after a
+  // filter change, pins are fetched for everywhere and the map is fitted to them
+  const [viewport, setViewport] = useState({ filterKey, bbox: "" });
+  const bbox = viewport.filterKey === filterKey ? viewport.bbox : "";
+  const [pins, setPins] = useState({ meta: null, data: [] });
+  const [remoteJobs, setRemoteJobs] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const filters = Object.fromEntries(new URLSearchParams(filterKey));
+  const showRemote = filters.remote !== "false";
+
+  useEffect(() => {
+    const map = L.map(containerRef.current, { worldCopyJump: true }).setView([0, 20], 2);
+    L.tileLayer(TILE_URL, { attribution: TILE_ATTRIBUTION, maxZoom: 18 }).addTo(map);
+    const cluster = L.markerClusterGroup({ showCoverageOnHover: false });
+    map.addLayer(cluster);
+
+    let timer;
+    map.on("moveend", () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => setViewport({ filterKey: filterKeyRef.current, bbox: bboxOf(map) }), MOVE_DELAY_MS);
+    });
+
+    mapRef.current = map;
+    clusterRef.current = cluster;
+    return () => {
+      clearTimeout(timer);
+      map.remove();
+    };
+  }, []);
+
+  useEffect(() => setSelected(null), [filterKey]);
+
+  useEffect(() => {
+    let mounted = true;
+    async function load() {
+      const params = Object.fromEntries(new URLSearchParams(filterKey));
+      if (bbox) params.bbox = bbox;
+      setLoading(true);
+      try {
+        const res = await api.get("/api/jobs/map", { params });
+        if (!mounted) return;
+        setPins(res.data);
+        const points = res.data.data.map((j) => [j.point[1], j.point[0]]);
+        if (!bbox && points.length) mapRef.current.fitBounds(points, { padding: [30, 30], maxZoom: 12 });
+      } catch (err) {
+        if (mounted) toast.error(err.response?.data?.error || "Failed to load map");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    }
+    load();
+    return () => (mounted = false);
+  }, [filterKey, bbox]);
+
+  useEffect(() => {
+    const cluster = clusterRef.current;
+    cluster.clearLayers();
+    cluster.addLayers(
+      pins.data.map((job) =>
+        L.marker([job.point[1], job.point[0]], { icon: PIN_ICON, title: job.title }).on("click", () =>
+          setSelected(job)
+        )
+      )
+    );
+  }, [pins]);
+
+  // Remote jobs don't depend on the viewport or on where the search is centred
+  useEffect(() => {
+    if (!showRemote) {
+      setRemoteJobs([]);
+      return undefined;
+    }
+    let mounted = true;
+    async function load() {
+      const params = Object.fromEntries(new URLSearchParams(filterKey));
+      delete params.near;
+      delete params.radius;
+      delete params.location;
+      try {
+        const res = await api.get("/api/jobs", { params: { ...params, remote: true, limit: REMOTE_LIMIT } });
+        if (mounted) setRemoteJobs(res.data?.data || []);
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    load();
+    return () => (mounted = false);
+  }, [filterKey, showRemote]);
+
+  const meta = pins.meta;
+
+  return (
+    <div className="grid gap-4 xl:grid-cols-3">
+      <div className="xl:col-span-2 space-y-3">
+        <div className="relative">
+          <div ref={containerRef} className="h-[520px] rounded-xl border border-border z-0" />
+          {loading && (
+            <div className="absolute top-2 right-2 z-10 rounded bg-background/90 px-2 py-1 text-xs shadow">
+              Loading…
+            </div>
+          )}
+        </div>
+        {meta && (
+          <p className="text-xs text-muted-foreground">
+            {meta.truncated
+              ? `Showing the newest ${pins.data.length} of ${meta.total} jobs in this area — zoom in to see the rest.`
+              : `${meta.total} job${meta.total === 1 ? "" : "s"} in this area.`}
+          </p>
+        )}
+        {selected && <JobPreview job={selected} onClose={() => setSelected(null)} />}
+      </div>
+
+      {showRemote && (
+        <aside>
+          <h3 className="font-semibold mb-2">Remote jobs</h3>
+          {!remoteJobs.length ? (
+            <p className="text-sm text-muted-foreground">No remote jobs match these filters.</p>
+          ) : (
+            <ul className="space-y-2">
+              {remoteJobs.map((j) => (
+                <li key={j._id}>
+                  <Card tight className="rounded-lg border border-border">
+                    <Link to={`/jobs/${j._id}`} className="font-medium hover:underline">
+                      {j.title}
+                    </Link>
+                    <div className="text-xs text-muted-foreground">
+                      {j.company} • {j.location}
+                    </div>
+                  </Card>
+                </li>
+              ))}
+            </ul>
+          )}
+        </aside>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import clsx from "clsx";
+import { FiSearch } from "react-icons/fi";
+import api from "../api";
+
+const SUGGEST_DELAY_MS = 200;
+
+const TYPE_LABELS = {
+  title: "Job titles",
+  skill: "Skills",
+  company: "Companies",
+  location: "Locations",
+};
+
+// Search input with completions from /api/jobs/suggest in an ARIA combobox.
+// Arrow keys move through suggestions, Enter opens the highlighted one (or searches the text), Escape closes.
+export default function JobSearchBox({ value, onChange, onSearch, onPick, placeholder }) {
+  const listId = useId();
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  // -1: nothing highlighted, Enter searches the typed text
+  const [highlight, setHighlight] = useState(-1);
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    const q = value.trim();
+    if (!q) {
+      setSuggestions([]);
+      return undefined;
+    }
+    const current = ++requestId.current;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get("/api/jobs/suggest", { params: { q, limit: 4 } });
+        // Ignore responses for text the user has already changed
+        if (current !== requestId.current) return;
+        setSuggestions(res.data || []);
+        setHighlight(-1);
+      } catch {
+        if (current === requestId.current) setSuggestions([]);
+      }
+    }, SUGGEST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [value]);
+
+  const showing = open && suggestions.length > 0;
+
+  function pick(suggestion) {
+    setOpen(false);
+    onPick(suggestion);
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown" && suggestions.length) {
+      e.preventDefault();
+      setOpen(true);
+      setHighlight((h) => (h + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && showing) {
+      e.preventDefault();
+      setHighlight((h) => (h <= 0 ? suggestions.length - 1 : h - 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (showing && highlight >= 0) pick(suggestions[highlight]);
+      else {
+        setOpen(false);
+        onSearch(value.trim());
+      }
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      setHighlight(-1);
+    }
+  }
+
+  const optionId = (i) => `${listId}-option-${i}`;
+
+  return (
+    <div className="relative">
+      <input
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        // Delay so a click on a suggestion lands before the list closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        placeholder={placeholder}
+        className="form-field pl-10 pr-4"
+        aria-label="Search jobs"
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={showing}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={showing && highlight >= 0 ? optionId(highlight) : undefined}
+      />
+      <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-neutral-400" />
+      {showing && (
+        <ul
+          id={listId}
+          role="listbox"
+          aria-label="Search suggestions"
+          className="absolute z-50 mt-1 w-full overflow-hidden rounded-md border bg-white shadow-lg dark:bg-neutral-900"
+        >
+          {suggestions.map((s, i) => (
+            <li
+              key={`${s.type}:${s.value}`}
+              id={optionId(i)}
+              role="option"
+              aria-selected={i === highlight}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(s);
+              }}
+              onMouseEnter={() => setHighlight(i)}
+              className={clsx(
+                "flex cursor-pointer items-center justify-between gap-2 px-3 py-2 text-sm",
+                i === highlight && "bg-neutral-100 dark:bg-neutral-800",
+                i > 0 && suggestions[i - 1].type !== s.type && "border-t"
+              )}
+            >
+              <span className="truncate">{s.value}</span>
+              <span className="shrink-0 text-xs text-muted-foreground">
+                {TYPE_LABELS[s.type]}
+                {s.count ? ` · ${s.count}` : ""}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
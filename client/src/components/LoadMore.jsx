@@ -0,0 +1,34 @@
+import React, { useEffect, useRef } from "react";
+import { Button } from "@/components/ui/button";
+
+// Infinite scroll footer for cursor-paged lists: asks for the next page as it nears the viewport.
+// The button covers browsers without IntersectionObserver and keyboard users.
+export default function LoadMore({ hasMore, loading, onLoadMore, label = "Load more" }) {
+  const sentinel = useRef(null);
+  const loadMore = useRef(onLoadMore);
+  loadMore.current = onLoadMore;
+
+  // Re-observed after every page, so a page too short to fill the screen still loads the next one
+  useEffect(() => {
+    const node = sentinel.current;
+    if (!hasMore || loading || !node || typeof IntersectionObserver === "undefined") return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((e) => e.isIntersecting)) loadMore.current();
+      },
+      { rootMargin: "400px 0px" }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMore, loading]);
+
+  if (!hasMore) return null;
+
+  return (
+    <div ref={sentinel} className="mt-6 flex justify-center">
+      <Button variant="outline" onClick={() => onLoadMore()} disabled={loading}>
+        {loading ? "Loading..." : label}
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { Input } from "@/components/ui/input";
+import api from "../api";
+
+const SUGGEST_DELAY_MS = 200;
+
+// Text input with place suggestions from /api/locations/suggest (the server's offline gazetteer).
+// Free text is still allowed; the server geocodes what it recognises.
+export default function LocationInput({ value = "", ...props }) {
+  const listId = useId();
+  const [suggestions, setSuggestions] = useState([]);
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    const q = value.trim();
+    if (q.length < 2) {
+      setSuggestions([]);
+      return undefined;
+    }
+    const current = ++requestId.current;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get("/api/locations/suggest", { params: { q, limit: 8 } });
+        if (current === requestId.current) setSuggestions(res.data || []);
+      } catch {
+        if (current === requestId.current) setSuggestions([]);
+      }
+    }, SUGGEST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [value]);
+
+  return (
+    <>
+      <Input {...props} value={value} list={listId} autoComplete="off" />
+      <datalist id={listId}>
+        {suggestions.map((s) => (
+          <option key={s.label} value={s.label} />
+        ))}
+      </datalist>
+    </>
+  );
+}
@@ -0,0 +1,51 @@
+import React from "react";
+import clsx from "clsx";
+import { Badge } from "@/components/ui/badge";
+
+/** "Why this score": each factor's share of the total and how well the candidate did on it */
+export default function MatchBreakdown({ score, breakdown, matched, missing }) {
+  return (
+    <div className="rounded-lg border border-neutral-200 p-3">
+      <div className="flex items-center justify-between mb-2">
+        <strong>Why this score</strong>
+        <span className="font-semibold">{score}%</span>
+      </div>
+      <ul className="space-y-2">
+        {breakdown.map((f) => (
+          <li key={f.factor}>
+            <div className="flex justify-between text-xs">
+              <span className="text-neutral-700">
+                {f.label} <span className="text-neutral-400">({Math.round(f.weight * 100)}% weight)</span>
+              </span>
+              <span className="font-medium">{Math.round(f.score * 100)}%</span>
+            </div>
+            <div className="h-1.5 mt-1 bg-neutral-100 rounded-full overflow-hidden">
+              <div
+                className={clsx(
+                  "h-full rounded-full",
+                  f.score >= 0.75 ? "bg-green-500" : f.score >= 0.4 ? "bg-yellow-500" : "bg-red-400"
+                )}
+                style={{ width: `${Math.round(f.score * 100)}%` }}
+              />
+            </div>
+            {f.detail && <p className="text-xs text-neutral-500 mt-0.5">{f.detail}</p>}
+          </li>
+        ))}
+      </ul>
+      {(matched.length > 0 || missing.length > 0) && (
+        <div className="mt-3 flex flex-wrap gap-1">
+          {matched.map((s) => (
+            <Badge key={`m-${s}`} variant="secondary">
+              ✓ {s}
+            </Badge>
+          ))}
+          {missing.map((s) => (
+            <Badge key={`x-${s}`} variant="outline" className="text-neutral-500">
+              ✗ {s}
+            </Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
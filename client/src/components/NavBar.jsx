@@ -1,15 +1,16 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { FiBell, FiSearch, FiMenu, FiX, FiChevronDown, FiLogOut, FiUser } from 'react-icons/fi';
+import { FiBell, FiMenu, FiX, FiChevronDown, FiLogOut, FiUser } from 'react-icons/fi';
 import { useAuth } from '../context/AuthContext';
 import api from '../api';
+import JobSearchBox from './JobSearchBox';
 import clsx from 'clsx';
 
 /**
  * NavBar
  *
  * - Responsive and accessible top navigation.
- * - Includes: brand, search (desktop), notification button with dropdown preview,
+ * - Includes: brand, search with suggestions (desktop), notification button with dropdown preview,
  *   profile dropdown (with avatar / name / actions), and a mobile menu.
  * - Keyboard accessible: Escape closes open menus, clicking outside closes menus.
  * - Polls notifications in background and shows unread badge.
@@ -48,10 +49,10 @@ export default function NavBar() {
       setLoadingNotifs(true);
       try {
         const res = await api.get('/api/notifications?limit=20');
-        const list = res.data || [];
+        const list = res.data?.data || [];
         if (!mounted) return;
         setNotifications(list);
-        setUnread((list || []).filter(n => !n.read).length);
+        setUnread(res.data?.meta?.unread || 0);
       } catch (e) {
         // silent fail
       } finally {
@@ -96,10 +97,18 @@ export default function NavBar() {
     };
   }, [notifOpen, profileOpen, mobileOpen]);
 
-  function onSearch(e) {
-    e.preventDefault();
-    if (!q) return navigate('/');
-    navigate(`/?q=${encodeURIComponent(q)}`);
+  function onSearch(text) {
+    setMobileOpen(false);
+    if (!text) return navigate('/');
+    navigate(`/?q=${encodeURIComponent(text)}`);
+  }
+
+  // Titles and skills are searched as text; companies and locations open as filters
+  function onPickSuggestion(s) {
+    const key = s.type === 'company' || s.type === 'location' ? s.type : 'q';
+    setQ(key === 'q' ? s.value : '');
+    setMobileOpen(false);
+    navigate(`/?${key}=${encodeURIComponent(s.value)}`);
   }
 
   async function markRead(id) {
@@ -112,28 +121,28 @@ export default function NavBar() {
       // revert on error by refetching
       try {
         const res = await api.get('/api/notifications?limit=20');
-        const list = res.data || [];
+        const list = res.data?.data || [];
         setNotifications(list);
-        setUnread((list || []).filter(n => !n.read).length);
+        setUnread(res.data?.meta?.unread || 0);
       } catch {}
     }
   }
 
   async function markAllRead() {
-    const ids = (notifications || []).filter(n => !n.read).map(n => n._id);
-    if (!ids.length) return;
+    // the unread count also covers notifications beyond the loaded ones
+    if (!unread) return;
     // optimistic
     setNotifications(prev => prev.map(n => ({ ...n, read: true })));
     setUnread(0);
     try {
-      await Promise.all(ids.map(id => api.post(`/api/notifications/${id}/read`)));
+      await api.post('/api/notifications/read-all');
     } catch {
       // best-effort: reload notifications if failure
       try {
         const res = await api.get('/api/notifications?limit=20');
-        const list = res.data || [];
+        const list = res.data?.data || [];
         setNotifications(list);
-        setUnread((list || []).filter(n => !n.read).length);
+        setUnread(res.data?.meta?.unread || 0);
       } catch {}
     }
   }
@@ -152,18 +161,15 @@ export default function NavBar() {
         </div>
 
         {/* Desktop search */}
-        <form onSubmit={onSearch} className="flex-1 hidden md:block">
-          <div className="relative">
-            <input
-              value={q}
-              onChange={e => setQ(e.target.value)}
-              placeholder="Search jobs, skills, companies..."
-              className="form-field pl-10 pr-4"
-              aria-label="Search jobs"
-            />
-            <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-neutral-400" />
-          </div>
-        </form>
+        <div role="search" className="flex-1 hidden md:block">
+          <JobSearchBox
+            value={q}
+            onChange={setQ}
+            onSearch={onSearch}
+            onPick={onPickSuggestion}
+            placeholder="Search jobs, skills, companies..."
+          />
+        </div>
 
         <div className="flex items-center gap-2 ml-auto">
           {/* Mobile menu toggle */}
@@ -289,7 +295,12 @@ export default function NavBar() {
                   <div className="py-2">
                     <Link to="/profile" onClick={() => setProfileOpen(false)} className="block px-3 py-2 text-sm hover:bg-neutral-50">Profile</Link>
                     {user?.role === 'recruiter' && <Link to="/dashboard" onClick={() => setProfileOpen(false)} className="block px-3 py-2 text-sm hover:bg-neutral-50">Dashboard</Link>}
+                    {user?.role === 'recruiter' && <Link to="/candidates" onClick={() => setProfileOpen(false)} className="block px-3 py-2 text-sm hover:bg-neutral-50">Find candidates</Link>}
+                    {user?.role === 'seeker' && <Link to="/applications" onClick={() => setProfileOpen(false)} className="block px-3 py-2 text-sm hover:bg-neutral-50">My Applications</Link>}
+                    {user?.role === 'seeker' && <Link to="/saved" onClick={() => setProfileOpen(false)} className="block px-3 py-2 text-sm hover:bg-neutral-50">Saved jobs</Link>}
+                    {user?.role === 'seeker' && <Link to="/alerts" onClick={() => setProfileOpen(false)} className="block px-3 py-2 text-sm hover:bg-neutral-50">Job alerts</Link>}
                     <Link to="/notifications" onClick={() => { setProfileOpen(false); setNotifOpen(false); }} className="block px-3 py-2 text-sm hover:bg-neutral-50">Notifications</Link>
+                    <Link to="/sessions" onClick={() => setProfileOpen(false)} className="block px-3 py-2 text-sm hover:bg-neutral-50">Devices</Link>
                   </div>
                   <div className="px-3 py-2 border-t">
                     <button
@@ -319,22 +330,23 @@ export default function NavBar() {
         <div id="mobile-menu" ref={mobileRef} className="md:hidden border-t bg-white">
           <div className="app-container py-3 flex flex-col gap-2">
             {/* Search */}
-            <form onSubmit={onSearch}>
-              <div className="relative">
-                <input
-                  value={q}
-                  onChange={e => setQ(e.target.value)}
-                  placeholder="Search jobs..."
-                  className="form-field pl-10 pr-4"
-                  aria-label="Search jobs"
-                />
-                <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-neutral-400" />
-              </div>
-            </form>
+            <div role="search">
+              <JobSearchBox
+                value={q}
+                onChange={setQ}
+                onSearch={onSearch}
+                onPick={onPickSuggestion}
+                placeholder="Search jobs..."
+              />
+            </div>
 
             <nav className="flex flex-col gap-2 mt-2">
               <Link to="/" onClick={() => setMobileOpen(false)} className="text-neutral-700">Jobs</Link>
               {user && user.role === 'recruiter' && <Link to="/dashboard" onClick={() => setMobileOpen(false)} className="text-neutral-700">Dashboard</Link>}
+              {user && user.role === 'recruiter' && <Link to="/candidates" onClick={() => setMobileOpen(false)} className="text-neutral-700">Find candidates</Link>}
+              {user && user.role === 'seeker' && <Link to="/applications" onClick={() => setMobileOpen(false)} className="text-neutral-700">My Applications</Link>}
+              {user && user.role === 'seeker' && <Link to="/saved" onClick={() => setMobileOpen(false)} className="text-neutral-700">Saved jobs</Link>}
+              {user && user.role === 'seeker' && <Link to="/alerts" onClick={() => setMobileOpen(false)} className="text-neutral-700">Job alerts</Link>}
 
               {user ? (
                 <>
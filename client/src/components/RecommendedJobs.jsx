@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import clsx from "clsx";
+import { X } from "lucide-react";
+import { toast } from "sonner";
+import api from "../api";
+import Card from "./Card";
+import { Button } from "@/components/ui/button";
+
+function matchClass(score) {
+  if (score >= 70) return "bg-green-100 text-green-700";
+  if (score >= 40) return "bg-amber-100 text-amber-700";
+  return "bg-muted text-muted-foreground";
+}
+
+// "Recommended for you" strip on the home page (seekers only)
+export default function RecommendedJobs({ limit = 6 }) {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let mounted = true;
+    async function load() {
+      try {
+        const res = await api.get("/api/jobs/recommended", { params: { limit } });
+        if (mounted) setJobs(res.data?.data || []);
+      } catch (err) {
+        console.error(err);
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    }
+    load();
+    return () => (mounted = false);
+  }, [limit]);
+
+  async function dismiss(job) {
+    setJobs((prev) => prev.filter((j) => j._id !== job._id));
+    try {
+      await api.post(`/api/jobs/${job._id}/dismiss`);
+      toast("Job hidden from recommendations", {
+        action: { label: "Undo", onClick: () => restore(job) },
+      });
+    } catch (err) {
+      setJobs((prev) => [job, ...prev]);
+      toast.error(err.response?.data?.error || "Could not hide job");
+    }
+  }
+
+  async function restore(job) {
+    try {
+      await api.delete(`/api/jobs/${job._id}/dismiss`);
+      setJobs((prev) => [job, ...prev]);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Could not restore job");
+    }
+  }
+
+  if (!loading && !jobs.length) return null;
+
+  return (
+    <section className="mb-8">
+      <div className="mb-3 flex items-end justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold">Recommended for you</h2>
+          <p className="text-sm text-muted-foreground">
+            Based on your skills, resume and preferences.{" "}
+            <Link to="/profile" className="underline">
+              Improve your profile
+            </Link>
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {Array.from({ length: 3 }).map((_, i) => (
+            <div key={i} className="h-32 rounded-xl border border-border bg-muted/50 animate-pulse" />
+          ))}
+        </div>
+      ) : (
+        <ul className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {jobs.map((j) => (
+            <li key={j._id}>
+              <Card tight className="relative h-full rounded-xl">
+                <button
+                  type="button"
+                  onClick={() => dismiss(j)}
+                  className="absolute right-2 top-2 rounded p-1 text-muted-foreground hover:bg-muted"
+                  title="Not interested"
+                  aria-label={`Hide ${j.title}`}
+                >
+                  <X className="h-4 w-4" />
+                </button>
+                <div className="flex items-start gap-3 pr-6">
+                  <span
+                    className={clsx(
+                      "shrink-0 rounded-full px-2 py-1 text-xs font-semibold",
+                      matchClass(j.matchScore)
+                    )}
+                    title="How well your profile matches this job"
+                  >
+                    {j.matchScore}% match
+                  </span>
+                  <div className="min-w-0">
+                    <Link to={`/jobs/${j._id}`} className="font-semibold hover:underline line-clamp-1">
+                      {j.title}
+                    </Link>
+                    <div className="text-sm text-muted-foreground line-clamp-1">
+                      {j.company} {j.location && `• ${j.location}`}
+                    </div>
+                  </div>
+                </div>
+                {j.reasons?.length > 0 && (
+                  <ul className="mt-3 space-y-1 text-xs text-muted-foreground">
+                    {j.reasons.slice(0, 3).map((r) => (
+                      <li key={r}>• {r}</li>
+                    ))}
+                  </ul>
+                )}
+                <div className="mt-3 flex justify-end">
+                  <Link to={`/jobs/${j._id}`}>
+                    <Button size="sm" variant="outline">
+                      View
+                    </Button>
+                  </Link>
+                </div>
+              </Card>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -75,12 +75,13 @@ export default function ResumeUploader({
         },
       });
 
-      const url = res?.data?.url || res?.data?.link || "";
-      if (!url) throw new Error("Upload completed but no URL returned");
+      // { id, name, mimeType, size, checksum, url, expiresAt }; url is a short-lived signed link
+      const uploaded = res?.data;
+      if (!uploaded?.id) throw new Error("Upload completed but no file returned");
       toast.success("Resume uploaded");
       setFile(null);
       setProgress(0);
-      onUploaded?.(url);
+      onUploaded?.(uploaded);
     } catch (err) {
       console.error(err);
       toast.error(err?.response?.data?.error || "Upload failed");
@@ -0,0 +1,238 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "sonner";
+import api from "../api";
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { CURRENCIES, PAY_PERIODS } from "../lib/salary";
+
+const FREQUENCY_LABELS = {
+  instant: "As soon as jobs are posted",
+  daily: "Daily digest",
+  weekly: "Weekly digest",
+};
+
+const JOB_TYPES = [
+  ["full-time", "Full-time"],
+  ["part-time", "Part-time"],
+  ["contract", "Contract"],
+  ["internship", "Internship"],
+  ["temporary", "Temporary"],
+];
+
+function defaultName(criteria) {
+  return [criteria.q, criteria.location, criteria.remote && "Remote"].filter(Boolean).join(" · ") || "My job alert";
+}
+
+function toForm(search) {
+  const c = search.criteria || {};
+  return {
+    name: search.name || defaultName(c),
+    frequency: search.frequency || "daily",
+    emailDigest: !!search.emailDigest,
+    q: c.q || "",
+    location: c.location || "",
+    type: c.type || "",
+    remote: c.remote === true ? "true" : c.remote === false ? "false" : "",
+    tag: c.tag || "",
+    salaryMin: c.salaryMin ?? "",
+    salaryMax: c.salaryMax ?? "",
+    salaryCurrency: c.salaryCurrency || "USD",
+    salaryPeriod: c.salaryPeriod || "yearly",
+  };
+}
+
+function toPayload(form) {
+  const num = (v) => (String(v).trim() === "" ? null : Number(v));
+  return {
+    name: form.name.trim(),
+    frequency: form.frequency,
+    emailDigest: form.emailDigest,
+    criteria: {
+      q: form.q.trim(),
+      location: form.location.trim(),
+      type: form.type || null,
+      remote: form.remote === "" ? null : form.remote === "true",
+      tag: form.tag.trim(),
+      salaryMin: num(form.salaryMin),
+      salaryMax: num(form.salaryMax),
+      salaryCurrency: form.salaryCurrency,
+      salaryPeriod: form.salaryPeriod,
+    },
+  };
+}
+
+// Create (search without _id) or edit a saved search / job alert
+export default function SavedSearchDialog({ open, onOpenChange, search, onSaved }) {
+  const [form, setForm] = useState(() => toForm(search || {}));
+  const [saving, setSaving] = useState(false);
+  const editing = !!search?._id;
+
+  useEffect(() => {
+    if (open) setForm(toForm(search || {}));
+  }, [open, search]);
+
+  function setField(k, v) {
+    setForm((prev) => ({ ...prev, [k]: v }));
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = editing
+        ? await api.patch(`/api/saved-searches/${search._id}`, toPayload(form))
+        : await api.post("/api/saved-searches", toPayload(form));
+      toast.success(editing ? "Job alert updated" : "Search saved — we'll let you know about new jobs");
+      onSaved?.(res.data);
+      onOpenChange(false);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Could not save search");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{editing ? "Edit job alert" : "Save this search"}</DialogTitle>
+        </DialogHeader>
+
+        <form onSubmit={submit} className="space-y-4">
+          <div>
+            <Label htmlFor="ss-name">Name</Label>
+            <Input id="ss-name" value={form.name} onChange={(e) => setField("name", e.target.value)} required />
+          </div>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            <div className="sm:col-span-2">
+              <Label htmlFor="ss-q">Keywords</Label>
+              <Input id="ss-q" value={form.q} onChange={(e) => setField("q", e.target.value)} />
+            </div>
+            <div>
+              <Label htmlFor="ss-location">Location</Label>
+              <Input id="ss-location" value={form.location} onChange={(e) => setField("location", e.target.value)} />
+            </div>
+            <div>
+              <Label htmlFor="ss-tag">Tag</Label>
+              <Input id="ss-tag" value={form.tag} onChange={(e) => setField("tag", e.target.value)} />
+            </div>
+            <div>
+              <Label htmlFor="ss-type">Type</Label>
+              <select
+                id="ss-type"
+                className="form-field w-full"
+                value={form.type}
+                onChange={(e) => setField("type", e.target.value)}
+              >
+                <option value="">Any</option>
+                {JOB_TYPES.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <Label htmlFor="ss-remote">Remote</Label>
+              <select
+                id="ss-remote"
+                className="form-field w-full"
+                value={form.remote}
+                onChange={(e) => setField("remote", e.target.value)}
+              >
+                <option value="">Any</option>
+                <option value="true">Remote only</option>
+                <option value="false">On-site only</option>
+              </select>
+            </div>
+            <div>
+              <Label htmlFor="ss-salary-min">Min. salary</Label>
+              <Input
+                id="ss-salary-min"
+                type="number"
+                min={0}
+                value={form.salaryMin}
+                onChange={(e) => setField("salaryMin", e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="ss-salary-max">Max. salary</Label>
+              <Input
+                id="ss-salary-max"
+                type="number"
+                min={0}
+                value={form.salaryMax}
+                onChange={(e) => setField("salaryMax", e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="ss-salary-currency">Currency</Label>
+              <select
+                id="ss-salary-currency"
+                className="form-field w-full"
+                value={form.salaryCurrency}
+                onChange={(e) => setField("salaryCurrency", e.target.value)}
+              >
+                {CURRENCIES.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <Label htmlFor="ss-salary-period">Paid</Label>
+              <select
+                id="ss-salary-period"
+                className="form-field w-full"
+                value={form.salaryPeriod}
+                onChange={(e) => setField("salaryPeriod", e.target.value)}
+              >
+                {PAY_PERIODS.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <Label htmlFor="ss-frequency">Alert me</Label>
+            <select
+              id="ss-frequency"
+              className="form-field w-full"
+              value={form.frequency}
+              onChange={(e) => setField("frequency", e.target.value)}
+            >
+              {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm">
+            <Checkbox checked={form.emailDigest} onCheckedChange={(v) => setField("emailDigest", !!v)} />
+            Also send me an email (verified addresses only)
+          </label>
+
+          <DialogFooter>
+            <Button type="button" variant="ghost" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? "Saving..." : editing ? "Save changes" : "Save search"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
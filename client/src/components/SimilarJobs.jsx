@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import Card from "./Card";
+import api from "../api";
+
+// "More like this" sidebar on the job details page
+export default function SimilarJobs({ jobId, limit = 5 }) {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [otherEmployers, setOtherEmployers] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      setLoading(true);
+      try {
+        const res = await api.get(`/api/jobs/${jobId}/similar`, {
+          params: { limit, ...(otherEmployers ? { excludeSamePoster: true } : {}) },
+        });
+        if (mounted) setJobs(res.data?.data || []);
+      } catch {
+        if (mounted) setJobs([]);
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    })();
+    return () => (mounted = false);
+  }, [jobId, limit, otherEmployers]);
+
+  if (!loading && !jobs.length && !otherEmployers) return null;
+
+  return (
+    <Card className="p-5 border border-neutral-200 shadow-sm">
+      <h4 className="text-lg font-medium">More like this</h4>
+      <label className="mt-1 flex items-center gap-2 text-xs text-neutral-500">
+        <input type="checkbox" checked={otherEmployers} onChange={(e) => setOtherEmployers(e.target.checked)} />
+        Only other employers
+      </label>
+
+      {loading ? (
+        <div className="mt-3 space-y-2">
+          {Array.from({ length: 3 }).map((_, i) => (
+            <div key={i} className="h-14 rounded-md bg-neutral-100 animate-pulse" />
+          ))}
+        </div>
+      ) : !jobs.length ? (
+        <p className="mt-3 text-sm text-neutral-500">No similar jobs from other employers right now.</p>
+      ) : (
+        <ul className="mt-3 divide-y divide-neutral-100">
+          {jobs.map((j) => (
+            <li key={j._id} className="py-3">
+              <Link to={`/jobs/${j._id}`} className="font-medium hover:underline line-clamp-1">
+                {j.title}
+              </Link>
+              <p className="text-xs text-neutral-500 line-clamp-1">
+                {[j.company, j.isRemote ? "Remote" : j.location, j.type].filter(Boolean).join(" • ")}
+              </p>
+              {j.reasons?.length > 0 && (
+                <p className="text-xs text-neutral-400 mt-0.5 line-clamp-1">{j.reasons[0]}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
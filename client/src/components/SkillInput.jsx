@@ -0,0 +1,140 @@
+import React, { useEffect, useRef, useState } from "react";
+import clsx from "clsx";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import api from "../api";
+
+const SUGGEST_DELAY_MS = 200;
+
+// Chip input for skills and tags with autocomplete from /api/skills/suggest.
+// The server maps aliases to canonical names on save; picking a suggestion does it up front.
+export default function SkillInput({ id, value = [], onChange, placeholder = "Add a skill and press Enter", className }) {
+  const [text, setText] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(0);
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    const q = text.trim();
+    if (!q) {
+      setSuggestions([]);
+      return undefined;
+    }
+    const current = ++requestId.current;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get("/api/skills/suggest", { params: { q, limit: 8 } });
+        // Ignore responses for text the user has already changed
+        if (current !== requestId.current) return;
+        const taken = new Set(value.map((s) => s.toLowerCase()));
+        setSuggestions((res.data || []).filter((s) => !taken.has(s.name.toLowerCase())));
+        setHighlight(0);
+      } catch {
+        if (current === requestId.current) setSuggestions([]);
+      }
+    }, SUGGEST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [text, value]);
+
+  function add(raw) {
+    const skill = (raw || "").trim();
+    setText("");
+    setSuggestions([]);
+    if (!skill || value.some((s) => s.toLowerCase() === skill.toLowerCase())) return;
+    onChange([...value, skill]);
+  }
+
+  function remove(skill) {
+    onChange(value.filter((s) => s !== skill));
+  }
+
+  function handleKeyDown(e) {
+    const showing = open && suggestions.length > 0;
+    if (e.key === "ArrowDown" && showing) {
+      e.preventDefault();
+      setHighlight((h) => (h + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && showing) {
+      e.preventDefault();
+      setHighlight((h) => (h - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      add(showing && e.key === "Enter" ? suggestions[highlight].name : text);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    } else if (e.key === "Backspace" && !text && value.length) {
+      remove(value[value.length - 1]);
+    }
+  }
+
+  return (
+    <div className={clsx("space-y-2", className)}>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {value.map((skill) => (
+            <Badge
+              key={skill}
+              variant="secondary"
+              className="flex items-center gap-2 cursor-pointer hover:bg-primary-50 hover:text-primary-700"
+              onClick={() => remove(skill)}
+              title="Click to remove"
+            >
+              {skill} ✕
+            </Badge>
+          ))}
+        </div>
+      )}
+
+      <div className="relative">
+        <Input
+          id={id}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          // Delay so a click on a suggestion lands before the list closes
+          onBlur={() => setTimeout(() => setOpen(false), 150)}
+          placeholder={placeholder}
+          autoComplete="off"
+          role="combobox"
+          aria-expanded={open && suggestions.length > 0}
+          aria-autocomplete="list"
+        />
+        {open && suggestions.length > 0 && (
+          <ul
+            role="listbox"
+            className="absolute z-20 mt-1 w-full overflow-hidden rounded-md border bg-white shadow-lg dark:bg-neutral-900"
+          >
+            {suggestions.map((s, i) => (
+              <li
+                key={s.id}
+                role="option"
+                aria-selected={i === highlight}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  add(s.name);
+                }}
+                onMouseEnter={() => setHighlight(i)}
+                className={clsx(
+                  "flex cursor-pointer items-center justify-between gap-2 px-3 py-2 text-sm",
+                  i === highlight && "bg-neutral-100 dark:bg-neutral-800"
+                )}
+              >
+                <span>
+                  {s.name}
+                  {s.matchedAlias && (
+                    <span className="ml-1 text-xs text-muted-foreground">({s.matchedAlias})</span>
+                  )}
+                </span>
+                {s.category && <span className="text-xs text-muted-foreground">{s.category}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
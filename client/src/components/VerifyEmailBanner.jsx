@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import api from "../api";
+import { useAuth } from "../context/AuthContext";
+import { toast } from "sonner";
+
+// Reminder shown to signed-in users who haven't confirmed their email yet
+export default function VerifyEmailBanner() {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified || user.role === "admin") return null;
+
+  async function resend() {
+    setSending(true);
+    try {
+      await api.post("/api/auth/verify-email/request");
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (err) {
+      console.error(err);
+      toast.error(err?.response?.data?.error || "Could not send verification email");
+    } finally {
+      setSending(false);
+    }
+  }
+
+  return (
+    <div className="bg-amber-50 border-b border-amber-200 text-amber-900 text-sm">
+      <div className="app-container py-2 flex flex-wrap items-center justify-between gap-2">
+        <span>
+          Please verify your email address.
+          {user.role === "recruiter" && " Posting and managing jobs is locked until you do."}
+        </span>
+        <button
+          type="button"
+          onClick={resend}
+          disabled={sending}
+          className="font-medium underline disabled:opacity-50"
+        >
+          {sending ? "Sending…" : "Resend verification email"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import api from '../api';
+import api, { AUTH_EXPIRED_EVENT } from '../api';
 
 const AuthContext = createContext();
 
@@ -16,6 +16,15 @@ export function AuthProvider({ children }) {
     } catch (e) {}
   }, []);
 
+  // The api client signals when the refresh token is gone (expired, revoked or signed out elsewhere)
+  useEffect(() => {
+    function onExpired() {
+      setUser(null);
+    }
+    window.addEventListener(AUTH_EXPIRED_EVENT, onExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, onExpired);
+  }, []);
+
   async function login(email, password) {
     const res = await api.post('/api/auth/login', { email, password });
     const { token, user } = res.data;
@@ -32,7 +41,13 @@ export function AuthProvider({ children }) {
     return res.data;
   }
 
-  function logout() {
+  async function logout() {
+    // Revoke the server session first so the refresh cookie can't be reused
+    try {
+      await api.post('/api/auth/logout');
+    } catch {
+      // best-effort: still sign out locally
+    }
     localStorage.removeItem('jobmug_auth');
     setUser(null);
   }
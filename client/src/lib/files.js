@@ -0,0 +1,15 @@
+import api from "../api";
+
+// Open an uploaded file in a new tab via a freshly signed, short-lived URL.
+// The tab is opened before the request so popup blockers treat it as user-initiated.
+export async function openFile(fileId) {
+  const win = window.open("about:blank", "_blank");
+  try {
+    const res = await api.get(`/api/uploads/files/${fileId}`);
+    if (win) win.location.href = res.data.url;
+    else window.location.href = res.data.url;
+  } catch (err) {
+    win?.close();
+    throw err;
+  }
+}
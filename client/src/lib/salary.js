@@ -0,0 +1,43 @@
+// Pay periods and the currencies offered in forms; the API accepts any ISO 4217 code
+export const PAY_PERIODS = [
+  ["yearly", "per year"],
+  ["monthly", "per month"],
+  ["hourly", "per hour"],
+];
+
+export const CURRENCIES = ["USD", "EUR", "GBP", "KES", "UGX", "TZS", "RWF", "ETB", "NGN", "GHS", "ZAR", "EGP", "INR", "CAD", "AUD"];
+
+const PERIOD_SUFFIX = { hourly: "/hr", monthly: "/mo", yearly: "/yr" };
+
+function money(amount, currency) {
+  if (!currency) return amount.toLocaleString();
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${currency} ${amount.toLocaleString()}`;
+  }
+}
+
+// "KES 100,000 – 150,000/mo"; "Salary not disclosed" for hidden pay without amounts; "" when there is no pay
+export function formatSalary(range) {
+  if (!range) return "";
+  const { min, max, currency, period } = range;
+  if (!min && !max) return range.hidden ? "Salary not disclosed" : "";
+  const amounts =
+    min && max ? `${money(min, currency)} – ${max.toLocaleString()}` : min ? `From ${money(min, currency)}` : `Up to ${money(max, currency)}`;
+  return `${amounts}${PERIOD_SUFFIX[period] || ""}`;
+}
+
+// Equity and bonus, e.g. ["0.1–0.5% equity", "15% bonus"]
+export function compensationExtras(range) {
+  const extras = [];
+  const equity = range?.equity;
+  if (equity && (equity.min || equity.max)) {
+    const pct = equity.min && equity.max && equity.min !== equity.max ? `${equity.min}–${equity.max}` : equity.max || equity.min;
+    extras.push(`${pct}% equity`);
+  }
+  const bonus = range?.bonus;
+  if (bonus?.targetPercent) extras.push(`${bonus.targetPercent}% bonus`);
+  else if (bonus?.description) extras.push(bonus.description);
+  return extras;
+}
@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 import api from "../api";
 import { useAuth } from "../context/AuthContext";
@@ -8,15 +8,49 @@ import { Button } from "@/components/ui/button";
 import clsx from "clsx";
 import { toast } from "sonner";
 
+const PAGE_SIZE = 12;
+
+const JOB_STATUS_LABELS = {
+  draft: "Draft",
+  scheduled: "Scheduled",
+  published: "Published",
+  paused: "Paused",
+  closed: "Closed",
+  archived: "Archived",
+};
+
+// Button labels for lifecycle transitions
+const JOB_ACTION_LABELS = {
+  draft: "Unschedule",
+  scheduled: "Schedule",
+  published: "Publish",
+  paused: "Pause",
+  closed: "Close",
+  archived: "Archive",
+};
+
 export default function ApplicantDashboard() {
   const { user } = useAuth();
   const [jobs, setJobs] = useState([]);
+  const [meta, setMeta] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  // client-side filters
+  // server-side filters
   const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
   const [statusFilter, setStatusFilter] = useState("all");
+  const [jobStatus, setJobStatus] = useState("all");
   const [sortBy, setSortBy] = useState("newest");
+  const [page, setPage] = useState(1);
+
+  // Debounce the search box so typing doesn't fire a request per keystroke
+  useEffect(() => {
+    const t = setTimeout(() => {
+      setDebouncedSearch(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(t);
+  }, [search]);
 
   // Load jobs
   useEffect(() => {
@@ -24,19 +58,20 @@ export default function ApplicantDashboard() {
     async function loadJobs() {
       setLoading(true);
       try {
-        const res = await api.get("/api/jobs?limit=500");
-        let items = (res.data?.data || res.data) || [];
-
-        // Only jobs posted by the current user
-        const mine = items.filter((j) => {
-          if (!user) return false;
-          if (!j.postedBy) return false;
-          const postedById =
-            typeof j.postedBy === "string" ? j.postedBy : j.postedBy._id;
-          return postedById === user._id;
+        const params = new URLSearchParams({
+          page: String(page),
+          limit: String(PAGE_SIZE),
+          sort: sortBy,
         });
+        if (debouncedSearch) params.set("q", debouncedSearch);
+        if (statusFilter === "with-applicants") params.set("hasApplicants", "true");
+        if (statusFilter === "no-applicants") params.set("hasApplicants", "false");
+        if (jobStatus !== "all") params.set("status", jobStatus);
 
-        if (mounted) setJobs(mine);
+        const res = await api.get(`/api/jobs/mine?${params.toString()}`);
+        if (!mounted) return;
+        setJobs(res.data?.data || []);
+        setMeta(res.data?.meta || null);
       } catch (err) {
         console.error(err);
         if (err.response?.status === 401) {
@@ -51,44 +86,7 @@ export default function ApplicantDashboard() {
 
     if (user) loadJobs();
     return () => (mounted = false);
-  }, [user]);
-
-  // Filtering & sorting
-  const filtered = useMemo(() => {
-    const q = search.trim().toLowerCase();
-    let list = [...jobs];
-
-    if (q) {
-      list = list.filter(
-        (j) =>
-          j.title?.toLowerCase().includes(q) ||
-          j.company?.toLowerCase().includes(q) ||
-          j.location?.toLowerCase().includes(q)
-      );
-    }
-
-    if (statusFilter === "with-applicants") {
-      list = list.filter((j) => (j.applicantsCount || j._applicants || 0) > 0);
-    }
-
-    if (sortBy === "newest") {
-      list.sort(
-        (a, b) =>
-          new Date(b.postedAt || b.createdAt) -
-          new Date(a.postedAt || a.createdAt)
-      );
-    } else if (sortBy === "oldest") {
-      list.sort(
-        (a, b) =>
-          new Date(a.postedAt || a.createdAt) -
-          new Date(b.postedAt || b.createdAt)
-      );
-    } else if (sortBy === "mostApplicants") {
-      list.sort((a, b) => (b.applicantsCount || 0) - (a.applicantsCount || 0));
-    }
-
-    return list;
-  }, [jobs, search, statusFilter, sortBy]);
+  }, [user, page, debouncedSearch, statusFilter, jobStatus, sortBy]);
 
   // Copy job link
   function copyShareLink(job) {
@@ -99,12 +97,46 @@ export default function ApplicantDashboard() {
       .catch(() => toast.error("Failed to copy link"));
   }
 
+  // Lifecycle transition (publish, pause, close, ...)
+  async function changeJobStatus(job, status) {
+    const body = { status };
+    if (status === "scheduled") {
+      const input = window.prompt("Publish at (YYYY-MM-DD HH:MM)");
+      if (!input) return;
+      const when = new Date(input.replace(" ", "T"));
+      if (Number.isNaN(when.getTime())) return toast.error("Invalid date");
+      body.publishAt = when.toISOString();
+    }
+    try {
+      const res = await api.patch(`/api/jobs/${job._id}/status`, body);
+      const updated = res.data || {};
+      setJobs((prev) =>
+        prev.map((j) =>
+          j._id === job._id
+            ? {
+                ...j,
+                status: updated.status,
+                publishAt: updated.publishAt,
+                postedAt: updated.postedAt,
+                allowedStatusTransitions: updated.allowedStatusTransitions || [],
+              }
+            : j
+        )
+      );
+      toast.success(`Job ${JOB_STATUS_LABELS[updated.status]?.toLowerCase() || "updated"}`);
+    } catch (err) {
+      console.error(err);
+      toast.error(err?.response?.data?.error || "Failed to update job status");
+    }
+  }
+
   // Delete job
   async function deleteJob(id) {
     if (!window.confirm("Are you sure you want to delete this job?")) return;
     try {
       await api.delete(`/api/jobs/${id}`);
       setJobs((prev) => prev.filter((j) => j._id !== id));
+      setMeta((prev) => (prev ? { ...prev, total: Math.max(0, prev.total - 1) } : prev));
       toast.success("Job deleted successfully.");
     } catch (err) {
       console.error(err);
@@ -127,7 +159,7 @@ export default function ApplicantDashboard() {
         <div>
           <h2 className="text-2xl font-semibold">Your Posted Jobs</h2>
           <p className="text-sm text-neutral-500 mt-1">
-            {jobs.length} total • {filtered.length} shown
+            {meta?.total ?? 0} total • {jobs.length} shown
           </p>
         </div>
 
@@ -142,19 +174,43 @@ export default function ApplicantDashboard() {
           <select
             className="form-field"
             value={statusFilter}
-            onChange={(e) => setStatusFilter(e.target.value)}
+            onChange={(e) => {
+              setStatusFilter(e.target.value);
+              setPage(1);
+            }}
           >
             <option value="all">All</option>
             <option value="with-applicants">With applicants</option>
+            <option value="no-applicants">No applicants yet</option>
+          </select>
+          <select
+            className="form-field"
+            value={jobStatus}
+            onChange={(e) => {
+              setJobStatus(e.target.value);
+              setPage(1);
+            }}
+          >
+            <option value="all">Any status</option>
+            {Object.entries(JOB_STATUS_LABELS).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
           </select>
           <select
             className="form-field"
             value={sortBy}
-            onChange={(e) => setSortBy(e.target.value)}
+            onChange={(e) => {
+              setSortBy(e.target.value);
+              setPage(1);
+            }}
           >
             <option value="newest">Newest</option>
             <option value="oldest">Oldest</option>
             <option value="mostApplicants">Most applicants</option>
+            <option value="latestApplication">Latest application</option>
+            <option value="match">Best average match</option>
           </select>
 
           <Link to="/create" className="btn btn-primary">
@@ -166,7 +222,7 @@ export default function ApplicantDashboard() {
       {/* Content */}
       {loading ? (
         <JobSkeletonGrid />
-      ) : filtered.length === 0 ? (
+      ) : jobs.length === 0 ? (
         <div className="text-center mt-10">
           <p className="text-neutral-600 mb-3">
             You haven’t posted any jobs yet or none match your filters.
@@ -177,8 +233,12 @@ export default function ApplicantDashboard() {
         </div>
       ) : (
         <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {filtered.map((j) => {
-            const applicantsCount = j.applicantsCount ?? j._applicants ?? 0;
+          {jobs.map((j) => {
+            const applicantsCount = j.applicantsCount ?? 0;
+            const inProgress =
+              (j.statusCounts?.reviewing || 0) +
+              (j.statusCounts?.interviewing || 0) +
+              (j.statusCounts?.offered || 0);
             return (
               <Card
                 key={j._id}
@@ -211,7 +271,24 @@ export default function ApplicantDashboard() {
                   </div>
 
                   <div className="mt-3 flex flex-wrap gap-2 items-center">
+                    <div className="tag font-medium">
+                      {JOB_STATUS_LABELS[j.status] || "Published"}
+                      {j.status === "scheduled" && j.publishAt &&
+                        ` • ${new Date(j.publishAt).toLocaleString()}`}
+                    </div>
                     <div className="tag">Applicants: {applicantsCount}</div>
+                    {inProgress > 0 && <div className="tag">In progress: {inProgress}</div>}
+                    {j.statusCounts?.hired > 0 && (
+                      <div className="tag">Hired: {j.statusCounts.hired}</div>
+                    )}
+                    {j.avgMatchScore != null && (
+                      <div className="tag">Avg match: {j.avgMatchScore}%</div>
+                    )}
+                    {j.latestApplicationAt && (
+                      <div className="tag">
+                        Last applied {new Date(j.latestApplicationAt).toLocaleDateString()}
+                      </div>
+                    )}
                     {j.isRemote && <div className="tag">Remote</div>}
                     {j.type && <div className="tag">{j.type}</div>}
                     <div className="muted text-xs ml-auto">
@@ -243,6 +320,16 @@ export default function ApplicantDashboard() {
                   >
                     Share
                   </Button>
+                  {(j.allowedStatusTransitions || []).map((s) => (
+                    <Button
+                      key={s}
+                      variant="outline"
+                      size="sm"
+                      onClick={() => changeJobStatus(j, s)}
+                    >
+                      {JOB_ACTION_LABELS[s]}
+                    </Button>
+                  ))}
                   <Button
                     variant="destructive"
                     size="sm"
@@ -256,6 +343,30 @@ export default function ApplicantDashboard() {
           })}
         </div>
       )}
+
+      {meta && meta.pages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-6">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={page <= 1 || loading}
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+          >
+            Previous
+          </Button>
+          <span className="text-sm text-neutral-500">
+            Page {meta.page} of {meta.pages}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={page >= meta.pages || loading}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            Next
+          </Button>
+        </div>
+      )}
     </div>
   );
 }
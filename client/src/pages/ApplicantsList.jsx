@@ -1,4 +1,5 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useParams } from "react-router-dom";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
 import {
@@ -10,69 +11,121 @@ import {
 } from "@/components/ui/dialog";
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
+import { Textarea } from "@/components/ui/textarea";
 import { toast } from "sonner";
 import { motion } from "framer-motion";
 import api from "../api";
+import { openFile } from "../lib/files";
+import MatchBreakdown from "../components/MatchBreakdown";
+import LoadMore from "../components/LoadMore";
 import clsx from "clsx";
 
-export default function ApplicantsList({ jobId }) {
+const STATUSES = ["applied", "reviewing", "interviewing", "offered", "hired", "rejected", "withdrawn"];
+const PAGE_SIZE = 24;
+const SEARCH_DELAY_MS = 300;
+
+// Flatten the server's { applicant: {...} } shape into what the cards render
+function toRow(a) {
+  return {
+    _id: a.id || a._id,
+    name: a.applicant?.name,
+    email: a.applicant?.email,
+    phone: a.applicant?.phone,
+    coverLetter: a.coverLetter,
+    resume: a.resumeUrl,
+    resumeFile: a.resumeFile,
+    skills: a.skills || [],
+    matchScore: a.matchScore,
+    matchedSkills: a.matchedSkills || [],
+    missingSkills: a.missingSkills || [],
+    matchBreakdown: a.matchBreakdown || [],
+    status: a.status || "applied",
+    statusHistory: a.statusHistory || [],
+    withdrawalReason: a.withdrawalReason,
+    allowedTransitions: a.allowedTransitions || [],
+    appliedAt: a.appliedAt,
+  };
+}
+
+export default function ApplicantsList({ jobId: jobIdProp }) {
+  const params = useParams();
+  const jobId = jobIdProp || params.id;
   const [applicants, setApplicants] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [selected, setSelected] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [search, setSearch] = useState("");
-  const [sortBy, setSortBy] = useState("latest");
+  // Search text sent to the server, trailing the input by SEARCH_DELAY_MS
+  const [query, setQuery] = useState("");
+  const [sortBy, setSortBy] = useState("newest");
   const [statusFilter, setStatusFilter] = useState("all");
+  // Bumped on every new listing so pages of an earlier one are dropped
+  const listId = useRef(0);
+  const [nextStatus, setNextStatus] = useState("");
+  const [statusNote, setStatusNote] = useState("");
+  const [savingStatus, setSavingStatus] = useState(false);
 
-  // fetch applicants
   useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Filtering and sorting happen on the server, a page at a time
+  const listParams = useMemo(
+    () => ({
+      sort: sortBy,
+      limit: PAGE_SIZE,
+      ...(query ? { q: query } : {}),
+      ...(statusFilter !== "all" ? { status: statusFilter } : {}),
+    }),
+    [query, sortBy, statusFilter]
+  );
+
+  // fetch the first page
+  useEffect(() => {
+    let mounted = true;
+    listId.current += 1;
     async function loadApplicants() {
       setLoading(true);
+      setLoadingMore(false);
       try {
-        const res = await api.get(`/api/jobs/${jobId}/applicants`);
-        setApplicants(res.data?.data || res.data || []);
+        const res = await api.get(`/api/jobs/${jobId}/applicants`, {
+          params: { ...listParams, includeTotal: true },
+        });
+        if (!mounted) return;
+        setApplicants((res.data?.applicants || []).map(toRow));
+        setTotal(res.data?.meta?.total || 0);
+        setNextCursor(res.data?.meta?.nextCursor || null);
       } catch (err) {
         console.error(err);
-        toast.error("Failed to load applicants");
+        toast.error(err.response?.data?.error || "Failed to load applicants");
       } finally {
-        setLoading(false);
+        if (mounted) setLoading(false);
       }
     }
     if (jobId) loadApplicants();
-  }, [jobId]);
-
-  // filter + sort
-  const filtered = useMemo(() => {
-    let list = applicants.slice();
-    const q = search.trim().toLowerCase();
+    return () => (mounted = false);
+  }, [jobId, listParams]);
 
-    if (q) {
-      list = list.filter((a) =>
-        (a.name || "").toLowerCase().includes(q) ||
-        (a.email || "").toLowerCase().includes(q) ||
-        (a.skills || []).join(" ").toLowerCase().includes(q)
-      );
-    }
-
-    if (statusFilter !== "all") {
-      list = list.filter((a) => a.status === statusFilter);
+  async function loadMore() {
+    if (!nextCursor || loadingMore) return;
+    const current = listId.current;
+    setLoadingMore(true);
+    try {
+      const res = await api.get(`/api/jobs/${jobId}/applicants`, {
+        params: { ...listParams, cursor: nextCursor },
+      });
+      if (current !== listId.current) return;
+      setApplicants((prev) => [...prev, ...(res.data?.applicants || []).map(toRow)]);
+      setNextCursor(res.data?.meta?.nextCursor || null);
+    } catch (err) {
+      if (current === listId.current) toast.error(err.response?.data?.error || "Failed to load more applicants");
+    } finally {
+      if (current === listId.current) setLoadingMore(false);
     }
-
-    if (sortBy === "latest") {
-      list.sort(
-        (a, b) =>
-          new Date(b.appliedAt || b.createdAt) -
-          new Date(a.appliedAt || a.createdAt)
-      );
-    } else if (sortBy === "oldest") {
-      list.sort(
-        (a, b) =>
-          new Date(a.appliedAt || a.createdAt) -
-          new Date(b.appliedAt || b.createdAt)
-      );
-    }
-
-    return list;
-  }, [applicants, search, sortBy, statusFilter]);
+  }
 
   const loadingSkeleton = (
     <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
@@ -87,12 +140,51 @@ export default function ApplicantsList({ jobId }) {
     </div>
   );
 
-  const handleStatusChange = (id, status) => {
+  function openApplicant(a) {
+    setSelected(a);
+    setNextStatus(a.allowedTransitions[0] || "");
+    setStatusNote("");
+  }
+
+  function patchApplicant(id, changes) {
     setApplicants((prev) =>
-      prev.map((a) => (a._id === id ? { ...a, status } : a))
+      prev.map((a) => (a._id === id ? { ...a, ...changes } : a))
     );
-    toast.success(`Status changed to ${status}`);
-  };
+    setSelected((prev) => (prev && prev._id === id ? { ...prev, ...changes } : prev));
+  }
+
+  // Optimistically apply the new status, then reconcile with the server or roll back
+  async function handleStatusChange(applicant, status) {
+    if (!status) return;
+    const previous = {
+      status: applicant.status,
+      statusHistory: applicant.statusHistory,
+      allowedTransitions: applicant.allowedTransitions,
+    };
+    patchApplicant(applicant._id, { status, allowedTransitions: [] });
+    setSavingStatus(true);
+    try {
+      const res = await api.patch(
+        `/api/jobs/${jobId}/applications/${applicant._id}`,
+        { status, note: statusNote }
+      );
+      const updated = res.data?.application || {};
+      patchApplicant(applicant._id, {
+        status: updated.status || status,
+        statusHistory: updated.statusHistory || previous.statusHistory,
+        allowedTransitions: updated.allowedTransitions || [],
+      });
+      setNextStatus(updated.allowedTransitions?.[0] || "");
+      setStatusNote("");
+      toast.success(`Status changed to ${status}`);
+    } catch (err) {
+      console.error(err);
+      patchApplicant(applicant._id, previous);
+      toast.error(err?.response?.data?.error || "Failed to update status");
+    } finally {
+      setSavingStatus(false);
+    }
+  }
 
   return (
     <div className="app-container mt-6">
@@ -101,7 +193,7 @@ export default function ApplicantsList({ jobId }) {
         <div>
           <h2 className="text-2xl font-semibold">Applicants</h2>
           <p className="text-sm text-muted-foreground">
-            {filtered.length} of {applicants.length} total
+            {applicants.length} of {total} shown
           </p>
         </div>
 
@@ -119,10 +211,11 @@ export default function ApplicantsList({ jobId }) {
             onChange={(e) => setStatusFilter(e.target.value)}
           >
             <option value="all">All</option>
-            <option value="pending">Pending</option>
-            <option value="reviewed">Reviewed</option>
-            <option value="shortlisted">Shortlisted</option>
-            <option value="rejected">Rejected</option>
+            {STATUSES.map((s) => (
+              <option key={s} value={s}>
+                {s.charAt(0).toUpperCase() + s.slice(1)}
+              </option>
+            ))}
           </select>
 
           <select
@@ -130,8 +223,9 @@ export default function ApplicantsList({ jobId }) {
             value={sortBy}
             onChange={(e) => setSortBy(e.target.value)}
           >
-            <option value="latest">Latest</option>
+            <option value="newest">Latest</option>
             <option value="oldest">Oldest</option>
+            <option value="match">Best match</option>
           </select>
         </div>
       </div>
@@ -139,24 +233,25 @@ export default function ApplicantsList({ jobId }) {
       {/* Main content */}
       {loading ? (
         loadingSkeleton
-      ) : filtered.length === 0 ? (
+      ) : applicants.length === 0 ? (
         <div className="text-center mt-16 text-muted-foreground">
           No applicants found.
         </div>
       ) : (
         <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {filtered.map((a) => (
+          {applicants.map((a) => (
             <motion.div key={a._id} whileHover={{ scale: 1.02 }}>
               <Card
                 className={clsx(
                   "p-4 cursor-pointer transition-shadow hover:shadow-md",
                   {
-                    "border-green-200": a.status === "shortlisted",
-                    "border-yellow-200": a.status === "pending",
+                    "border-green-200": a.status === "hired" || a.status === "offered",
+                    "border-yellow-200": a.status === "applied",
                     "border-red-200": a.status === "rejected",
+                    "opacity-60": a.status === "withdrawn",
                   }
                 )}
-                onClick={() => setSelected(a)}
+                onClick={() => openApplicant(a)}
               >
                 <CardContent className="p-0 flex flex-col justify-between h-full">
                   <div>
@@ -189,17 +284,18 @@ export default function ApplicantsList({ jobId }) {
                   <div className="flex items-center justify-between mt-auto">
                     <span className="text-xs text-neutral-500">
                       {new Date(a.appliedAt || a.createdAt).toLocaleDateString()}
+                      {a.matchScore != null && ` • ${a.matchScore}% match`}
                     </span>
                     <Badge
                       variant={
-                        a.status === "shortlisted"
-                          ? "success"
+                        a.status === "hired" || a.status === "offered"
+                          ? "secondary"
                           : a.status === "rejected"
                           ? "destructive"
                           : "outline"
                       }
                     >
-                      {a.status || "pending"}
+                      {a.status}
                     </Badge>
                   </div>
                 </CardContent>
@@ -209,6 +305,10 @@ export default function ApplicantsList({ jobId }) {
         </div>
       )}
 
+      {!loading && (
+        <LoadMore hasMore={!!nextCursor} loading={loadingMore} onLoadMore={loadMore} label="Load more applicants" />
+      )}
+
       {/* Applicant modal */}
       <Dialog open={!!selected} onOpenChange={() => setSelected(null)}>
         <DialogContent className="max-w-lg">
@@ -233,7 +333,25 @@ export default function ApplicantsList({ jobId }) {
                     ? selected.skills.join(", ")
                     : "—"}
                 </div>
-                {selected.resume && (
+                {selected.matchBreakdown.length > 0 && (
+                  <MatchBreakdown
+                    score={selected.matchScore}
+                    breakdown={selected.matchBreakdown}
+                    matched={selected.matchedSkills}
+                    missing={selected.missingSkills}
+                  />
+                )}
+                {selected.resumeFile ? (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      openFile(selected.resumeFile).catch(() => toast.error("Could not open resume"))
+                    }
+                    className="text-blue-600 underline"
+                  >
+                    View Resume
+                  </button>
+                ) : selected.resume && (
                   <a
                     href={selected.resume}
                     target="_blank"
@@ -243,25 +361,63 @@ export default function ApplicantsList({ jobId }) {
                     View Resume
                   </a>
                 )}
+
+                {selected.statusHistory.length > 0 && (
+                  <div>
+                    <strong>History:</strong>
+                    <ol className="mt-1 space-y-1 border-l border-neutral-200 pl-3">
+                      {selected.statusHistory.map((h, i) => (
+                        <li key={i} className="text-xs text-neutral-600">
+                          <span className="font-medium text-neutral-800">
+                            {h.from ? `${h.from} → ${h.to}` : h.to}
+                          </span>
+                          {" • "}
+                          {new Date(h.changedAt).toLocaleString()}
+                          {h.changedBy?.name && ` • ${h.changedBy.name}`}
+                          {h.note && (
+                            <div className="text-neutral-500">“{h.note}”</div>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
               </div>
-              <DialogFooter className="flex justify-end gap-2 mt-4">
-                <Button
-                  variant="outline"
-                  onClick={() => handleStatusChange(selected._id, "rejected")}
-                >
-                  Reject
-                </Button>
-                <Button
-                  variant="secondary"
-                  onClick={() => handleStatusChange(selected._id, "reviewed")}
-                >
-                  Mark Reviewed
-                </Button>
-                <Button
-                  onClick={() => handleStatusChange(selected._id, "shortlisted")}
-                >
-                  Shortlist
-                </Button>
+              <DialogFooter className="flex flex-col gap-2 mt-4 sm:flex-col">
+                {selected.allowedTransitions.length === 0 ? (
+                  <p className="text-sm text-neutral-500">
+                    This application is {selected.status}; no further changes are possible.
+                  </p>
+                ) : (
+                  <>
+                    <Textarea
+                      value={statusNote}
+                      onChange={(e) => setStatusNote(e.target.value)}
+                      placeholder="Optional note for the history"
+                      className="h-16"
+                    />
+                    <div className="flex justify-end gap-2">
+                      <select
+                        className="form-field"
+                        value={nextStatus}
+                        onChange={(e) => setNextStatus(e.target.value)}
+                        disabled={savingStatus}
+                      >
+                        {selected.allowedTransitions.map((s) => (
+                          <option key={s} value={s}>
+                            {s.charAt(0).toUpperCase() + s.slice(1)}
+                          </option>
+                        ))}
+                      </select>
+                      <Button
+                        onClick={() => handleStatusChange(selected, nextStatus)}
+                        disabled={savingStatus || !nextStatus}
+                      >
+                        {savingStatus ? "Saving..." : "Update status"}
+                      </Button>
+                    </div>
+                  </>
+                )}
               </DialogFooter>
             </>
           )}
@@ -0,0 +1,339 @@
+import React, { useEffect, useState } from "react";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { toast } from "sonner";
+import api from "../api";
+import { openFile } from "../lib/files";
+import SkillInput from "../components/SkillInput";
+import MatchBreakdown from "../components/MatchBreakdown";
+
+const AVAILABILITY_LABELS = {
+  immediately: "Available now",
+  "within-month": "Within a month",
+  "within-3-months": "Within 3 months",
+  "not-looking": "Not actively looking",
+};
+
+const EMPTY_FILTERS = { q: "", location: "", skills: [], availability: "", minYears: "", maxYears: "", jobId: "" };
+const PAGE_SIZE = 20;
+
+// Filters -> GET /api/candidates query (empty values omitted)
+function toParams(filters, page) {
+  const params = { page, limit: PAGE_SIZE };
+  ["q", "location", "availability", "minYears", "maxYears", "jobId"].forEach((k) => {
+    if (String(filters[k]).trim() !== "") params[k] = filters[k];
+  });
+  if (filters.skills.length) params.skills = filters.skills.join(",");
+  return params;
+}
+
+function period(e) {
+  const year = (d) => (d ? new Date(d).getFullYear() : "");
+  return `${year(e.startDate)} – ${e.current ? "present" : year(e.endDate) || "?"}`;
+}
+
+export default function CandidateSearch() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ meta: null, data: [] });
+  const [loading, setLoading] = useState(true);
+  const [jobs, setJobs] = useState([]);
+  const [selected, setSelected] = useState(null);
+
+  // The recruiter's own jobs, for "rank against"
+  useEffect(() => {
+    api
+      .get("/api/jobs/mine", { params: { limit: 100 } })
+      .then((res) => setJobs(res.data?.data || []))
+      .catch(() => setJobs([]));
+  }, []);
+
+  useEffect(() => {
+    let mounted = true;
+    async function load() {
+      setLoading(true);
+      try {
+        const res = await api.get("/api/candidates", { params: toParams(applied, page) });
+        if (mounted) setResult(res.data);
+      } catch (err) {
+        toast.error(err.response?.data?.error || "Failed to search candidates");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    }
+    load();
+    return () => (mounted = false);
+  }, [applied, page]);
+
+  function setFilter(k, v) {
+    setFilters((prev) => ({ ...prev, [k]: v }));
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    setPage(1);
+    setApplied(filters);
+  }
+
+  function reset() {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setApplied(EMPTY_FILTERS);
+  }
+
+  const { meta, data: candidates } = result;
+  const ranked = !!meta?.job;
+
+  return (
+    <div className="app-container mt-6">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold">Find candidates</h1>
+        <p className="text-sm text-muted-foreground">
+          Search seekers who made their profile discoverable. What you see follows each candidate's privacy settings.
+        </p>
+      </div>
+
+      <form onSubmit={submit} className="mb-6 grid gap-4 rounded-xl border border-neutral-200 p-4 md:grid-cols-3">
+        <div className="md:col-span-2">
+          <Label htmlFor="cand-q">Keywords</Label>
+          <Input
+            id="cand-q"
+            value={filters.q}
+            onChange={(e) => setFilter("q", e.target.value)}
+            placeholder="Headline, skills or resume text"
+          />
+        </div>
+        <div>
+          <Label htmlFor="cand-location">Location</Label>
+          <Input
+            id="cand-location"
+            value={filters.location}
+            onChange={(e) => setFilter("location", e.target.value)}
+            placeholder="City or country"
+          />
+        </div>
+        <div className="md:col-span-2">
+          <Label htmlFor="cand-skills">Must have all skills</Label>
+          <SkillInput id="cand-skills" value={filters.skills} onChange={(skills) => setFilter("skills", skills)} />
+        </div>
+        <div>
+          <Label htmlFor="cand-availability">Availability</Label>
+          <select
+            id="cand-availability"
+            className="form-field"
+            value={filters.availability}
+            onChange={(e) => setFilter("availability", e.target.value)}
+          >
+            <option value="">Any</option>
+            {Object.entries(AVAILABILITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex gap-2">
+          <div>
+            <Label htmlFor="cand-min">Min. years</Label>
+            <Input
+              id="cand-min"
+              type="number"
+              min={0}
+              max={60}
+              value={filters.minYears}
+              onChange={(e) => setFilter("minYears", e.target.value)}
+            />
+          </div>
+          <div>
+            <Label htmlFor="cand-max">Max. years</Label>
+            <Input
+              id="cand-max"
+              type="number"
+              min={0}
+              max={60}
+              value={filters.maxYears}
+              onChange={(e) => setFilter("maxYears", e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="md:col-span-2">
+          <Label htmlFor="cand-job">Rank against job</Label>
+          <select
+            id="cand-job"
+            className="form-field"
+            value={filters.jobId}
+            onChange={(e) => setFilter("jobId", e.target.value)}
+          >
+            <option value="">Don't rank (most relevant / recently updated first)</option>
+            {jobs.map((j) => (
+              <option key={j._id} value={j._id}>
+                {j.title}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-end justify-end gap-2 md:col-span-3">
+          <Button type="button" variant="ghost" onClick={reset}>
+            Reset
+          </Button>
+          <Button type="submit">Search</Button>
+        </div>
+      </form>
+
+      {meta && (
+        <div className="mb-3 text-sm text-muted-foreground">
+          {meta.total} candidate{meta.total === 1 ? "" : "s"}
+          {ranked && ` ranked against "${meta.job.title}"`}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {Array.from({ length: 6 }).map((_, i) => (
+            <div key={i} className="h-36 rounded-xl border border-border bg-muted/50 animate-pulse" />
+          ))}
+        </div>
+      ) : !candidates.length ? (
+        <div className="text-center mt-16 text-muted-foreground">No candidates match these filters.</div>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {candidates.map((c) => (
+            <Card
+              key={c._id}
+              className="p-4 cursor-pointer transition-shadow hover:shadow-md"
+              onClick={() => setSelected(c)}
+            >
+              <CardContent className="p-0 space-y-2">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <h3 className="font-semibold truncate">{c.name || "Anonymous candidate"}</h3>
+                    <p className="text-sm text-neutral-500 truncate">{c.headline || "—"}</p>
+                  </div>
+                  {ranked && <Badge variant="secondary">{c.matchScore}% match</Badge>}
+                </div>
+                <p className="text-xs text-neutral-500">
+                  {[
+                    c.location,
+                    c.yearsExperience != null && `${c.yearsExperience} yrs experience`,
+                    AVAILABILITY_LABELS[c.availability],
+                  ]
+                    .filter(Boolean)
+                    .join(" • ")}
+                </p>
+                <div className="flex flex-wrap gap-1">
+                  {c.skills.slice(0, 5).map((s) => (
+                    <Badge key={s} variant="outline">
+                      {s}
+                    </Badge>
+                  ))}
+                  {c.skills.length > 5 && (
+                    <span className="text-xs text-neutral-400">+{c.skills.length - 5} more</span>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {meta && meta.pages > 1 && (
+        <div className="mt-6 flex items-center justify-center gap-3">
+          <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage((p) => p - 1)}>
+            Previous
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            Page {meta.page} of {meta.pages}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={page >= meta.pages}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            Next
+          </Button>
+        </div>
+      )}
+
+      <Dialog open={!!selected} onOpenChange={() => setSelected(null)}>
+        <DialogContent className="max-w-lg max-h-[85vh] overflow-y-auto">
+          {selected && (
+            <>
+              <DialogHeader>
+                <DialogTitle>{selected.name || "Anonymous candidate"}</DialogTitle>
+              </DialogHeader>
+              <div className="space-y-3 text-sm">
+                {selected.headline && <p className="font-medium">{selected.headline}</p>}
+                {selected.bio && <p className="text-neutral-600">{selected.bio}</p>}
+                {(selected.email || selected.phone) && (
+                  <p>
+                    <strong>Contact:</strong> {[selected.email, selected.phone].filter(Boolean).join(" • ")}
+                  </p>
+                )}
+                <div>
+                  <strong>Skills:</strong> {selected.skills.length ? selected.skills.join(", ") : "—"}
+                </div>
+                {selected.experience.length > 0 && (
+                  <div>
+                    <strong>Experience</strong>
+                    <ul className="mt-1 space-y-1">
+                      {selected.experience.map((e, i) => (
+                        <li key={i}>
+                          {e.title} · {e.company}{" "}
+                          <span className="text-neutral-500">({period(e)})</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                {selected.education.length > 0 && (
+                  <div>
+                    <strong>Education</strong>
+                    <ul className="mt-1 space-y-1">
+                      {selected.education.map((e, i) => (
+                        <li key={i}>{[e.degree, e.field, e.school].filter(Boolean).join(", ")}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                {selected.links?.length > 0 && (
+                  <div className="flex flex-wrap gap-3">
+                    {selected.links.map((l) => (
+                      <a key={l.url} href={l.url} target="_blank" rel="noreferrer" className="text-blue-600 underline">
+                        {l.label || l.type}
+                      </a>
+                    ))}
+                  </div>
+                )}
+                {ranked && selected.matchBreakdown?.length > 0 && (
+                  <MatchBreakdown
+                    score={selected.matchScore}
+                    breakdown={selected.matchBreakdown}
+                    matched={selected.matchedSkills}
+                    missing={selected.missingSkills}
+                  />
+                )}
+                {selected.resumeFile ? (
+                  <button
+                    type="button"
+                    onClick={() => openFile(selected.resumeFile).catch(() => toast.error("Could not open resume"))}
+                    className="text-blue-600 underline"
+                  >
+                    View Resume
+                  </button>
+                ) : (
+                  <p className="text-xs text-neutral-500">This candidate has not shared a resume.</p>
+                )}
+              </div>
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
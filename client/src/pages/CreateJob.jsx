@@ -14,6 +14,25 @@ import {
 } from "@/components/ui/card";
 import { Label } from "@/components/ui/label";
 import { toast } from "sonner";
+import SkillInput from "../components/SkillInput";
+import LocationInput from "../components/LocationInput";
+import { CURRENCIES, PAY_PERIODS } from "../lib/salary";
+
+// Empty inputs are left out; currency and period always go along so amounts are unambiguous
+function salaryPayload(s) {
+  const num = (v) => (String(v).trim() === "" ? undefined : Number(v));
+  const equity = { min: num(s.equity.min), max: num(s.equity.max) };
+  const bonus = { targetPercent: num(s.bonus.targetPercent), description: s.bonus.description.trim() || undefined };
+  return {
+    min: num(s.min) ?? 0,
+    max: num(s.max) ?? 0,
+    currency: s.currency,
+    period: s.period,
+    hidden: s.hidden,
+    ...(equity.min !== undefined || equity.max !== undefined ? { equity } : {}),
+    ...(bonus.targetPercent !== undefined || bonus.description ? { bonus } : {}),
+  };
+}
 
 export default function CreateJob() {
   const [form, setForm] = useState({
@@ -22,10 +41,25 @@ export default function CreateJob() {
     location: "",
     isRemote: true,
     type: "full-time",
-    salaryRange: { min: 0, max: 0 },
+    salaryRange: {
+      min: "",
+      max: "",
+      currency: "USD",
+      period: "yearly",
+      hidden: false,
+      equity: { min: "", max: "" },
+      bonus: { targetPercent: "", description: "" },
+    },
     description: "",
-    tags: "",
+    tags: [],
+    requirements: "",
+    niceToHave: "",
+    minYearsExperience: "",
     applyUrl: "",
+    reapplyPolicy: { allowAfterWithdrawal: false, allowAfterRejection: false, cooldownDays: 30 },
+    status: "published",
+    publishAt: "",
+    expiresAt: "",
   });
   const navigate = useNavigate();
   const { user } = useAuth();
@@ -35,24 +69,39 @@ export default function CreateJob() {
     setForm((prev) => ({ ...prev, [key]: value }));
   }
 
+  function setSalary(key, value) {
+    setForm((prev) => ({ ...prev, salaryRange: { ...prev.salaryRange, [key]: value } }));
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     setSubmitting(true);
     try {
+      const { publishAt, expiresAt, minYearsExperience, salaryRange, ...rest } = form;
+      const lines = (text) => text.split("\n").map((s) => s.trim()).filter(Boolean);
       const payload = {
-        ...form,
-        tags:
-          typeof form.tags === "string"
-            ? form.tags
-                .split(",")
-                .map((s) => s.trim())
-                .filter(Boolean)
-            : form.tags,
+        ...rest,
+        requirements: lines(form.requirements),
+        niceToHave: lines(form.niceToHave),
+        salaryRange: salaryPayload(salaryRange),
+        ...(minYearsExperience !== "" ? { minYearsExperience: Number(minYearsExperience) } : {}),
+        ...(form.status === "scheduled" && publishAt
+          ? { publishAt: new Date(publishAt).toISOString() }
+          : {}),
+        ...(expiresAt ? { expiresAt: new Date(expiresAt).toISOString() } : {}),
       };
 
       const res = await api.post("/api/jobs", payload);
-      toast.success("Job created successfully");
-      navigate(`/jobs/${res.data._id}`);
+      if (form.status === "draft") {
+        toast.success("Draft saved");
+        navigate("/dashboard");
+      } else if (form.status === "scheduled") {
+        toast.success("Job scheduled");
+        navigate("/dashboard");
+      } else {
+        toast.success("Job created successfully");
+        navigate(`/jobs/${res.data._id}`);
+      }
     } catch (err) {
       console.error(err);
       toast.error(err?.response?.data?.error || "Failed to create job");
@@ -101,7 +150,7 @@ export default function CreateJob() {
               </div>
               <div>
                 <Label htmlFor="location">Location</Label>
-                <Input
+                <LocationInput
                   id="location"
                   value={form.location}
                   onChange={(e) => setField("location", e.target.value)}
@@ -150,46 +199,262 @@ export default function CreateJob() {
               </div>
             </div>
 
-            {/* Salary Range */}
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {/* Compensation */}
+            <div>
+              <Label>Compensation</Label>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mt-1">
+                <div>
+                  <Label htmlFor="salaryMin" className="text-xs">
+                    Min
+                  </Label>
+                  <Input
+                    id="salaryMin"
+                    type="number"
+                    min={0}
+                    value={form.salaryRange.min}
+                    onChange={(e) => setSalary("min", e.target.value)}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="salaryMax" className="text-xs">
+                    Max
+                  </Label>
+                  <Input
+                    id="salaryMax"
+                    type="number"
+                    min={0}
+                    value={form.salaryRange.max}
+                    onChange={(e) => setSalary("max", e.target.value)}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="salaryCurrency" className="text-xs">
+                    Currency
+                  </Label>
+                  <select
+                    id="salaryCurrency"
+                    value={form.salaryRange.currency}
+                    onChange={(e) => setSalary("currency", e.target.value)}
+                    className="form-field w-full"
+                  >
+                    {CURRENCIES.map((c) => (
+                      <option key={c} value={c}>
+                        {c}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <Label htmlFor="salaryPeriod" className="text-xs">
+                    Paid
+                  </Label>
+                  <select
+                    id="salaryPeriod"
+                    value={form.salaryRange.period}
+                    onChange={(e) => setSalary("period", e.target.value)}
+                    className="form-field w-full"
+                  >
+                    {PAY_PERIODS.map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <Label htmlFor="equityMin" className="text-xs">
+                    Equity min (%)
+                  </Label>
+                  <Input
+                    id="equityMin"
+                    type="number"
+                    min={0}
+                    max={100}
+                    step="any"
+                    value={form.salaryRange.equity.min}
+                    onChange={(e) => setSalary("equity", { ...form.salaryRange.equity, min: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="equityMax" className="text-xs">
+                    Equity max (%)
+                  </Label>
+                  <Input
+                    id="equityMax"
+                    type="number"
+                    min={0}
+                    max={100}
+                    step="any"
+                    value={form.salaryRange.equity.max}
+                    onChange={(e) => setSalary("equity", { ...form.salaryRange.equity, max: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="bonusPercent" className="text-xs">
+                    Target bonus (%)
+                  </Label>
+                  <Input
+                    id="bonusPercent"
+                    type="number"
+                    min={0}
+                    value={form.salaryRange.bonus.targetPercent}
+                    onChange={(e) => setSalary("bonus", { ...form.salaryRange.bonus, targetPercent: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="bonusDescription" className="text-xs">
+                    Bonus details
+                  </Label>
+                  <Input
+                    id="bonusDescription"
+                    maxLength={200}
+                    value={form.salaryRange.bonus.description}
+                    onChange={(e) => setSalary("bonus", { ...form.salaryRange.bonus, description: e.target.value })}
+                    placeholder="e.g. Quarterly, performance-based"
+                  />
+                </div>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-muted-foreground mt-2">
+                <input
+                  type="checkbox"
+                  checked={form.salaryRange.hidden}
+                  onChange={(e) => setSalary("hidden", e.target.checked)}
+                />
+                Hide the salary from seekers (it is still used to match candidates)
+              </label>
+            </div>
+
+            {/* Publishing */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <Label>Publishing</Label>
+                <select
+                  value={form.status}
+                  onChange={(e) => setField("status", e.target.value)}
+                  className="form-field w-full"
+                >
+                  <option value="published">Publish now</option>
+                  <option value="scheduled">Schedule</option>
+                  <option value="draft">Save as draft</option>
+                </select>
+              </div>
+              {form.status === "scheduled" && (
+                <div>
+                  <Label htmlFor="publishAt">Publish at</Label>
+                  <Input
+                    id="publishAt"
+                    type="datetime-local"
+                    value={form.publishAt}
+                    onChange={(e) => setField("publishAt", e.target.value)}
+                    required
+                  />
+                </div>
+              )}
               <div>
-                <Label htmlFor="salaryMin">Salary (min)</Label>
+                <Label htmlFor="expiresAt">Closes on (optional)</Label>
                 <Input
-                  id="salaryMin"
-                  type="number"
-                  value={form.salaryRange.min}
-                  onChange={(e) =>
-                    setField("salaryRange", {
-                      ...form.salaryRange,
-                      min: Number(e.target.value),
-                    })
-                  }
+                  id="expiresAt"
+                  type="datetime-local"
+                  value={form.expiresAt}
+                  onChange={(e) => setField("expiresAt", e.target.value)}
+                />
+              </div>
+            </div>
+
+            {/* Re-application policy */}
+            <div>
+              <Label>Re-applying</Label>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-1 items-center">
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={form.reapplyPolicy.allowAfterWithdrawal}
+                    onChange={(e) =>
+                      setField("reapplyPolicy", {
+                        ...form.reapplyPolicy,
+                        allowAfterWithdrawal: e.target.checked,
+                      })
+                    }
+                  />
+                  After withdrawal
+                </label>
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={form.reapplyPolicy.allowAfterRejection}
+                    onChange={(e) =>
+                      setField("reapplyPolicy", {
+                        ...form.reapplyPolicy,
+                        allowAfterRejection: e.target.checked,
+                      })
+                    }
+                  />
+                  After rejection
+                </label>
+                <div className="flex items-center gap-2">
+                  <Input
+                    id="cooldownDays"
+                    type="number"
+                    min={0}
+                    max={365}
+                    value={form.reapplyPolicy.cooldownDays}
+                    onChange={(e) =>
+                      setField("reapplyPolicy", {
+                        ...form.reapplyPolicy,
+                        cooldownDays: Number(e.target.value),
+                      })
+                    }
+                    className="w-24"
+                  />
+                  <span className="text-sm text-muted-foreground">day cooldown</span>
+                </div>
+              </div>
+            </div>
+
+            {/* Requirements (used for applicant matching) */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="requirements">Must-have requirements</Label>
+                <Textarea
+                  id="requirements"
+                  value={form.requirements}
+                  onChange={(e) => setField("requirements", e.target.value)}
+                  rows={4}
+                  placeholder={"One per line, e.g.\nReact\nREST APIs"}
                 />
               </div>
               <div>
-                <Label htmlFor="salaryMax">Salary (max)</Label>
-                <Input
-                  id="salaryMax"
-                  type="number"
-                  value={form.salaryRange.max}
-                  onChange={(e) =>
-                    setField("salaryRange", {
-                      ...form.salaryRange,
-                      max: Number(e.target.value),
-                    })
-                  }
+                <Label htmlFor="niceToHave">Nice to have</Label>
+                <Textarea
+                  id="niceToHave"
+                  value={form.niceToHave}
+                  onChange={(e) => setField("niceToHave", e.target.value)}
+                  rows={4}
+                  placeholder={"One per line, e.g.\nTypeScript"}
                 />
               </div>
             </div>
+            <div className="max-w-xs">
+              <Label htmlFor="minYearsExperience">Minimum years of experience</Label>
+              <Input
+                id="minYearsExperience"
+                type="number"
+                min={0}
+                max={50}
+                value={form.minYearsExperience}
+                onChange={(e) => setField("minYearsExperience", e.target.value)}
+                placeholder="Optional"
+              />
+            </div>
 
             {/* Tags */}
             <div>
               <Label htmlFor="tags">Tags</Label>
-              <Input
+              <SkillInput
                 id="tags"
                 value={form.tags}
-                onChange={(e) => setField("tags", e.target.value)}
-                placeholder="comma-separated, e.g. react,frontend,ui"
+                onChange={(tags) => setField("tags", tags)}
+                placeholder="Add a tag and press Enter, e.g. React"
               />
             </div>
 
@@ -207,7 +472,13 @@ export default function CreateJob() {
 
             <div className="flex justify-end">
               <Button type="submit" disabled={submitting}>
-                {submitting ? "Creating..." : "Create Job"}
+                {submitting
+                  ? "Saving..."
+                  : form.status === "draft"
+                  ? "Save Draft"
+                  : form.status === "scheduled"
+                  ? "Schedule Job"
+                  : "Create Job"}
               </Button>
             </div>
           </form>
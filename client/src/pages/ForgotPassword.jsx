@@ -0,0 +1,79 @@
+import React, { useState } from "react"
+import { Link } from "react-router-dom"
+import api from "../api"
+import { Input } from "../components/ui/input"
+import { Button } from "../components/ui/button"
+import { toast } from "sonner"
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("")
+  const [loading, setLoading] = useState(false)
+  const [sent, setSent] = useState(false)
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setLoading(true)
+    try {
+      await api.post("/api/auth/forgot-password", { email: email.trim() })
+      setSent(true)
+    } catch (error) {
+      console.error(error)
+      toast.error(error?.response?.data?.error || "Could not send reset link")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="app-container mt-10 flex justify-center px-4 sm:px-0">
+      <div className="w-full max-w-md">
+        <div className="p-6 rounded-2xl border border-neutral-200 shadow-sm bg-white dark:bg-neutral-900 dark:border-neutral-800">
+          <header className="mb-4 text-center">
+            <h2 className="text-2xl font-semibold text-neutral-900 dark:text-white">
+              Forgot password
+            </h2>
+            <p className="text-sm text-neutral-500 dark:text-neutral-400 mt-1">
+              Enter your account email and we’ll send you a link to reset your password.
+            </p>
+          </header>
+
+          {sent ? (
+            <p className="text-sm text-neutral-700 dark:text-neutral-300 text-center">
+              If <span className="font-medium">{email.trim()}</span> is registered, a reset link is on
+              its way. The link expires in an hour.
+            </p>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 dark:text-neutral-300 mb-1">
+                  Email
+                </label>
+                <Input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  placeholder="you@company.com"
+                  className="text-neutral-900 dark:text-neutral-100"
+                />
+              </div>
+
+              <div className="pt-2">
+                <Button type="submit" variant="primary" size="md" disabled={loading} className="w-full">
+                  {loading ? "Sending..." : "Send reset link"}
+                </Button>
+              </div>
+            </form>
+          )}
+
+          <footer className="mt-4 text-center text-sm text-neutral-600 dark:text-neutral-400">
+            Remembered it?{" "}
+            <Link to="/login" className="text-primary-600 dark:text-primary-400 font-medium hover:underline">
+              Back to sign in
+            </Link>
+          </footer>
+        </div>
+      </div>
+    </div>
+  )
+}
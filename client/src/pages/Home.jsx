@@ -1,59 +1,174 @@
-import React, { useEffect, useState, useMemo } from "react";
-import { Link, useLocation, useNavigate } from "react-router-dom";
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { LayoutGrid, Map as MapIcon, SlidersHorizontal } from "lucide-react";
+import { toast } from "sonner";
 import api from "../api";
 import Card from "../components/Card";
+import RecommendedJobs from "../components/RecommendedJobs";
+import SavedSearchDialog from "../components/SavedSearchDialog";
+import JobFilters from "../components/JobFilters";
+import JobMapView from "../components/JobMapView";
+import LoadMore from "../components/LoadMore";
+import { useAuth } from "../context/AuthContext";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
-import { Checkbox } from "@/components/ui/checkbox";
 import { cn } from "@/lib/utils";
 import clsx from "clsx";
 
-function useQuery() {
-  return new URLSearchParams(useLocation().search);
-}
+// URL parameters that make up a search; everything else in the URL is ignored
+const FILTER_KEYS = [
+  "q",
+  "location",
+  "near",
+  "radius",
+  "remote",
+  "type",
+  "company",
+  "tag",
+  "tags",
+  "experience",
+  "salaryMin",
+  "salaryMax",
+  "salaryCurrency",
+  "salaryPeriod",
+  "postedWithin",
+];
+
+const PAGE_SIZE = 24;
 
 export default function Home() {
-  const navigate = useNavigate();
-  const qParam = useQuery().get("q") || "";
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const qParam = searchParams.get("q") || "";
   const [query, setQuery] = useState(qParam);
   const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Bumped on every new search so pages of an earlier one are dropped
+  const searchId = useRef(0);
+  const [facets, setFacets] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [showFilters, setShowFilters] = useState(false);
+  // Criteria snapshot for the "Save search" dialog while it is open
+  const [saving, setSaving] = useState(null);
+
+  // Only the search parameters, in a stable order, drive fetching
+  const filterParams = new URLSearchParams();
+  FILTER_KEYS.forEach((k) => searchParams.get(k) && filterParams.set(k, searchParams.get(k)));
+  const filterKey = filterParams.toString();
+  const filtering = filterKey !== "";
+  // ?view=map swaps the card grid for the map; it isn't a filter, so switching keeps the results
+  const mapView = searchParams.get("view") === "map";
+  // Same defaults as the server: nearest first for radius searches, best match for text searches
+  const defaultSort = searchParams.get("near") ? "distance" : qParam ? "relevance" : "newest";
+  const sort = searchParams.get("sort") || defaultSort;
+  const sortOptions = [
+    searchParams.get("near") && ["distance", "Nearest"],
+    qParam && ["relevance", "Best match"],
+    ["newest", "Newest"],
+    ["oldest", "Oldest"],
+  ].filter(Boolean);
 
-  const [locationFilter, setLocationFilter] = useState("");
-  const [remoteOnly, setRemoteOnly] = useState(false);
+  useEffect(() => {
+    setQuery(qParam);
+  }, [qParam]);
 
   useEffect(() => {
     let mounted = true;
+    searchId.current += 1;
     async function load() {
+      const params = Object.fromEntries(new URLSearchParams(filterKey));
       try {
         setLoading(true);
-        const res = await api.get(`/api/jobs?q=${encodeURIComponent(qParam)}&limit=60`);
-        const items = (res.data && (res.data.data || res.data)) || [];
-        if (mounted) setJobs(items);
+        setLoadingMore(false);
+        // The map fetches its own pins; the total is only counted for the first page
+        const [res, facetRes] = await Promise.all([
+          mapView ? null : api.get("/api/jobs", { params: { ...params, sort, limit: PAGE_SIZE, includeTotal: true } }),
+          api.get("/api/jobs/facets", { params }),
+        ]);
+        if (mounted) {
+          if (res) {
+            setJobs(res.data?.data || []);
+            setTotal(res.data?.meta?.total || 0);
+            setNextCursor(res.data?.meta?.nextCursor || null);
+          }
+          setFacets(facetRes.data?.facets || null);
+        }
       } catch (err) {
-        console.error(err);
+        // e.g. a "near" place the server can't locate
+        if (err.response?.status === 400) toast.error(err.response.data?.error || "Invalid search");
+        else console.error(err);
+        if (mounted) {
+          setJobs([]);
+          setTotal(0);
+          setNextCursor(null);
+        }
       } finally {
         if (mounted) setLoading(false);
       }
     }
     load();
     return () => (mounted = false);
-  }, [qParam]);
+  }, [filterKey, mapView, sort]);
 
-  const filtered = useMemo(() => {
-    return jobs.filter((j) => {
-      if (remoteOnly && !j.isRemote) return false;
-      if (locationFilter.trim()) {
-        const loc = (j.location || "").toLowerCase();
-        if (!loc.includes(locationFilter.trim().toLowerCase())) return false;
-      }
-      return true;
+  async function loadMore() {
+    if (!nextCursor || loadingMore) return;
+    const current = searchId.current;
+    const params = Object.fromEntries(new URLSearchParams(filterKey));
+    setLoadingMore(true);
+    try {
+      const res = await api.get("/api/jobs", { params: { ...params, sort, limit: PAGE_SIZE, cursor: nextCursor } });
+      if (current !== searchId.current) return;
+      setJobs((prev) => [...prev, ...(res.data?.data || [])]);
+      setNextCursor(res.data?.meta?.nextCursor || null);
+    } catch (err) {
+      if (current === searchId.current) toast.error(err.response?.data?.error || "Could not load more jobs");
+    } finally {
+      if (current === searchId.current) setLoadingMore(false);
+    }
+  }
+
+  // Apply { key: value } changes to the URL; empty values remove the parameter
+  function updateFilters(updates) {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([k, v]) => {
+      if (v === undefined || v === null || String(v) === "") next.delete(k);
+      else next.set(k, v);
     });
-  }, [jobs, locationFilter, remoteOnly]);
+    setSearchParams(next);
+  }
+
+  function resetFilters() {
+    const next = new URLSearchParams();
+    if (qParam) next.set("q", qParam);
+    if (mapView) next.set("view", "map");
+    setSearchParams(next);
+  }
+
+  // Saved searches hold a single type and tag; anything else can be adjusted in the dialog
+  function currentCriteria() {
+    const single = (key) => {
+      const values = (searchParams.get(key) || "").split(",").filter(Boolean);
+      return values.length === 1 ? values[0] : "";
+    };
+    const remote = searchParams.get("remote");
+    return {
+      q: qParam,
+      location: searchParams.get("location") || "",
+      remote: remote === "true" ? true : remote === "false" ? false : null,
+      type: single("type"),
+      tag: searchParams.get("tag") || single("tags"),
+      salaryMin: searchParams.get("salaryMin") || "",
+      salaryMax: searchParams.get("salaryMax") || "",
+      salaryCurrency: searchParams.get("salaryCurrency") || "",
+      salaryPeriod: searchParams.get("salaryPeriod") || "",
+    };
+  }
 
   function submitSearch(e) {
     e.preventDefault();
-    navigate(query ? `/?q=${encodeURIComponent(query)}` : "/", { replace: false });
+    updateFilters({ q: query.trim() });
   }
 
   return (
@@ -66,7 +181,7 @@ export default function Home() {
               Discover opportunities tailored to you
             </h1>
             <p className="text-muted-foreground mt-2">
-              Search by title, company, or skills — refine results with location or remote-only filter.
+              Search by title, company, or skills — narrow results down with the filters.
             </p>
 
             <form onSubmit={submitSearch} className="mt-5 flex gap-2 items-center">
@@ -97,125 +212,185 @@ export default function Home() {
         </div>
       </div>
 
-      {/* Filters */}
-      <div className="mb-6 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
-        <div className="flex items-center gap-3 w-full md:w-auto">
-          <Input
-            value={locationFilter}
-            onChange={(e) => setLocationFilter(e.target.value)}
-            placeholder="Filter by location"
-            className="w-[220px]"
-          />
-
-          <label className="flex items-center gap-2 text-sm text-muted-foreground">
-            <Checkbox checked={remoteOnly} onCheckedChange={setRemoteOnly} />
-            Remote only
-          </label>
-        </div>
+      {/* Personalised picks for seekers, hidden while searching */}
+      {user?.role === "seeker" && !filtering && <RecommendedJobs />}
 
-        <div className="text-sm text-muted-foreground">
-          Showing{" "}
-          <span className="font-medium text-foreground">{filtered.length}</span> results
-        </div>
-      </div>
+      <div className="grid gap-6 lg:grid-cols-4">
+        {/* Filters */}
+        <aside className={clsx("lg:block", !showFilters && "hidden")}>
+          <JobFilters params={searchParams} facets={facets} onChange={updateFilters} onReset={resetFilters} />
+        </aside>
 
-      {/* Jobs Grid */}
-      {loading ? (
-        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {Array.from({ length: 6 }).map((_, i) => (
-            <div
-              key={i}
-              className="border border-border rounded-xl p-4 bg-background animate-pulse"
-            >
-              <div className="h-5 w-1/2 bg-muted rounded mb-3" />
-              <div className="h-4 w-1/3 bg-muted rounded mb-2" />
-              <div className="h-20 bg-muted/50 rounded mb-3" />
-              <div className="flex justify-between">
-                <div className="h-8 w-20 bg-muted rounded" />
-                <div className="h-8 w-24 bg-muted rounded" />
+        <section className="lg:col-span-3">
+          <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-3">
+              <Button variant="outline" size="sm" className="lg:hidden" onClick={() => setShowFilters((v) => !v)}>
+                <SlidersHorizontal className="w-4 h-4 mr-1" />
+                Filters
+              </Button>
+              {!mapView && (
+                <div className="text-sm text-muted-foreground">
+                  Showing <span className="font-medium text-foreground">{jobs.length}</span>
+                  {total > jobs.length && <> of {total}</>} results
+                </div>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              {!mapView && (
+                <select
+                  aria-label="Sort by"
+                  className="form-field w-auto"
+                  value={sort}
+                  onChange={(e) => updateFilters({ sort: e.target.value === defaultSort ? "" : e.target.value })}
+                >
+                  {sortOptions.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <div className="flex rounded-md border border-border">
+                <Button
+                  variant={mapView ? "ghost" : "secondary"}
+                  size="sm"
+                  aria-pressed={!mapView}
+                  onClick={() => updateFilters({ view: "" })}
+                >
+                  <LayoutGrid className="w-4 h-4 mr-1" />
+                  List
+                </Button>
+                <Button
+                  variant={mapView ? "secondary" : "ghost"}
+                  size="sm"
+                  aria-pressed={mapView}
+                  onClick={() => updateFilters({ view: "map" })}
+                >
+                  <MapIcon className="w-4 h-4 mr-1" />
+                  Map
+                </Button>
               </div>
+              {user?.role === "seeker" && (
+                <Button variant="outline" size="sm" onClick={() => setSaving({ criteria: currentCriteria() })}>
+                  Save search
+                </Button>
+              )}
             </div>
-          ))}
-        </div>
-      ) : !filtered.length ? (
-        <div className="text-center text-muted-foreground mt-10">
-          No jobs found. Try adjusting your search or filters.
-        </div>
-      ) : (
-        <ul className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {filtered.map((j) => (
-            <li key={j._id}>
-              <Card className="rounded-xl border border-border hover:shadow-md transition">
-                <div className="flex flex-col justify-between h-full">
-                  <div>
-                    <div className="flex items-start gap-3">
-                      <div
-                        className={cn(
-                          "w-12 h-12 rounded-md flex items-center justify-center bg-muted text-sm font-semibold",
-                          !j.logo && "bg-muted"
-                        )}
-                      >
-                        {j.logo ? (
-                          <img
-                            src={j.logo}
-                            alt={`${j.company} logo`}
-                            className="w-full h-full object-contain rounded-md"
-                          />
-                        ) : (
-                          (j.company || "").slice(0, 1).toUpperCase()
-                        )}
-                      </div>
-                      <div className="flex-1">
-                        <Link
-                          to={`/jobs/${j._id}`}
-                          className="text-lg font-semibold hover:underline"
-                        >
-                          {j.title}
-                        </Link>
-                        <div className="text-sm text-muted-foreground mt-1">
-                          {j.company} • {j.location} {j.isRemote && "• Remote"}
+          </div>
+
+          {/* Map or jobs grid */}
+          {mapView ? (
+            <JobMapView filterKey={filterKey} />
+          ) : loading ? (
+            <div className="grid gap-4 sm:grid-cols-2 xl:grid-cols-3">
+              {Array.from({ length: 6 }).map((_, i) => (
+                <div
+                  key={i}
+                  className="border border-border rounded-xl p-4 bg-background animate-pulse"
+                >
+                  <div className="h-5 w-1/2 bg-muted rounded mb-3" />
+                  <div className="h-4 w-1/3 bg-muted rounded mb-2" />
+                  <div className="h-20 bg-muted/50 rounded mb-3" />
+                  <div className="flex justify-between">
+                    <div className="h-8 w-20 bg-muted rounded" />
+                    <div className="h-8 w-24 bg-muted rounded" />
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : !jobs.length ? (
+            <div className="text-center text-muted-foreground mt-10">
+              No jobs found. Try adjusting your search or filters.
+            </div>
+          ) : (
+            <ul className="grid gap-4 sm:grid-cols-2 xl:grid-cols-3">
+              {jobs.map((j) => (
+                <li key={j._id}>
+                  <Card className="rounded-xl border border-border hover:shadow-md transition">
+                    <div className="flex flex-col justify-between h-full">
+                      <div>
+                        <div className="flex items-start gap-3">
+                          <div
+                            className={cn(
+                              "w-12 h-12 rounded-md flex items-center justify-center bg-muted text-sm font-semibold",
+                              !j.logo && "bg-muted"
+                            )}
+                          >
+                            {j.logo ? (
+                              <img
+                                src={j.logo}
+                                alt={`${j.company} logo`}
+                                className="w-full h-full object-contain rounded-md"
+                              />
+                            ) : (
+                              (j.company || "").slice(0, 1).toUpperCase()
+                            )}
+                          </div>
+                          <div className="flex-1">
+                            <Link
+                              to={`/jobs/${j._id}`}
+                              className="text-lg font-semibold hover:underline"
+                            >
+                              {j.title}
+                            </Link>
+                            <div className="text-sm text-muted-foreground mt-1">
+                              {j.company} • {j.location} {j.isRemote && "• Remote"}
+                              {j.distanceKm != null && ` • ${j.distanceKm} km away`}
+                            </div>
+                          </div>
                         </div>
-                      </div>
-                    </div>
 
-                    <p className="text-sm text-muted-foreground mt-3 line-clamp-3">
-                      {j.description || ""}
-                    </p>
+                        <p className="text-sm text-muted-foreground mt-3 line-clamp-3">
+                          {j.description || ""}
+                        </p>
 
-                    {j.tags?.length > 0 && (
-                      <div className="mt-3 flex flex-wrap gap-2">
-                        {j.tags.slice(0, 5).map((t) => (
-                          <span
-                            key={t}
-                            className="px-2 py-1 text-xs bg-muted rounded-full text-muted-foreground"
-                          >
-                            {t}
-                          </span>
-                        ))}
+                        {j.tags?.length > 0 && (
+                          <div className="mt-3 flex flex-wrap gap-2">
+                            {j.tags.slice(0, 5).map((t) => (
+                              <span
+                                key={t}
+                                className="px-2 py-1 text-xs bg-muted rounded-full text-muted-foreground"
+                              >
+                                {t}
+                              </span>
+                            ))}
+                          </div>
+                        )}
                       </div>
-                    )}
-                  </div>
 
-                  <div className="mt-4 flex items-center justify-between">
-                    <div className="text-xs text-muted-foreground">
-                      {new Date(j.postedAt || j.createdAt).toLocaleDateString()}
-                    </div>
-                    <div className="flex items-center gap-2">
-                      <Link to={`/jobs/${j._id}`}>
-                        <Button variant="outline" size="sm">
-                          View
-                        </Button>
-                      </Link>
-                      <Link to={`/jobs/${j._id}`}>
-                        <Button size="sm">Apply</Button>
-                      </Link>
+                      <div className="mt-4 flex items-center justify-between">
+                        <div className="text-xs text-muted-foreground">
+                          {new Date(j.postedAt || j.createdAt).toLocaleDateString()}
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <Link to={`/jobs/${j._id}`}>
+                            <Button variant="outline" size="sm">
+                              View
+                            </Button>
+                          </Link>
+                          <Link to={`/jobs/${j._id}`}>
+                            <Button size="sm">Apply</Button>
+                          </Link>
+                        </div>
+                      </div>
                     </div>
-                  </div>
-                </div>
-              </Card>
-            </li>
-          ))}
-        </ul>
+                  </Card>
+                </li>
+              ))}
+            </ul>
+          )}
+          {!mapView && !loading && (
+            <LoadMore hasMore={!!nextCursor} loading={loadingMore} onLoadMore={loadMore} label="Load more jobs" />
+          )}
+        </section>
+      </div>
+
+      {user?.role === "seeker" && (
+        <SavedSearchDialog
+          open={!!saving}
+          onOpenChange={(open) => !open && setSaving(null)}
+          search={saving}
+        />
       )}
     </div>
   );
@@ -1,9 +1,12 @@
 import React, { useEffect, useState } from "react";
-import { useParams } from "react-router-dom";
+import { Link, useParams } from "react-router-dom";
 import api from "../api";
 import { useAuth } from "../context/AuthContext";
 import Card from "../components/Card";
 import ResumeUploader from "../components/ResumeUploader";
+import SimilarJobs from "../components/SimilarJobs";
+import { openFile } from "../lib/files";
+import { formatSalary, compensationExtras } from "../lib/salary";
 import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
 import {
@@ -16,6 +19,7 @@ import {
   DialogFooter,
 } from "@/components/ui/dialog";
 import { toast } from "sonner";
+import { Bookmark, BookmarkCheck } from "lucide-react";
 import clsx from "clsx";
 
 export default function JobDetails() {
@@ -25,7 +29,8 @@ export default function JobDetails() {
   const [job, setJob] = useState(null);
   const [loading, setLoading] = useState(true);
   const [coverLetter, setCoverLetter] = useState("");
-  const [resumeUrl, setResumeUrl] = useState("");
+  // Uploaded resume ({ id, name }); defaults to the one saved on the profile
+  const [resumeFile, setResumeFile] = useState(null);
   const [applying, setApplying] = useState(false);
   const [matchScore, setMatchScore] = useState(null);
   const [profileSkills, setProfileSkills] = useState([]);
@@ -54,7 +59,7 @@ export default function JobDetails() {
         const res = await api.get("/api/profile");
         const data = res.data || {};
         if (mounted) {
-          if (data.resumeUrl) setResumeUrl(data.resumeUrl);
+          if (data.resumeFile) setResumeFile({ id: data.resumeFile, name: "Profile resume" });
           if (Array.isArray(data.skills)) setProfileSkills(data.skills);
         }
       } catch {}
@@ -62,17 +67,30 @@ export default function JobDetails() {
     return () => (mounted = false);
   }, [user]);
 
+  async function toggleSave() {
+    const saved = !job.saved;
+    setJob((prev) => ({ ...prev, saved }));
+    try {
+      if (saved) await api.post(`/api/jobs/${id}/save`);
+      else await api.delete(`/api/jobs/${id}/save`);
+      toast.success(saved ? "Job saved" : "Removed from saved jobs");
+    } catch (err) {
+      setJob((prev) => ({ ...prev, saved: !saved }));
+      toast.error(err?.response?.data?.error || "Could not update saved jobs");
+    }
+  }
+
   async function handleApply() {
     if (!user) return toast.error("Please sign in to apply");
     if (user.role !== "seeker")
       return toast.error("Only seekers can apply to jobs");
-    if (!resumeUrl) return toast.error("Upload or select a resume first");
+    if (!resumeFile) return toast.error("Upload or select a resume first");
 
     setApplying(true);
     try {
       const res = await api.post(`/api/jobs/${id}/apply`, {
         coverLetter,
-        resumeUrl,
+        resumeFile: resumeFile.id,
         skills: profileSkills,
       });
       toast.success("Application submitted successfully");
@@ -138,6 +156,16 @@ export default function JobDetails() {
                   {new Date(job.createdAt).toLocaleDateString()}
                 </p>
                 <p className="text-xs">Posted date</p>
+                {user?.role === "seeker" && (
+                  <Button variant="outline" size="sm" className="mt-2" onClick={toggleSave}>
+                    {job.saved ? (
+                      <BookmarkCheck className="w-4 h-4 mr-1" />
+                    ) : (
+                      <Bookmark className="w-4 h-4 mr-1" />
+                    )}
+                    {job.saved ? "Saved" : "Save"}
+                  </Button>
+                )}
               </div>
             </header>
 
@@ -146,14 +174,24 @@ export default function JobDetails() {
                 <span className="tag">{job.location}</span>
               )}
               {job.isRemote && <span className="tag">Remote</span>}
+              {job.closingSoon && (
+                <span className="tag bg-amber-100 text-amber-700">
+                  Closes {new Date(job.expiresAt).toLocaleDateString()}
+                </span>
+              )}
               {job.type && <span className="tag">{job.type}</span>}
-              {job.salaryRange?.min && (
+              {formatSalary(job.salaryRange) && (
                 <span className="tag">
-                  {job.salaryRange.currency || "USD"}{" "}
-                  {job.salaryRange.min.toLocaleString()} -{" "}
-                  {job.salaryRange.max?.toLocaleString() || "—"}
+                  {formatSalary(job.salaryRange)}
+                  {/* Only the poster gets hidden amounts back */}
+                  {job.salaryRange.hidden && (job.salaryRange.min || job.salaryRange.max) ? " (hidden from seekers)" : ""}
                 </span>
               )}
+              {compensationExtras(job.salaryRange).map((extra) => (
+                <span key={extra} className="tag">
+                  {extra}
+                </span>
+              ))}
             </div>
 
             <hr className="my-4 border-neutral-200" />
@@ -196,7 +234,7 @@ export default function JobDetails() {
         </div>
 
         {/* RIGHT - Apply Section */}
-        <aside className="lg:col-span-1">
+        <aside className="lg:col-span-1 space-y-6">
           <Card className="p-5 border border-neutral-200 shadow-sm">
             <div className="flex items-center justify-between">
               <div>
@@ -210,25 +248,33 @@ export default function JobDetails() {
               </div>
             </div>
 
-            {user && user.role === "seeker" ? (
+            {job.acceptingApplications === false ? (
+              <p className="text-sm text-neutral-500 mt-3">
+                {job.status === "closed"
+                  ? "This job has closed and is no longer accepting applications."
+                  : "This job is not accepting applications right now."}
+              </p>
+            ) : user && user.role === "seeker" ? (
               <>
                 <div className="mt-4">
                   <p className="text-sm text-neutral-600 mb-2">Resume</p>
                   <ResumeUploader
-                    onUploaded={(url) => {
-                      setResumeUrl(url);
-                      toast.success("Resume uploaded");
+                    onUploaded={(f) => {
+                      setResumeFile({ id: f.id, name: f.name });
+                      // Show the skills read from the resume when the profile has none
+                      if (!profileSkills.length && f.parsed?.skills?.length) setProfileSkills(f.parsed.skills);
                     }}
                   />
-                  {resumeUrl ? (
-                    <a
-                      href={resumeUrl}
-                      target="_blank"
-                      rel="noreferrer"
+                  {resumeFile ? (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        openFile(resumeFile.id).catch(() => toast.error("Could not open resume"))
+                      }
                       className="text-sm text-primary hover:underline mt-1 inline-block"
                     >
-                      View uploaded resume
-                    </a>
+                      View {resumeFile.name || "uploaded resume"}
+                    </button>
                   ) : (
                     <p className="text-xs text-neutral-500 mt-1">
                       No resume selected
@@ -313,6 +359,12 @@ export default function JobDetails() {
                     <p className="text-xs text-neutral-500">
                       Higher score = stronger skill match.
                     </p>
+                    <Link
+                      to="/applications"
+                      className="text-sm text-primary hover:underline mt-2 inline-block"
+                    >
+                      Track your applications
+                    </Link>
                   </div>
                 )}
               </>
@@ -329,6 +381,8 @@ export default function JobDetails() {
               </p>
             )}
           </Card>
+
+          <SimilarJobs jobId={id} />
         </aside>
       </div>
     </div>
@@ -0,0 +1,390 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import api from "../api";
+import Card from "../components/Card";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { toast } from "sonner";
+import clsx from "clsx";
+
+const STATUS_COLUMNS = [
+  { key: "applied", label: "Applied" },
+  { key: "reviewing", label: "In review" },
+  { key: "interviewing", label: "Interviewing" },
+  { key: "offered", label: "Offered" },
+  { key: "hired", label: "Hired" },
+  { key: "rejected", label: "Not selected" },
+  { key: "withdrawn", label: "Withdrawn" },
+];
+
+const PAGE_SIZE = 50;
+
+/**
+ * MyApplications
+ *
+ * - Seeker tracker for submitted applications, grouped by pipeline status.
+ * - Each card shows the job summary, match score and status timeline.
+ * - status_change notifications link here with ?highlight=<applicationId>;
+ *   the highlighted card is scrolled into view and its updates marked read.
+ * - Open applications can be withdrawn with an optional reason.
+ */
+export default function MyApplications() {
+  const [searchParams] = useSearchParams();
+  const highlight = searchParams.get("highlight");
+
+  const [items, setItems] = useState([]);
+  const [meta, setMeta] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const highlightRef = useRef(null);
+  const [withdrawTarget, setWithdrawTarget] = useState(null);
+  const [withdrawReason, setWithdrawReason] = useState("");
+  const [withdrawing, setWithdrawing] = useState(false);
+
+  const fetchPage = useCallback(
+    async (page) => {
+      const params = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
+      if (query) params.set("q", query);
+      if (statusFilter !== "all") params.set("status", statusFilter);
+      const res = await api.get(`/api/applications/mine?${params.toString()}`);
+      return res.data || { data: [], meta: null };
+    },
+    [query, statusFilter]
+  );
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      setLoading(true);
+      try {
+        const { data, meta } = await fetchPage(1);
+        if (!mounted) return;
+        setItems(data || []);
+        setMeta(meta);
+      } catch (err) {
+        console.error(err);
+        toast.error("Failed to load your applications");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    })();
+    return () => (mounted = false);
+  }, [fetchPage]);
+
+  async function loadMore() {
+    if (!meta || meta.page >= meta.pages) return;
+    setLoadingMore(true);
+    try {
+      const { data, meta: nextMeta } = await fetchPage(meta.page + 1);
+      setItems((prev) => [...prev, ...(data || [])]);
+      setMeta(nextMeta);
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to load more applications");
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  async function markUpdatesRead(app) {
+    const unread = (app.notifications || []).filter((n) => !n.read);
+    if (!unread.length) return;
+    setItems((prev) =>
+      prev.map((a) =>
+        a.id === app.id
+          ? {
+              ...a,
+              unreadUpdates: 0,
+              notifications: a.notifications.map((n) => ({ ...n, read: true })),
+            }
+          : a
+      )
+    );
+    try {
+      await Promise.all(unread.map((n) => api.post(`/api/notifications/${n._id}/read`)));
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async function confirmWithdraw() {
+    if (!withdrawTarget) return;
+    setWithdrawing(true);
+    try {
+      const res = await api.post(`/api/applications/${withdrawTarget.id}/withdraw`, {
+        reason: withdrawReason.trim(),
+      });
+      const updated = res.data?.application || {};
+      const from = withdrawTarget.status;
+      setItems((prev) =>
+        prev.map((a) =>
+          a.id === withdrawTarget.id
+            ? { ...a, ...updated, id: a.id, canWithdraw: false, isFinal: true }
+            : a
+        )
+      );
+      setMeta((prev) =>
+        prev
+          ? {
+              ...prev,
+              counts: {
+                ...prev.counts,
+                [from]: Math.max(0, (prev.counts?.[from] || 0) - 1),
+                withdrawn: (prev.counts?.withdrawn || 0) + 1,
+              },
+            }
+          : prev
+      );
+      toast.success("Application withdrawn");
+      setWithdrawTarget(null);
+      setWithdrawReason("");
+    } catch (err) {
+      console.error(err);
+      toast.error(err?.response?.data?.error || "Failed to withdraw application");
+    } finally {
+      setWithdrawing(false);
+    }
+  }
+
+  // Bring the application a notification pointed at into view, once rather than on every change to its card
+  const highlighted = items.find((a) => a.id === highlight);
+  const handledHighlight = useRef(null);
+  useEffect(() => {
+    if (!highlighted || handledHighlight.current === highlighted.id) return;
+    handledHighlight.current = highlighted.id;
+    highlightRef.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+    markUpdatesRead(highlighted);
+  }, [highlighted]);
+
+  const grouped = useMemo(() => {
+    const groups = {};
+    STATUS_COLUMNS.forEach((c) => (groups[c.key] = []));
+    items.forEach((a) => {
+      if (groups[a.status]) groups[a.status].push(a);
+    });
+    return groups;
+  }, [items]);
+
+  const columns =
+    statusFilter === "all"
+      ? STATUS_COLUMNS
+      : STATUS_COLUMNS.filter((c) => c.key === statusFilter);
+
+  function submitSearch(e) {
+    e.preventDefault();
+    setQuery(search.trim());
+  }
+
+  return (
+    <div className="app-container mt-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold">My Applications</h2>
+          <p className="text-sm text-muted-foreground">
+            {meta ? `${meta.total} application${meta.total === 1 ? "" : "s"}` : "—"}
+          </p>
+        </div>
+
+        <form onSubmit={submitSearch} className="flex flex-wrap items-center gap-2 w-full md:w-auto">
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by job or company..."
+            className="max-w-xs"
+          />
+          <select
+            className="form-field"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+          >
+            <option value="all">All statuses</option>
+            {STATUS_COLUMNS.map((c) => (
+              <option key={c.key} value={c.key}>
+                {c.label} ({meta?.counts?.[c.key] ?? 0})
+              </option>
+            ))}
+          </select>
+          <Button type="submit" variant="outline">
+            Search
+          </Button>
+        </form>
+      </div>
+
+      {loading ? (
+        <div className="grid gap-4 md:grid-cols-3">
+          {Array.from({ length: 3 }).map((_, i) => (
+            <Skeleton key={i} className="h-48 w-full rounded-xl" />
+          ))}
+        </div>
+      ) : items.length === 0 ? (
+        <div className="text-center mt-16 text-muted-foreground">
+          <p className="mb-3">No applications found.</p>
+          <Link to="/" className="btn btn-primary">
+            Browse jobs
+          </Link>
+        </div>
+      ) : (
+        <div className="grid gap-4 md:grid-cols-2 xl:grid-cols-3">
+          {columns.map((col) => (
+            <section key={col.key} className="bg-neutral-50 border border-neutral-200 rounded-2xl p-3">
+              <header className="flex items-center justify-between mb-3 px-1">
+                <h3 className="text-sm font-semibold">{col.label}</h3>
+                <span className="text-xs text-neutral-500">{meta?.counts?.[col.key] ?? 0}</span>
+              </header>
+
+              {grouped[col.key].length === 0 ? (
+                <p className="text-xs text-neutral-400 px-1 pb-2">Nothing here yet.</p>
+              ) : (
+                <ul className="space-y-3">
+                  {grouped[col.key].map((a) => (
+                    <li key={a.id} ref={a.id === highlight ? highlightRef : undefined}>
+                      <ApplicationCard
+                        app={a}
+                        highlighted={a.id === highlight}
+                        onSeen={() => markUpdatesRead(a)}
+                        onWithdraw={() => setWithdrawTarget(a)}
+                      />
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          ))}
+        </div>
+      )}
+
+      <Dialog
+        open={!!withdrawTarget}
+        onOpenChange={(open) => {
+          if (!open) {
+            setWithdrawTarget(null);
+            setWithdrawReason("");
+          }
+        }}
+      >
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Withdraw application</DialogTitle>
+            <DialogDescription>
+              Withdraw your application for{" "}
+              <strong>{withdrawTarget?.job?.title || "this job"}</strong>? The recruiter
+              will be notified. Whether you can apply again depends on the job's policy.
+            </DialogDescription>
+          </DialogHeader>
+          <Textarea
+            value={withdrawReason}
+            onChange={(e) => setWithdrawReason(e.target.value)}
+            placeholder="Reason (optional)"
+            className="h-24"
+          />
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setWithdrawTarget(null)}>
+              Cancel
+            </Button>
+            <Button variant="destructive" onClick={confirmWithdraw} disabled={withdrawing}>
+              {withdrawing ? "Withdrawing..." : "Withdraw"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {meta && meta.page < meta.pages && (
+        <div className="flex justify-center mt-6">
+          <Button variant="outline" onClick={loadMore} disabled={loadingMore}>
+            {loadingMore ? "Loading..." : "Load more"}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ApplicationCard({ app, highlighted, onSeen, onWithdraw }) {
+  const job = app.job;
+  return (
+    <Card
+      tight
+      className={clsx("text-sm", highlighted && "ring-2 ring-primary-300")}
+      onClick={app.unreadUpdates ? onSeen : undefined}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          {job ? (
+            <Link to={`/jobs/${job._id}`} className="font-semibold hover:underline truncate block">
+              {job.title}
+            </Link>
+          ) : (
+            <span className="font-semibold text-neutral-500">Job no longer available</span>
+          )}
+          {job && (
+            <div className="text-xs text-neutral-500 truncate">
+              {job.company} • {job.location || "—"} {job.isRemote && "• Remote"}
+            </div>
+          )}
+        </div>
+        {app.unreadUpdates > 0 && <Badge variant="default">New update</Badge>}
+      </div>
+
+      <div className="flex items-center justify-between mt-2 text-xs text-neutral-500">
+        <span>Applied {new Date(app.appliedAt).toLocaleDateString()}</span>
+        <span
+          className={clsx(
+            "font-medium",
+            app.matchScore >= 75
+              ? "text-green-600"
+              : app.matchScore >= 40
+              ? "text-yellow-600"
+              : "text-red-600"
+          )}
+        >
+          Match {app.matchScore ?? 0}%
+        </span>
+      </div>
+
+      {app.statusHistory?.length > 0 && (
+        <ol className="mt-3 space-y-1 border-l border-neutral-200 pl-3">
+          {app.statusHistory.map((h, i) => (
+            <li key={i} className="text-xs text-neutral-600">
+              <span className="font-medium text-neutral-800">{h.to}</span>
+              {" • "}
+              {new Date(h.changedAt).toLocaleDateString()}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {app.status === "withdrawn" && app.withdrawalReason && (
+        <p className="mt-2 text-xs text-neutral-500">“{app.withdrawalReason}”</p>
+      )}
+
+      {app.canWithdraw && (
+        <div className="mt-3 flex justify-end">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={(e) => {
+              e.stopPropagation();
+              onWithdraw();
+            }}
+          >
+            Withdraw
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -7,20 +7,26 @@ import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Skeleton } from "@/components/ui/skeleton";
 import { ExternalLink, CheckCircle, Bell } from "lucide-react";
+import LoadMore from "../components/LoadMore";
+
+const PAGE_SIZE = 20;
 
 export default function Notifications() {
   const [items, setItems] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [markingAll, setMarkingAll] = useState(false);
   const navigate = useNavigate();
 
   async function load() {
     setLoading(true);
     try {
-      const res = await api.get("/api/notifications");
-      const list = res.data || [];
-      list.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-      setItems(list);
+      const res = await api.get("/api/notifications", { params: { limit: PAGE_SIZE } });
+      setItems(res.data?.data || []);
+      setUnreadCount(res.data?.meta?.unread || 0);
+      setNextCursor(res.data?.meta?.nextCursor || null);
     } catch (err) {
       console.error(err);
       toast.error("Failed to load notifications");
@@ -33,8 +39,25 @@ export default function Notifications() {
     load();
   }, []);
 
+  // Older notifications, newest first like the first page
+  async function loadMore() {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const res = await api.get("/api/notifications", { params: { limit: PAGE_SIZE, cursor: nextCursor } });
+      setItems((prev) => [...prev, ...(res.data?.data || [])]);
+      setNextCursor(res.data?.meta?.nextCursor || null);
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to load more notifications");
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
   async function markRead(id) {
     setItems((prev) => prev.map((it) => (it._id === id ? { ...it, read: true } : it)));
+    setUnreadCount((n) => Math.max(0, n - 1));
     try {
       await api.post(`/api/notifications/${id}/read`);
       toast.success("Marked read");
@@ -45,13 +68,14 @@ export default function Notifications() {
     }
   }
 
+  // Covers every unread notification, including pages not loaded yet
   async function markAllRead() {
-    const unread = items.filter((i) => !i.read);
-    if (!unread.length) return;
+    if (!unreadCount) return;
     setMarkingAll(true);
     setItems((prev) => prev.map((it) => ({ ...it, read: true })));
+    setUnreadCount(0);
     try {
-      await Promise.all(unread.map((i) => api.post(`/api/notifications/${i._id}/read`)));
+      await api.post("/api/notifications/read-all");
       toast.success("All notifications marked read");
     } catch (err) {
       console.error(err);
@@ -68,8 +92,6 @@ export default function Notifications() {
     else window.open(link, "_blank", "noopener,noreferrer");
   }
 
-  const unreadCount = items.filter((i) => !i.read).length;
-
   return (
     <div className="app-container mt-8 max-w-3xl">
       <div className="flex items-center justify-between mb-6">
@@ -163,6 +185,9 @@ export default function Notifications() {
           ))}
         </ul>
       )}
+      {!loading && (
+        <LoadMore hasMore={!!nextCursor} loading={loadingMore} onLoadMore={loadMore} label="Load older notifications" />
+      )}
     </div>
   );
 }
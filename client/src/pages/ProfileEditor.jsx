@@ -1,48 +1,215 @@
 import React, { useEffect, useState } from "react";
 import api from "../api";
 import ResumeUploader from "../components/ResumeUploader";
+import SkillInput from "../components/SkillInput";
+import { openFile } from "../lib/files";
 import { useAuth } from "../context/AuthContext";
 import { toast } from "sonner";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
 import { Label } from "@/components/ui/label";
-import { Badge } from "@/components/ui/badge";
 import { Skeleton } from "@/components/ui/skeleton";
-import { RotateCcw, Save } from "lucide-react";
+import { Plus, RotateCcw, Save, Trash2 } from "lucide-react";
 import clsx from "clsx";
 
+const LINK_TYPES = ["linkedin", "github", "portfolio", "website", "other"];
+const JOB_TYPES = ["full-time", "part-time", "contract", "internship", "temporary"];
+const REMOTE_OPTIONS = [
+  { value: "open", label: "Open to remote or on-site" },
+  { value: "only", label: "Remote only" },
+  { value: "no", label: "On-site only" },
+];
+
+const AVAILABILITY_OPTIONS = [
+  { value: "", label: "Not specified" },
+  { value: "immediately", label: "Available now" },
+  { value: "within-month", label: "Within a month" },
+  { value: "within-3-months", label: "Within 3 months" },
+  { value: "not-looking", label: "Not actively looking" },
+];
+const PRIVACY_OPTIONS = [
+  { key: "discoverable", label: "Let recruiters find my profile in candidate search" },
+  { key: "showName", label: "Show my name and links (otherwise you appear anonymised)" },
+  { key: "showContact", label: "Show my email and phone" },
+  { key: "showResume", label: "Let recruiters open my resume" },
+];
+
+const EMPTY_ITEMS = {
+  experience: { title: "", company: "", location: "", startDate: "", endDate: "", current: false, description: "" },
+  education: { school: "", degree: "", field: "", startDate: "", endDate: "", description: "" },
+  links: { type: "linkedin", label: "", url: "" },
+  certifications: { name: "", issuer: "", issuedAt: "", expiresAt: "", credentialId: "", url: "" },
+};
+
+// <input type="month"> wants YYYY-MM, <input type="date"> wants YYYY-MM-DD
+const toMonth = (d) => (d ? String(d).slice(0, 7) : "");
+const toDay = (d) => (d ? String(d).slice(0, 10) : "");
+const orNull = (v) => (v ? v : null);
+
+// API user -> form state
+function toForm(d = {}) {
+  return {
+    name: d.name || "",
+    company: d.company || "",
+    bio: d.bio || "",
+    headline: d.headline || "",
+    location: d.location || "",
+    phone: d.phone || "",
+    skills: Array.isArray(d.skills)
+      ? d.skills
+      : d.skills
+      ? d.skills.split(",").map((s) => s.trim()).filter(Boolean)
+      : [],
+    resumeUrl: d.resumeUrl || "",
+    resumeFile: d.resumeFile || null,
+    preferences: {
+      locations: (d.preferences?.locations || []).join(", "),
+      remote: d.preferences?.remote || "open",
+      jobTypes: d.preferences?.jobTypes || [],
+      minSalary: d.preferences?.minSalary ?? "",
+    },
+    availability: d.availability || "",
+    privacy: {
+      discoverable: !!d.privacy?.discoverable,
+      showName: d.privacy?.showName !== false,
+      showContact: !!d.privacy?.showContact,
+      showResume: !!d.privacy?.showResume,
+    },
+    experience: (d.experience || []).map((e) => ({
+      ...EMPTY_ITEMS.experience,
+      ...e,
+      startDate: toMonth(e.startDate),
+      endDate: toMonth(e.endDate),
+    })),
+    education: (d.education || []).map((e) => ({
+      ...EMPTY_ITEMS.education,
+      ...e,
+      startDate: toMonth(e.startDate),
+      endDate: toMonth(e.endDate),
+    })),
+    links: (d.links || []).map((l) => ({ ...EMPTY_ITEMS.links, ...l })),
+    certifications: (d.certifications || []).map((c) => ({
+      ...EMPTY_ITEMS.certifications,
+      ...c,
+      issuedAt: toDay(c.issuedAt),
+      expiresAt: toDay(c.expiresAt),
+    })),
+  };
+}
+
+// form state -> PUT /api/profile body (empty dates become null)
+function toPayload(form, role) {
+  return {
+    name: form.name.trim(),
+    ...(role === "recruiter" ? { company: form.company.trim() } : {}),
+    bio: form.bio || "",
+    headline: form.headline || "",
+    location: form.location || "",
+    phone: form.phone.trim(),
+    skills: form.skills,
+    resumeUrl: form.resumeUrl || "",
+    resumeFile: form.resumeFile || null,
+    preferences: {
+      locations: form.preferences.locations.split(",").map((s) => s.trim()).filter(Boolean),
+      remote: form.preferences.remote,
+      jobTypes: form.preferences.jobTypes,
+      minSalary: form.preferences.minSalary === "" ? null : Number(form.preferences.minSalary),
+    },
+    ...(role === "seeker" ? { availability: form.availability || null, privacy: form.privacy } : {}),
+    experience: form.experience.map(({ _id, current, startDate, endDate, ...rest }) => ({
+      ...(_id ? { _id } : {}),
+      ...rest,
+      current: !!current,
+      startDate: orNull(startDate),
+      endDate: current ? null : orNull(endDate),
+    })),
+    education: form.education.map(({ _id, startDate, endDate, ...rest }) => ({
+      ...(_id ? { _id } : {}),
+      ...rest,
+      startDate: orNull(startDate),
+      endDate: orNull(endDate),
+    })),
+    links: form.links.map(({ type, label, url }) => ({ type, label, url: url.trim() })),
+    certifications: form.certifications.map(({ _id, issuedAt, expiresAt, ...rest }) => ({
+      ...(_id ? { _id } : {}),
+      ...rest,
+      issuedAt: orNull(issuedAt),
+      expiresAt: orNull(expiresAt),
+    })),
+  };
+}
+
+// Link type from a URL found in a resume
+function linkTypeFor(url) {
+  if (/linkedin\.com/i.test(url)) return "linkedin";
+  if (/github\.com/i.test(url)) return "github";
+  return "website";
+}
+
+// Fill gaps in the form from a parsed resume; nothing the user entered is overwritten
+function mergeParsedResume(form, parsed) {
+  const lower = (s) => (s || "").trim().toLowerCase();
+  const skillKeys = new Set(form.skills.map(lower));
+  const linkKeys = new Set(form.links.map((l) => lower(l.url)));
+  const expKeys = new Set(form.experience.map((e) => `${lower(e.title)}|${lower(e.company)}`));
+  const eduKeys = new Set(form.education.map((e) => `${lower(e.school)}|${lower(e.degree)}`));
+
+  return {
+    ...form,
+    headline: form.headline || parsed.headline || "",
+    phone: form.phone || parsed.contact?.phone || "",
+    bio: form.bio || (parsed.summary || "").slice(0, 1000),
+    skills: [...form.skills, ...(parsed.skills || []).filter((s) => !skillKeys.has(lower(s)))],
+    links: [
+      ...form.links,
+      ...(parsed.contact?.links || [])
+        .filter((url) => !linkKeys.has(lower(url)))
+        .map((url) => ({ ...EMPTY_ITEMS.links, type: linkTypeFor(url), url })),
+    ],
+    experience: [
+      ...form.experience,
+      ...(parsed.experience || [])
+        .filter((e) => e.title && !expKeys.has(`${lower(e.title)}|${lower(e.company)}`))
+        .map((e) => ({
+          ...EMPTY_ITEMS.experience,
+          title: e.title,
+          company: e.company || "",
+          startDate: toMonth(e.startDate),
+          endDate: toMonth(e.endDate),
+          current: !!e.current,
+          description: e.description || "",
+        })),
+    ],
+    education: [
+      ...form.education,
+      ...(parsed.education || [])
+        .filter((e) => !eduKeys.has(`${lower(e.school)}|${lower(e.degree)}`))
+        .map((e) => ({
+          ...EMPTY_ITEMS.education,
+          school: e.school || e.degree || "",
+          degree: e.school ? e.degree || "" : "",
+          startDate: toMonth(e.startDate),
+          endDate: toMonth(e.endDate),
+        })),
+    ],
+  };
+}
+
 export default function ProfileEditor() {
-  const { setUser } = useAuth();
-  const [form, setForm] = useState({
-    name: "",
-    headline: "",
-    location: "",
-    skills: [],
-    resumeUrl: "",
-  });
+  const { user, setUser } = useAuth();
+  const [form, setForm] = useState(toForm());
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
-  const [skillInput, setSkillInput] = useState("");
+  // Parsed content of the latest resume, offered as a one-click prefill
+  const [parsedResume, setParsedResume] = useState(null);
 
   useEffect(() => {
     let mounted = true;
     async function load() {
       try {
         const res = await api.get("/api/profile");
-        if (mounted && res.data) {
-          const d = res.data;
-          setForm({
-            name: d.name || "",
-            headline: d.headline || "",
-            location: d.location || "",
-            skills: Array.isArray(d.skills)
-              ? d.skills
-              : d.skills
-              ? d.skills.split(",").map((s) => s.trim()).filter(Boolean)
-              : [],
-            resumeUrl: d.resumeUrl || "",
-          });
-        }
+        if (mounted && res.data) setForm(toForm(res.data));
       } catch (err) {
         console.error(err);
         toast.error("Failed to load profile");
@@ -58,24 +225,52 @@ export default function ProfileEditor() {
     setForm((prev) => ({ ...prev, [k]: v }));
   }
 
-  function addSkillFromInput() {
-    const s = (skillInput || "").trim();
-    if (!s) return;
-    if (form.skills.includes(s)) {
-      setSkillInput("");
-      return;
-    }
-    setForm((prev) => ({ ...prev, skills: [...prev.skills, s] }));
-    setSkillInput("");
+  function setPreference(k, v) {
+    setForm((prev) => ({ ...prev, preferences: { ...prev.preferences, [k]: v } }));
+  }
+
+  function setPrivacy(k, v) {
+    setForm((prev) => ({ ...prev, privacy: { ...prev.privacy, [k]: v } }));
   }
 
-  function removeSkill(skill) {
+  function toggleJobType(type) {
+    const current = form.preferences.jobTypes;
+    setPreference("jobTypes", current.includes(type) ? current.filter((t) => t !== type) : [...current, type]);
+  }
+
+  // Repeatable sections (experience, education, links, certifications)
+  function addItem(section) {
+    setForm((prev) => ({ ...prev, [section]: [...prev[section], { ...EMPTY_ITEMS[section] }] }));
+  }
+
+  function updateItem(section, index, key, value) {
     setForm((prev) => ({
       ...prev,
-      skills: prev.skills.filter((s) => s !== skill),
+      [section]: prev[section].map((item, i) => (i === index ? { ...item, [key]: value } : item)),
     }));
   }
 
+  function removeItem(section, index) {
+    setForm((prev) => ({ ...prev, [section]: prev[section].filter((_, i) => i !== index) }));
+  }
+
+  async function loadParsedResume() {
+    try {
+      const res = await api.get(`/api/uploads/files/${form.resumeFile}`);
+      if (res.data?.parsed?.status === "parsed") setParsedResume(res.data.parsed);
+      else toast.error("We couldn't read this resume. Try uploading a PDF or DOCX.");
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to load resume details");
+    }
+  }
+
+  function applyParsedResume() {
+    setForm((prev) => mergeParsedResume(prev, parsedResume));
+    setParsedResume(null);
+    toast.success("Profile filled from resume. Review and save when ready.");
+  }
+
   async function save() {
     if (!form.name.trim()) {
       toast.error("Name is required");
@@ -83,14 +278,7 @@ export default function ProfileEditor() {
     }
     setSaving(true);
     try {
-      const payload = {
-        name: form.name.trim(),
-        headline: form.headline || "",
-        location: form.location || "",
-        skills: form.skills,
-        resumeUrl: form.resumeUrl || "",
-      };
-      const res = await api.put("/api/profile", payload);
+      const res = await api.put("/api/profile", toPayload(form, user?.role));
       toast.success("Profile saved");
 
       const updatedUser = res.data?.user || res.data;
@@ -161,48 +349,77 @@ export default function ProfileEditor() {
             />
           </div>
 
-          {/* Skills */}
-          <div className="md:col-span-2 space-y-2">
-            <Label className="text-sm text-neutral-700 dark:text-neutral-200">Skills</Label>
-            <div className="flex flex-wrap gap-2">
-              {form.skills.map((skill) => (
-                <Badge
-                  key={skill}
-                  variant="secondary"
-                  className="flex items-center gap-2 cursor-pointer hover:bg-primary-50 hover:text-primary-700"
-                  onClick={() => removeSkill(skill)}
-                  title="Click to remove"
-                >
-                  {skill} ✕
-                </Badge>
-              ))}
-            </div>
+          {/* Phone */}
+          <div className="space-y-1.5">
+            <Label htmlFor="phone" className="text-sm text-neutral-700 dark:text-neutral-200">
+              Phone
+            </Label>
+            <Input
+              id="phone"
+              type="tel"
+              value={form.phone}
+              onChange={(e) => setField("phone", e.target.value)}
+              placeholder="+1 555 123 4567"
+            />
+          </div>
 
-            <div className="flex gap-2">
+          {/* Company (recruiters) */}
+          {user?.role === "recruiter" && (
+            <div className="space-y-1.5">
+              <Label htmlFor="company" className="text-sm text-neutral-700 dark:text-neutral-200">
+                Company
+              </Label>
               <Input
-                value={skillInput}
-                onChange={(e) => setSkillInput(e.target.value)}
-                onKeyDown={(e) => {
-                  if (e.key === "Enter" || e.key === ",") {
-                    e.preventDefault();
-                    addSkillFromInput();
-                  }
-                }}
-                placeholder="Add a skill and press Enter"
+                id="company"
+                value={form.company}
+                onChange={(e) => setField("company", e.target.value)}
               />
-              <Button variant="outline" onClick={addSkillFromInput}>
-                Add
-              </Button>
             </div>
+          )}
+
+          {/* Bio */}
+          <div className="md:col-span-2 space-y-1.5">
+            <Label htmlFor="bio" className="text-sm text-neutral-700 dark:text-neutral-200">
+              About
+            </Label>
+            <Textarea
+              id="bio"
+              value={form.bio}
+              onChange={(e) => setField("bio", e.target.value)}
+              maxLength={1000}
+              rows={3}
+              placeholder="A short summary of your background"
+            />
+          </div>
+
+          {/* Skills */}
+          <div className="md:col-span-2 space-y-2">
+            <Label htmlFor="skills" className="text-sm text-neutral-700 dark:text-neutral-200">Skills</Label>
+            <SkillInput id="skills" value={form.skills} onChange={(skills) => setField("skills", skills)} />
           </div>
 
           {/* Resume */}
           <div className="md:col-span-2 space-y-2">
             <Label className="text-sm text-neutral-700 dark:text-neutral-200">Resume</Label>
             <div className="flex flex-col sm:flex-row sm:items-center sm:gap-4">
-              <ResumeUploader onUploaded={(url) => setField("resumeUrl", url)} />
+              <ResumeUploader
+                onUploaded={(f) => {
+                  setField("resumeFile", f.id);
+                  setParsedResume(f.parsed?.status === "parsed" ? f.parsed : null);
+                }}
+              />
               <div className="mt-2 sm:mt-0 text-sm">
-                {form.resumeUrl ? (
+                {form.resumeFile ? (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      openFile(form.resumeFile).catch(() => toast.error("Could not open resume"))
+                    }
+                    className="text-primary-600 hover:underline"
+                  >
+                    View current resume
+                  </button>
+                ) : form.resumeUrl ? (
                   <a
                     href={
                       form.resumeUrl.startsWith("http")
@@ -222,12 +439,262 @@ export default function ProfileEditor() {
                 )}
               </div>
             </div>
+            {form.resumeFile && !parsedResume && (
+              <button
+                type="button"
+                onClick={loadParsedResume}
+                className="text-sm text-primary-600 hover:underline"
+              >
+                Fill profile from this resume
+              </button>
+            )}
+            {parsedResume && (
+              <div className="rounded-lg border border-primary-100 bg-primary-50/50 p-3 text-sm flex flex-wrap items-center justify-between gap-2">
+                <span className="text-neutral-700">
+                  Found {parsedResume.skills?.length || 0} skills, {parsedResume.experience?.length || 0}{" "}
+                  positions and {parsedResume.education?.length || 0} education entries in your resume.
+                </span>
+                <div className="flex gap-2">
+                  <Button variant="ghost" size="sm" onClick={() => setParsedResume(null)}>
+                    Dismiss
+                  </Button>
+                  <Button size="sm" onClick={applyParsedResume}>
+                    Fill profile
+                  </Button>
+                </div>
+              </div>
+            )}
             <p className="text-xs text-neutral-500 dark:text-neutral-400">
               Tip: Upload a PDF for best compatibility.
             </p>
           </div>
         </div>
 
+        {/* Job preferences (seekers): used to score matches */}
+        {user?.role === "seeker" && (
+          <section className="mt-8">
+            <h3 className="text-base font-semibold text-neutral-800 mb-1">Job preferences</h3>
+            <p className="text-xs text-neutral-500 mb-3">
+              Used to rank how well jobs fit you. Recruiters never see your expected salary.
+            </p>
+            <div className="grid gap-3 md:grid-cols-2">
+              <Field label="Preferred locations">
+                <Input
+                  value={form.preferences.locations}
+                  onChange={(e) => setPreference("locations", e.target.value)}
+                  placeholder="Comma-separated, e.g. Nairobi, Berlin"
+                />
+              </Field>
+              <Field label="Remote">
+                <select
+                  className="form-field w-full"
+                  value={form.preferences.remote}
+                  onChange={(e) => setPreference("remote", e.target.value)}
+                >
+                  {REMOTE_OPTIONS.map((o) => (
+                    <option key={o.value} value={o.value}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Job types">
+                <div className="flex flex-wrap gap-3">
+                  {JOB_TYPES.map((t) => (
+                    <label key={t} className="inline-flex items-center gap-1.5 text-sm text-neutral-700">
+                      <input
+                        type="checkbox"
+                        checked={form.preferences.jobTypes.includes(t)}
+                        onChange={() => toggleJobType(t)}
+                      />
+                      {t}
+                    </label>
+                  ))}
+                </div>
+              </Field>
+              <Field label="Minimum salary">
+                <Input
+                  type="number"
+                  min={0}
+                  value={form.preferences.minSalary}
+                  onChange={(e) => setPreference("minSalary", e.target.value)}
+                  placeholder="Optional"
+                />
+              </Field>
+            </div>
+          </section>
+        )}
+
+        {/* Visibility in recruiter candidate search (seekers) */}
+        {user?.role === "seeker" && (
+          <section className="mt-8">
+            <h3 className="text-base font-semibold text-neutral-800 mb-1">Visibility to recruiters</h3>
+            <p className="text-xs text-neutral-500 mb-3">
+              Your profile is hidden from candidate search until you opt in. Recruiters of jobs you apply to
+              always see your application.
+            </p>
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="space-y-2">
+                {PRIVACY_OPTIONS.map((o) => (
+                  <label key={o.key} className="flex items-start gap-2 text-sm text-neutral-700">
+                    <input
+                      type="checkbox"
+                      className="mt-1"
+                      checked={form.privacy[o.key]}
+                      disabled={o.key !== "discoverable" && !form.privacy.discoverable}
+                      onChange={(e) => setPrivacy(o.key, e.target.checked)}
+                    />
+                    {o.label}
+                  </label>
+                ))}
+              </div>
+              <Field label="Availability">
+                <select
+                  className="form-field w-full"
+                  value={form.availability}
+                  onChange={(e) => setField("availability", e.target.value)}
+                >
+                  {AVAILABILITY_OPTIONS.map((o) => (
+                    <option key={o.value} value={o.value}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+            </div>
+          </section>
+        )}
+
+        {/* Experience */}
+        <ListSection title="Experience" addLabel="Add position" onAdd={() => addItem("experience")}>
+          {form.experience.map((exp, i) => (
+            <ItemCard key={exp._id || `new-${i}`} onRemove={() => removeItem("experience", i)}>
+              <Field label="Title">
+                <Input value={exp.title} onChange={(e) => updateItem("experience", i, "title", e.target.value)} />
+              </Field>
+              <Field label="Company">
+                <Input value={exp.company} onChange={(e) => updateItem("experience", i, "company", e.target.value)} />
+              </Field>
+              <Field label="Location">
+                <Input value={exp.location} onChange={(e) => updateItem("experience", i, "location", e.target.value)} />
+              </Field>
+              <div className="flex items-end gap-2 pb-2">
+                <label className="inline-flex items-center gap-2 text-sm text-neutral-700">
+                  <input
+                    type="checkbox"
+                    checked={!!exp.current}
+                    onChange={(e) => updateItem("experience", i, "current", e.target.checked)}
+                  />
+                  I currently work here
+                </label>
+              </div>
+              <Field label="Start">
+                <Input type="month" value={exp.startDate} onChange={(e) => updateItem("experience", i, "startDate", e.target.value)} />
+              </Field>
+              <Field label="End">
+                <Input
+                  type="month"
+                  value={exp.current ? "" : exp.endDate}
+                  disabled={exp.current}
+                  onChange={(e) => updateItem("experience", i, "endDate", e.target.value)}
+                />
+              </Field>
+              <Field label="Description" wide>
+                <Textarea
+                  rows={3}
+                  value={exp.description}
+                  onChange={(e) => updateItem("experience", i, "description", e.target.value)}
+                />
+              </Field>
+            </ItemCard>
+          ))}
+        </ListSection>
+
+        {/* Education */}
+        <ListSection title="Education" addLabel="Add education" onAdd={() => addItem("education")}>
+          {form.education.map((edu, i) => (
+            <ItemCard key={edu._id || `new-${i}`} onRemove={() => removeItem("education", i)}>
+              <Field label="School" wide>
+                <Input value={edu.school} onChange={(e) => updateItem("education", i, "school", e.target.value)} />
+              </Field>
+              <Field label="Degree">
+                <Input value={edu.degree} onChange={(e) => updateItem("education", i, "degree", e.target.value)} />
+              </Field>
+              <Field label="Field of study">
+                <Input value={edu.field} onChange={(e) => updateItem("education", i, "field", e.target.value)} />
+              </Field>
+              <Field label="Start">
+                <Input type="month" value={edu.startDate} onChange={(e) => updateItem("education", i, "startDate", e.target.value)} />
+              </Field>
+              <Field label="End">
+                <Input type="month" value={edu.endDate} onChange={(e) => updateItem("education", i, "endDate", e.target.value)} />
+              </Field>
+            </ItemCard>
+          ))}
+        </ListSection>
+
+        {/* Links */}
+        <ListSection title="Links" addLabel="Add link" onAdd={() => addItem("links")}>
+          {form.links.map((link, i) => (
+            <ItemCard key={i} onRemove={() => removeItem("links", i)}>
+              <Field label="Type">
+                <select
+                  className="form-field w-full"
+                  value={link.type}
+                  onChange={(e) => updateItem("links", i, "type", e.target.value)}
+                >
+                  {LINK_TYPES.map((t) => (
+                    <option key={t} value={t}>
+                      {t[0].toUpperCase() + t.slice(1)}
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              <Field label="Label">
+                <Input
+                  value={link.label}
+                  onChange={(e) => updateItem("links", i, "label", e.target.value)}
+                  placeholder="Optional"
+                />
+              </Field>
+              <Field label="URL" wide>
+                <Input
+                  type="url"
+                  value={link.url}
+                  onChange={(e) => updateItem("links", i, "url", e.target.value)}
+                  placeholder="https://"
+                />
+              </Field>
+            </ItemCard>
+          ))}
+        </ListSection>
+
+        {/* Certifications */}
+        <ListSection title="Certifications" addLabel="Add certification" onAdd={() => addItem("certifications")}>
+          {form.certifications.map((cert, i) => (
+            <ItemCard key={cert._id || `new-${i}`} onRemove={() => removeItem("certifications", i)}>
+              <Field label="Name">
+                <Input value={cert.name} onChange={(e) => updateItem("certifications", i, "name", e.target.value)} />
+              </Field>
+              <Field label="Issuer">
+                <Input value={cert.issuer} onChange={(e) => updateItem("certifications", i, "issuer", e.target.value)} />
+              </Field>
+              <Field label="Issued">
+                <Input type="date" value={cert.issuedAt} onChange={(e) => updateItem("certifications", i, "issuedAt", e.target.value)} />
+              </Field>
+              <Field label="Expires">
+                <Input type="date" value={cert.expiresAt} onChange={(e) => updateItem("certifications", i, "expiresAt", e.target.value)} />
+              </Field>
+              <Field label="Credential ID">
+                <Input value={cert.credentialId} onChange={(e) => updateItem("certifications", i, "credentialId", e.target.value)} />
+              </Field>
+              <Field label="Credential URL">
+                <Input type="url" value={cert.url} onChange={(e) => updateItem("certifications", i, "url", e.target.value)} />
+              </Field>
+            </ItemCard>
+          ))}
+        </ListSection>
+
         {/* Buttons */}
         <div className="flex justify-end gap-3 mt-6">
           <Button
@@ -237,18 +704,7 @@ export default function ProfileEditor() {
               api
                 .get("/api/profile")
                 .then((r) => {
-                  const d = r.data || {};
-                  setForm({
-                    name: d.name || "",
-                    headline: d.headline || "",
-                    location: d.location || "",
-                    skills: Array.isArray(d.skills)
-                      ? d.skills
-                      : d.skills
-                      ? d.skills.split(",").map((s) => s.trim()).filter(Boolean)
-                      : [],
-                    resumeUrl: d.resumeUrl || "",
-                  });
+                  setForm(toForm(r.data || {}));
                   toast.success("Changes reverted");
                 })
                 .catch(() => toast.error("Failed to reload profile"))
@@ -277,3 +733,44 @@ export default function ProfileEditor() {
     </div>
   );
 }
+
+/** Titled block holding a repeatable list of items */
+function ListSection({ title, addLabel, onAdd, children }) {
+  const empty = React.Children.count(children) === 0;
+  return (
+    <section className="mt-8">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-base font-semibold text-neutral-800">{title}</h3>
+        <Button variant="outline" size="sm" onClick={onAdd} className="flex items-center gap-1">
+          <Plus className="w-4 h-4" /> {addLabel}
+        </Button>
+      </div>
+      {empty ? <p className="text-sm text-neutral-500">Nothing added yet.</p> : <div className="space-y-3">{children}</div>}
+    </section>
+  );
+}
+
+function ItemCard({ onRemove, children }) {
+  return (
+    <div className="relative rounded-xl border border-neutral-200 p-4">
+      <button
+        type="button"
+        onClick={onRemove}
+        aria-label="Remove"
+        className="absolute top-3 right-3 text-neutral-400 hover:text-red-600"
+      >
+        <Trash2 className="w-4 h-4" />
+      </button>
+      <div className="grid gap-3 md:grid-cols-2 pr-6">{children}</div>
+    </div>
+  );
+}
+
+function Field({ label, wide, children }) {
+  return (
+    <div className={clsx("space-y-1.5", wide && "md:col-span-2")}>
+      <Label className="text-sm text-neutral-700 dark:text-neutral-200">{label}</Label>
+      {children}
+    </div>
+  );
+}
@@ -61,7 +61,7 @@ export default function Register() {
       const res = await register(payload)
       if (res && res.user && setUser) setUser(res.user)
 
-      toast.success("Account created successfully")
+      toast.success("Account created. Check your inbox to verify your email.")
       navigate("/")
     } catch (error) {
       console.error(error)
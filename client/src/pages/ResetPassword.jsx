@@ -0,0 +1,127 @@
+import React, { useState } from "react"
+import { Link, useNavigate, useSearchParams } from "react-router-dom"
+import { FiEye, FiEyeOff } from "react-icons/fi"
+import api from "../api"
+import { useAuth } from "../context/AuthContext"
+import { Input } from "../components/ui/input"
+import { Button } from "../components/ui/button"
+import { toast } from "sonner"
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token") || ""
+  const [password, setPassword] = useState("")
+  const [confirm, setConfirm] = useState("")
+  const [showPwd, setShowPwd] = useState(false)
+  const [err, setErr] = useState("")
+  const [loading, setLoading] = useState(false)
+  const { user, logout } = useAuth()
+  const navigate = useNavigate()
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setErr("")
+    if (password.length < 6) return setErr("Password must be at least 6 characters")
+    if (password !== confirm) return setErr("Passwords do not match")
+
+    setLoading(true)
+    try {
+      const res = await api.post("/api/auth/reset-password", { token, password })
+      // Every session was revoked server-side; drop the local one too
+      if (user) await logout()
+      toast.success(res.data?.message || "Password updated")
+      navigate("/login")
+    } catch (error) {
+      console.error(error)
+      const message = error?.response?.data?.error || "Could not reset password"
+      setErr(message)
+      toast.error(message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className="app-container mt-10 text-center">
+        <p className="text-neutral-600 mb-3">This reset link is incomplete.</p>
+        <Link to="/forgot" className="btn btn-primary">
+          Request a new link
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="app-container mt-10 flex justify-center px-4 sm:px-0">
+      <div className="w-full max-w-md">
+        <div className="p-6 rounded-2xl border border-neutral-200 shadow-sm bg-white dark:bg-neutral-900 dark:border-neutral-800">
+          <header className="mb-4 text-center">
+            <h2 className="text-2xl font-semibold text-neutral-900 dark:text-white">
+              Choose a new password
+            </h2>
+            <p className="text-sm text-neutral-500 dark:text-neutral-400 mt-1">
+              You’ll be signed out of all devices afterwards.
+            </p>
+          </header>
+
+          {err && (
+            <p className="text-sm text-red-600 dark:text-red-400 mb-3 text-center">
+              {err}{" "}
+              {/expired|invalid/i.test(err) && (
+                <Link to="/forgot" className="underline">
+                  Request a new link
+                </Link>
+              )}
+            </p>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 dark:text-neutral-300 mb-1">
+                New password
+              </label>
+              <div className="relative">
+                <Input
+                  type={showPwd ? "text" : "password"}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  placeholder="At least 6 characters"
+                  className="pr-10 text-neutral-900 dark:text-neutral-100"
+                />
+                <button
+                  type="button"
+                  aria-label={showPwd ? "Hide password" : "Show password"}
+                  onClick={() => setShowPwd((s) => !s)}
+                  className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-neutral-500 dark:text-neutral-400 hover:text-neutral-700 dark:hover:text-neutral-200"
+                >
+                  {showPwd ? <FiEyeOff /> : <FiEye />}
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 dark:text-neutral-300 mb-1">
+                Confirm password
+              </label>
+              <Input
+                type={showPwd ? "text" : "password"}
+                value={confirm}
+                onChange={(e) => setConfirm(e.target.value)}
+                required
+                className="text-neutral-900 dark:text-neutral-100"
+              />
+            </div>
+
+            <div className="pt-2">
+              <Button type="submit" variant="primary" size="md" disabled={loading} className="w-full">
+                {loading ? "Saving..." : "Update password"}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import clsx from "clsx";
+import { toast } from "sonner";
+import api from "../api";
+import Card from "../components/Card";
+import { Button } from "@/components/ui/button";
+
+const PAGE_SIZE = 20;
+
+// Badge per listingState from GET /api/jobs/saved
+const STATE_BADGES = {
+  closing_soon: { label: "Closing soon", className: "bg-amber-100 text-amber-700" },
+  paused: { label: "Paused", className: "bg-muted text-muted-foreground" },
+  closed: { label: "Closed", className: "bg-red-100 text-red-700" },
+};
+
+export default function SavedJobs() {
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ meta: null, data: [] });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let mounted = true;
+    async function load() {
+      setLoading(true);
+      try {
+        const res = await api.get("/api/jobs/saved", { params: { page, limit: PAGE_SIZE } });
+        if (mounted) setResult(res.data);
+      } catch (err) {
+        toast.error(err.response?.data?.error || "Failed to load saved jobs");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    }
+    load();
+    return () => (mounted = false);
+  }, [page]);
+
+  async function unsave(job) {
+    try {
+      await api.delete(`/api/jobs/${job._id}/save`);
+      setResult((prev) => ({
+        meta: prev.meta && { ...prev.meta, total: prev.meta.total - 1 },
+        data: prev.data.filter((j) => j._id !== job._id),
+      }));
+      toast.success("Removed from saved jobs");
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Could not remove job");
+    }
+  }
+
+  const { meta, data: jobs } = result;
+
+  return (
+    <div className="app-container mt-6 max-w-4xl">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold">Saved jobs</h1>
+        <p className="text-sm text-muted-foreground">
+          Jobs you bookmarked. We'll remind you a few days before one stops accepting applications.
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="space-y-3">
+          {Array.from({ length: 4 }).map((_, i) => (
+            <div key={i} className="h-24 rounded-xl border border-border bg-muted/50 animate-pulse" />
+          ))}
+        </div>
+      ) : !jobs.length ? (
+        <div className="text-center mt-16 text-muted-foreground">
+          No saved jobs yet.{" "}
+          <Link to="/" className="underline">
+            Browse jobs
+          </Link>
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {jobs.map((j) => {
+            const badge = STATE_BADGES[j.listingState];
+            return (
+              <li key={j._id}>
+                <Card tight className={clsx("rounded-xl", j.listingState === "closed" && "opacity-70")}>
+                  <div className="flex flex-wrap items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <Link to={`/jobs/${j._id}`} className="font-semibold hover:underline">
+                          {j.title}
+                        </Link>
+                        {badge && (
+                          <span className={clsx("rounded-full px-2 py-0.5 text-xs font-medium", badge.className)}>
+                            {badge.label}
+                          </span>
+                        )}
+                        {j.applied && (
+                          <span className="rounded-full bg-green-100 px-2 py-0.5 text-xs font-medium text-green-700">
+                            Applied
+                          </span>
+                        )}
+                      </div>
+                      <div className="text-sm text-muted-foreground">
+                        {[j.company, j.location, j.isRemote && "Remote"].filter(Boolean).join(" • ")}
+                      </div>
+                      <div className="text-xs text-muted-foreground mt-1">
+                        Saved {new Date(j.savedAt).toLocaleDateString()}
+                        {j.expiresAt && j.listingState !== "closed" && (
+                          <> · Closes {new Date(j.expiresAt).toLocaleDateString()}</>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button size="sm" variant="ghost" onClick={() => unsave(j)}>
+                        Remove
+                      </Button>
+                      <Link to={`/jobs/${j._id}`}>
+                        <Button size="sm" variant="outline">
+                          View
+                        </Button>
+                      </Link>
+                    </div>
+                  </div>
+                </Card>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {meta && meta.pages > 1 && (
+        <div className="mt-6 flex items-center justify-center gap-3">
+          <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage((p) => p - 1)}>
+            Previous
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            Page {meta.page} of {meta.pages}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={page >= meta.pages}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "sonner";
+import api from "../api";
+import Card from "../components/Card";
+import SavedSearchDialog from "../components/SavedSearchDialog";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+
+const FREQUENCY_OPTIONS = [
+  ["instant", "Instantly"],
+  ["daily", "Daily"],
+  ["weekly", "Weekly"],
+];
+
+function describeCriteria(c = {}) {
+  return [
+    c.q && `"${c.q}"`,
+    c.location,
+    c.remote === true && "Remote",
+    c.remote === false && "On-site",
+    c.type,
+    c.tag && `#${c.tag}`,
+    c.salaryMin != null && `from ${c.salaryMin}`,
+    c.salaryMax != null && `up to ${c.salaryMax}`,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+
+export default function SavedSearches() {
+  const [searches, setSearches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    let mounted = true;
+    async function load() {
+      try {
+        const res = await api.get("/api/saved-searches");
+        if (mounted) setSearches(res.data || []);
+      } catch (err) {
+        toast.error(err.response?.data?.error || "Failed to load job alerts");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    }
+    load();
+    return () => (mounted = false);
+  }, []);
+
+  function replace(updated) {
+    setSearches((prev) => prev.map((s) => (s._id === updated._id ? updated : s)));
+  }
+
+  async function update(search, changes) {
+    try {
+      const res = await api.patch(`/api/saved-searches/${search._id}`, changes);
+      replace(res.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Could not update job alert");
+    }
+  }
+
+  async function remove(search) {
+    if (!window.confirm(`Delete "${search.name}"?`)) return;
+    try {
+      await api.delete(`/api/saved-searches/${search._id}`);
+      setSearches((prev) => prev.filter((s) => s._id !== search._id));
+      toast.success("Job alert deleted");
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Could not delete job alert");
+    }
+  }
+
+  return (
+    <div className="app-container mt-6 max-w-3xl">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold">Job alerts</h1>
+        <p className="text-sm text-muted-foreground">
+          Saved searches notify you about new jobs. Save one from the{" "}
+          <Link to="/" className="underline">
+            job search
+          </Link>
+          .
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="space-y-3">
+          {Array.from({ length: 3 }).map((_, i) => (
+            <div key={i} className="h-28 rounded-xl border border-border bg-muted/50 animate-pulse" />
+          ))}
+        </div>
+      ) : !searches.length ? (
+        <div className="text-center mt-16 text-muted-foreground">You have no saved searches yet.</div>
+      ) : (
+        <ul className="space-y-3">
+          {searches.map((s) => (
+            <li key={s._id}>
+              <Card tight className="rounded-xl">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-semibold truncate">{s.name}</h3>
+                      {!s.active && <Badge variant="secondary">Paused</Badge>}
+                    </div>
+                    <p className="text-sm text-muted-foreground">{describeCriteria(s.criteria) || "All jobs"}</p>
+                    {s.lastNotifiedAt && (
+                      <p className="text-xs text-muted-foreground mt-1">
+                        Last alert {new Date(s.lastNotifiedAt).toLocaleDateString()} · {s.lastMatchCount} new job
+                        {s.lastMatchCount === 1 ? "" : "s"}
+                      </p>
+                    )}
+                  </div>
+                  <Link to={s.searchPath}>
+                    <Button size="sm" variant="outline">
+                      View results
+                    </Button>
+                  </Link>
+                </div>
+
+                <div className="mt-3 flex flex-wrap items-center gap-4 text-sm">
+                  <select
+                    aria-label="Alert frequency"
+                    className="form-field w-auto"
+                    value={s.frequency}
+                    onChange={(e) => update(s, { frequency: e.target.value })}
+                  >
+                    {FREQUENCY_OPTIONS.map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <label className="flex items-center gap-2">
+                    <Checkbox checked={s.emailDigest} onCheckedChange={(v) => update(s, { emailDigest: !!v })} />
+                    Email
+                  </label>
+                  <div className="ml-auto flex gap-2">
+                    <Button size="sm" variant="ghost" onClick={() => update(s, { active: !s.active })}>
+                      {s.active ? "Pause" : "Resume"}
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setEditing(s)}>
+                      Edit
+                    </Button>
+                    <Button size="sm" variant="ghost" className="text-red-600" onClick={() => remove(s)}>
+                      Delete
+                    </Button>
+                  </div>
+                </div>
+              </Card>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <SavedSearchDialog
+        open={!!editing}
+        onOpenChange={(open) => !open && setEditing(null)}
+        search={editing}
+        onSaved={replace}
+      />
+    </div>
+  );
+}
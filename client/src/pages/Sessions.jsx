@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../api";
+import { useAuth } from "../context/AuthContext";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Monitor, Smartphone } from "lucide-react";
+
+// Rough, human-readable label from a user-agent string
+function describeDevice(ua = "") {
+  const browser =
+    /Edg\//.test(ua) ? "Edge"
+    : /Chrome\//.test(ua) ? "Chrome"
+    : /Firefox\//.test(ua) ? "Firefox"
+    : /Safari\//.test(ua) ? "Safari"
+    : "Unknown browser";
+  const os =
+    /Windows/.test(ua) ? "Windows"
+    : /Android/.test(ua) ? "Android"
+    : /iPhone|iPad/.test(ua) ? "iOS"
+    : /Mac OS X/.test(ua) ? "macOS"
+    : /Linux/.test(ua) ? "Linux"
+    : "Unknown OS";
+  return { label: `${browser} on ${os}`, mobile: /Mobile|Android|iPhone|iPad/.test(ua) };
+}
+
+/**
+ * Sessions
+ *
+ * - Lists the devices currently signed in to the account.
+ * - Each session can be signed out individually, or all other devices at once.
+ */
+export default function Sessions() {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    setLoading(true);
+    try {
+      const res = await api.get("/api/auth/sessions");
+      setSessions(res.data || []);
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to load sessions");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function revoke(session) {
+    setBusy(true);
+    try {
+      await api.delete(`/api/auth/sessions/${session.id}`);
+      if (session.current) {
+        await logout();
+        navigate("/login");
+        return;
+      }
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+      toast.success("Device signed out");
+    } catch (err) {
+      console.error(err);
+      toast.error(err?.response?.data?.error || "Failed to sign out device");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function revokeOthers() {
+    setBusy(true);
+    try {
+      const res = await api.delete("/api/auth/sessions");
+      setSessions((prev) => prev.filter((s) => s.current));
+      toast.success(`Signed out ${res.data?.revoked ?? 0} other device(s)`);
+    } catch (err) {
+      console.error(err);
+      toast.error("Failed to sign out other devices");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const others = sessions.filter((s) => !s.current).length;
+
+  return (
+    <div className="app-container mt-8 max-w-3xl">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold">Signed-in devices</h2>
+          <p className="text-sm text-muted-foreground">
+            Sign out any device you don’t recognise.
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={revokeOthers} disabled={busy || !others}>
+          Sign out other devices
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="space-y-3">
+          {[...Array(3)].map((_, i) => (
+            <Skeleton key={i} className="h-16 w-full rounded-xl" />
+          ))}
+        </div>
+      ) : sessions.length === 0 ? (
+        <div className="text-center text-muted-foreground py-10">No active sessions.</div>
+      ) : (
+        <ul className="space-y-3">
+          {sessions.map((s) => {
+            const device = describeDevice(s.userAgent);
+            const Icon = device.mobile ? Smartphone : Monitor;
+            return (
+              <li
+                key={s.id}
+                className="p-4 rounded-xl border bg-white flex items-center justify-between gap-3"
+              >
+                <div className="flex items-center gap-3 min-w-0">
+                  <Icon className="w-5 h-5 text-neutral-500 shrink-0" />
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-neutral-900 truncate">{device.label}</span>
+                      {s.current && <Badge variant="secondary">This device</Badge>}
+                    </div>
+                    <div className="text-xs text-muted-foreground mt-1">
+                      {s.ip || "Unknown IP"} • Last active {new Date(s.lastUsedAt).toLocaleString()} •
+                      Signed in {new Date(s.createdAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                </div>
+                <Button variant="ghost" size="sm" onClick={() => revoke(s)} disabled={busy}>
+                  Sign out
+                </Button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
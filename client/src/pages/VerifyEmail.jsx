@@ -0,0 +1,54 @@
+import React, { useEffect, useRef, useState } from "react"
+import { Link, useSearchParams } from "react-router-dom"
+import api from "../api"
+import { useAuth } from "../context/AuthContext"
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token") || ""
+  const { user, setUser } = useAuth()
+  const [state, setState] = useState(token ? "verifying" : "missing")
+  const [message, setMessage] = useState("")
+  // Tokens are single-use; StrictMode's double effect must not submit twice
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    if (!token || submitted.current) return
+    submitted.current = true
+    api
+      .post("/api/auth/verify-email", { token })
+      .then((res) => {
+        setState("done")
+        if (user && res.data?.user && String(res.data.user._id) === String(user._id)) {
+          setUser({ ...user, ...res.data.user })
+        }
+      })
+      .catch((error) => {
+        setState("failed")
+        setMessage(error?.response?.data?.error || "Verification failed")
+      })
+  }, [token, user, setUser])
+
+  return (
+    <div className="app-container mt-10 flex justify-center px-4 sm:px-0">
+      <div className="w-full max-w-md p-6 rounded-2xl border border-neutral-200 shadow-sm bg-white text-center">
+        <h2 className="text-2xl font-semibold mb-2">Email verification</h2>
+        {state === "verifying" && <p className="text-neutral-500">Verifying your email…</p>}
+        {state === "done" && (
+          <>
+            <p className="text-neutral-700 mb-4">Thanks! Your email address is verified.</p>
+            <Link to={user ? "/" : "/login"} className="btn btn-primary">
+              {user ? "Continue" : "Sign in"}
+            </Link>
+          </>
+        )}
+        {state === "failed" && (
+          <p className="text-red-600">
+            {message}. {user ? "Request a new link from the banner above." : "Sign in to request a new link."}
+          </p>
+        )}
+        {state === "missing" && <p className="text-neutral-500">This verification link is incomplete.</p>}
+      </div>
+    </div>
+  )
+}
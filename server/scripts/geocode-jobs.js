@@ -0,0 +1,69 @@
+/**
+ * server/scripts/geocode-jobs.js
+ *
+ * One-off backfill: fills jobs.geo (city, region, country and GeoJSON point) from the free-text
+ * location of jobs saved before structured locations existed, so they show up in radius searches.
+ * - Uses the bundled gazetteer (src/lib/geo.js); locations it can't place are left without geo.
+ * - Safe to re-run: only jobs without a geo field are looked at.
+ * - Pass --dry-run to report what would be geocoded without writing anything.
+ *
+ * Usage: npm run migrate:geocode [-- --dry-run]
+ */
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../src/lib/mongoose');
+const Job = require('../src/models/job');
+const { geocodeLocation } = require('../src/lib/geo');
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/job-board';
+const BATCH_SIZE = 100;
+
+async function migrate({ dryRun = false } = {}) {
+  const cursor = Job.collection.find(
+    { geo: { $exists: false }, location: { $nin: [null, ''] } },
+    { projection: { location: 1 } }
+  ).batchSize(BATCH_SIZE);
+
+  let checked = 0;
+  let geocoded = 0;
+  let ops = [];
+
+  for await (const job of cursor) {
+    checked += 1;
+    const geo = geocodeLocation(job.location);
+    if (!geo) continue;
+    geocoded += 1;
+    if (dryRun) continue;
+
+    ops.push({ updateOne: { filter: { _id: job._id, geo: { $exists: false } }, update: { $set: { geo } } } });
+    if (ops.length >= BATCH_SIZE) {
+      await Job.collection.bulkWrite(ops, { ordered: false });
+      ops = [];
+    }
+  }
+  if (ops.length) await Job.collection.bulkWrite(ops, { ordered: false });
+
+  if (!dryRun) await Job.createIndexes();
+  return { checked, geocoded };
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  (async () => {
+    try {
+      await connectToDatabase(MONGO_URI);
+      const { checked, geocoded } = await migrate({ dryRun });
+      console.info(`[migrate] ${dryRun ? 'would geocode' : 'geocoded'} ${geocoded} of ${checked} job(s) without geo`);
+      await mongoose.disconnect();
+      process.exit(0);
+    } catch (err) {
+      console.error('[migrate] failed:', err && (err.stack || err));
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrate };
@@ -0,0 +1,95 @@
+/**
+ * server/scripts/migrate-applications.js
+ *
+ * One-off migration: moves the applications embedded in jobs.applications into
+ * the standalone applications collection (server/src/models/application.js).
+ * - Keeps each application's original _id so notification meta.applicationId stays valid.
+ * - Safe to re-run: inserts are upserts keyed by _id and the embedded array is only
+ *   unset once its applications have been written.
+ * - Pass --dry-run to report what would be moved without writing anything.
+ *
+ * Usage: npm run migrate:applications [-- --dry-run]
+ */
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../src/lib/mongoose');
+const Job = require('../src/models/job');
+const Application = require('../src/models/application');
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/job-board';
+const BATCH_SIZE = 100;
+
+function toApplicationDoc(jobId, embedded) {
+  const status = embedded.status || 'applied';
+  const appliedAt = embedded.appliedAt || embedded.createdAt || new Date();
+  return {
+    _id: embedded._id,
+    job: jobId,
+    applicant: embedded.applicant,
+    coverLetter: embedded.coverLetter,
+    resumeUrl: embedded.resumeUrl,
+    resumeText: embedded.resumeText,
+    skills: embedded.skills || [],
+    matchScore: embedded.matchScore || 0,
+    matchedSkills: embedded.matchedSkills || [],
+    status,
+    // Applications created before the status pipeline have no history; seed it with the current state
+    statusHistory: embedded.statusHistory && embedded.statusHistory.length
+      ? embedded.statusHistory
+      : [{ from: null, to: status, changedAt: appliedAt }],
+    appliedAt,
+    notified: !!embedded.notified,
+    createdAt: embedded.createdAt || appliedAt,
+    updatedAt: embedded.updatedAt || appliedAt
+  };
+}
+
+async function migrate({ dryRun = false } = {}) {
+  // Read through the raw collection: the Job schema no longer declares `applications`
+  const cursor = Job.collection.find(
+    { 'applications.0': { $exists: true } },
+    { projection: { applications: 1 } }
+  ).batchSize(BATCH_SIZE);
+
+  let jobs = 0;
+  let moved = 0;
+
+  for await (const job of cursor) {
+    const docs = job.applications.map(a => toApplicationDoc(job._id, a));
+    jobs += 1;
+    moved += docs.length;
+    if (dryRun) continue;
+
+    await Application.collection.bulkWrite(
+      docs.map(doc => ({
+        updateOne: { filter: { _id: doc._id }, update: { $setOnInsert: doc }, upsert: true }
+      })),
+      { ordered: false }
+    );
+    await Job.collection.updateOne({ _id: job._id }, { $unset: { applications: '' } });
+  }
+
+  if (!dryRun) await Application.syncIndexes();
+  return { jobs, moved };
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  (async () => {
+    try {
+      await connectToDatabase(MONGO_URI);
+      const { jobs, moved } = await migrate({ dryRun });
+      console.info(`[migrate] ${dryRun ? 'would move' : 'moved'} ${moved} application(s) from ${jobs} job(s)`);
+      await mongoose.disconnect();
+      process.exit(0);
+    } catch (err) {
+      console.error('[migrate] failed:', err && (err.stack || err));
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrate };
@@ -0,0 +1,81 @@
+/**
+ * server/scripts/normalize-salaries.js
+ *
+ * Recomputes jobs.salaryRange.annualMin / annualMax (yearly pay in the base currency, see
+ * src/lib/compensation.js) for every job with a salary amount. Run it once for jobs saved before pay
+ * was normalized, and again whenever SALARY_BASE_CURRENCY or SALARY_EXCHANGE_RATES change.
+ * - Jobs without a currency or period count as base currency per year, as salary filters always did.
+ * - Safe to re-run: only jobs whose stored figures differ are written.
+ * - Pass --dry-run to report how many jobs would change without writing anything.
+ *
+ * Usage: npm run migrate:salaries [-- --dry-run]
+ */
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../src/lib/mongoose');
+const Job = require('../src/models/job');
+const { annualRange } = require('../src/lib/compensation');
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/job-board';
+const BATCH_SIZE = 100;
+
+function update(range) {
+  const { annualMin, annualMax } = annualRange(range);
+  if (annualMin === range.annualMin && annualMax === range.annualMax) return null;
+  const $set = {};
+  const $unset = {};
+  [['annualMin', annualMin], ['annualMax', annualMax]].forEach(([key, value]) => {
+    if (value === undefined) $unset[`salaryRange.${key}`] = '';
+    else $set[`salaryRange.${key}`] = value;
+  });
+  return { ...(Object.keys($set).length ? { $set } : {}), ...(Object.keys($unset).length ? { $unset } : {}) };
+}
+
+async function migrate({ dryRun = false } = {}) {
+  const cursor = Job.collection.find(
+    { $or: [{ 'salaryRange.min': { $gt: 0 } }, { 'salaryRange.max': { $gt: 0 } }] },
+    { projection: { salaryRange: 1 } }
+  ).batchSize(BATCH_SIZE);
+
+  let checked = 0;
+  let changed = 0;
+  let ops = [];
+
+  for await (const job of cursor) {
+    checked += 1;
+    const change = update(job.salaryRange);
+    if (!change) continue;
+    changed += 1;
+    if (dryRun) continue;
+
+    ops.push({ updateOne: { filter: { _id: job._id }, update: change } });
+    if (ops.length >= BATCH_SIZE) {
+      await Job.collection.bulkWrite(ops, { ordered: false });
+      ops = [];
+    }
+  }
+  if (ops.length) await Job.collection.bulkWrite(ops, { ordered: false });
+
+  return { checked, changed };
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  (async () => {
+    try {
+      await connectToDatabase(MONGO_URI);
+      const { checked, changed } = await migrate({ dryRun });
+      console.info(`[migrate] ${dryRun ? 'would update' : 'updated'} ${changed} of ${checked} job(s) with a salary`);
+      await mongoose.disconnect();
+      process.exit(0);
+    } catch (err) {
+      console.error('[migrate] failed:', err && (err.stack || err));
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrate };
@@ -0,0 +1,56 @@
+/**
+ * server/scripts/resume-search.js
+ *
+ * Candidate search matches resume words only for seekers who share their resume (privacy.showResume).
+ * The searchable copy lives in users.resumeSearchText; this fills it in for profiles saved before it
+ * existed and rebuilds the candidate_search text index, which used to cover resumeText itself.
+ * - Safe to re-run: the copy is reset from resumeText and showResume every time.
+ * - Pass --dry-run to report how many profiles would be searchable by resume without writing anything.
+ *
+ * Usage: npm run migrate:resume-search [-- --dry-run]
+ */
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../src/lib/mongoose');
+const User = require('../src/models/user');
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/job-board';
+const INDEX_NAME = 'candidate_search';
+
+const SHARED = { 'privacy.showResume': true, resumeText: { $type: 'string', $ne: '' } };
+
+async function migrate({ dryRun = false } = {}) {
+  const shared = await User.collection.countDocuments(SHARED);
+  if (dryRun) return { shared };
+
+  await User.collection.updateMany(SHARED, [{ $set: { resumeSearchText: '$resumeText' } }]);
+  await User.collection.updateMany({ $nor: [SHARED] }, { $unset: { resumeSearchText: '' } });
+
+  // A collection has a single text index, so the old one goes before the new one is built
+  const indexes = await User.collection.indexes();
+  const old = indexes.find(i => i.name === INDEX_NAME);
+  if (old && old.weights && old.weights.resumeText !== undefined) await User.collection.dropIndex(INDEX_NAME);
+  await User.createIndexes();
+  return { shared };
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  (async () => {
+    try {
+      await connectToDatabase(MONGO_URI);
+      const { shared } = await migrate({ dryRun });
+      console.info(`[migrate] ${dryRun ? 'would make' : 'made'} ${shared} shared resume(s) searchable`);
+      await mongoose.disconnect();
+      process.exit(0);
+    } catch (err) {
+      console.error('[migrate] failed:', err && (err.stack || err));
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrate };
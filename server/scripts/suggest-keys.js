@@ -0,0 +1,70 @@
+/**
+ * server/scripts/suggest-keys.js
+ *
+ * One-off backfill: fills jobs.suggestKeys (the indexed word-start keys of title, company and location
+ * behind GET /api/jobs/suggest, see src/lib/searchKeys.js) for jobs saved before they existed, and
+ * builds their indexes. Jobs saved since get them automatically.
+ * - Safe to re-run: only jobs without suggestKeys are looked at.
+ * - Pass --dry-run to report how many jobs would be filled in without writing anything.
+ *
+ * Usage: npm run migrate:suggest-keys [-- --dry-run]
+ */
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('../src/lib/mongoose');
+const Job = require('../src/models/job');
+const { wordStartKeys } = require('../src/lib/searchKeys');
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/job-board';
+const BATCH_SIZE = 100;
+
+async function migrate({ dryRun = false } = {}) {
+  const cursor = Job.collection.find(
+    { suggestKeys: { $exists: false } },
+    { projection: { title: 1, company: 1, location: 1 } }
+  ).batchSize(BATCH_SIZE);
+
+  let filled = 0;
+  let ops = [];
+
+  for await (const job of cursor) {
+    filled += 1;
+    if (dryRun) continue;
+
+    const suggestKeys = {
+      title: wordStartKeys(job.title),
+      company: wordStartKeys(job.company),
+      location: wordStartKeys(job.location)
+    };
+    ops.push({ updateOne: { filter: { _id: job._id, suggestKeys: { $exists: false } }, update: { $set: { suggestKeys } } } });
+    if (ops.length >= BATCH_SIZE) {
+      await Job.collection.bulkWrite(ops, { ordered: false });
+      ops = [];
+    }
+  }
+  if (ops.length) await Job.collection.bulkWrite(ops, { ordered: false });
+
+  if (!dryRun) await Job.createIndexes();
+  return { filled };
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  (async () => {
+    try {
+      await connectToDatabase(MONGO_URI);
+      const { filled } = await migrate({ dryRun });
+      console.info(`[migrate] ${dryRun ? 'would fill' : 'filled'} suggestion keys for ${filled} job(s)`);
+      await mongoose.disconnect();
+      process.exit(0);
+    } catch (err) {
+      console.error('[migrate] failed:', err && (err.stack || err));
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrate };
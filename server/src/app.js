@@ -3,6 +3,7 @@ const morgan = require('morgan');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 
 // ❗ REMOVE express-rate-limit — it breaks in serverless
 // const rateLimit = require('express-rate-limit');
@@ -13,6 +14,12 @@ const authRouter = require('./routes/auth');
 const uploadsRouter = require('./routes/uploads');
 const profileRouter = require('./routes/profile');
 const notificationsRouter = require('./routes/notifications');
+const applicationsRouter = require('./routes/applications');
+const skillsRouter = require('./routes/skills');
+const candidatesRouter = require('./routes/candidates');
+const savedSearchesRouter = require('./routes/savedSearches');
+const locationsRouter = require('./routes/locations');
+const cronRouter = require('./routes/cron');
 
 const app = express();
 
@@ -43,6 +50,7 @@ app.use(cors(corsOptions));
 // Body parsing
 app.use(express.json({ limit: '200kb' }));
 app.use(express.urlencoded({ extended: true, limit: '200kb' }));
+app.use(cookieParser());
 
 // Health check
 app.get('/health', (req, res) => {
@@ -50,19 +58,26 @@ app.get('/health', (req, res) => {
 });
 
 // --- IMPORTANT FOR VERCEL ---
-// ❗ DO NOT serve or store uploads locally
+// ❗ Uploads are never served statically; files are fetched through signed URLs from /api/uploads.
+// Use STORAGE_DRIVER=s3 on Vercel: the local driver's disk does not survive between invocations.
 app.get('/uploads/*', (req, res) => {
   res.status(404).json({
-    error: 'Local uploads not available on Vercel. Use S3, Cloudinary, or Supabase Storage.'
+    error: 'Files are served through signed URLs. Request one from GET /api/uploads/files/:id.'
   });
 });
 
 // API routes
 app.use('/api/auth', authRouter);
 app.use('/api/jobs', jobsRouter);
-app.use('/api/uploads', uploadsRouter);   // should upload to S3/Cloudinary
+app.use('/api/uploads', uploadsRouter);
 app.use('/api/profile', profileRouter);
 app.use('/api/notifications', notificationsRouter);
+app.use('/api/applications', applicationsRouter);
+app.use('/api/skills', skillsRouter);
+app.use('/api/candidates', candidatesRouter);
+app.use('/api/saved-searches', savedSearchesRouter);
+app.use('/api/locations', locationsRouter);
+app.use('/api/cron', cronRouter);
 
 // API 404
 app.use('/api/*', (req, res) => {
@@ -0,0 +1,182 @@
+const Application = require('../models/application');
+const Job = require('../models/job');
+const Notification = require('../models/notification');
+const { APPLICATION_STATUSES, allowedTransitions, canWithdraw } = require('../lib/applicationStatus');
+const { withdrawSchema } = require('../validators/applicationValidator');
+const { escapeRegExp } = require('../lib/regex');
+const { withPublicSalary } = require('../lib/compensation');
+
+const JOB_SUMMARY_FIELDS = {
+  _id: 1, title: 1, company: 1, location: 1, isRemote: 1, type: 1, salaryRange: 1, expiresAt: 1
+};
+
+// Seeker's own applications with job summary, status timeline and related status notifications.
+// Query: status (comma-separated), q (job title/company), page, limit
+async function listMine(req, res, next) {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const statuses = (req.query.status || '').split(',').map(s => s.trim()).filter(Boolean);
+    const invalid = statuses.filter(s => !APPLICATION_STATUSES.includes(s));
+    if (invalid.length) return res.status(400).json({ error: `Invalid status: ${invalid.join(', ')}` });
+
+    // aggregate() does not cast, but req.user._id is already an ObjectId
+    const pipeline = [
+      { $match: { applicant: req.user._id } },
+      {
+        $lookup: {
+          from: 'jobs',
+          let: { jobId: '$job' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$jobId'] } } },
+            { $project: JOB_SUMMARY_FIELDS }
+          ],
+          as: 'job'
+        }
+      },
+      { $set: { job: { $first: '$job' } } }
+    ];
+
+    if (req.query.q) {
+      const rx = new RegExp(escapeRegExp(req.query.q), 'i');
+      pipeline.push({ $match: { $or: [{ 'job.title': rx }, { 'job.company': rx }] } });
+    }
+
+    // Per-status counts ignore the status filter so the tracker can show every column's size
+    pipeline.push({
+      $facet: {
+        counts: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        filtered: [
+          ...(statuses.length ? [{ $match: { status: { $in: statuses } } }] : []),
+          {
+            $facet: {
+              total: [{ $count: 'n' }],
+              items: [
+                { $sort: { appliedAt: -1, _id: -1 } },
+                { $skip: skip },
+                { $limit: limit },
+                { $project: { resumeText: 0 } }
+              ]
+            }
+          }
+        ]
+      }
+    });
+
+    const [result] = await Application.aggregate(pipeline);
+    const { total: totalRows, items } = result.filtered[0];
+    const total = totalRows.length ? totalRows[0].n : 0;
+
+    const counts = {};
+    APPLICATION_STATUSES.forEach(s => { counts[s] = 0; });
+    result.counts.forEach(c => { counts[c._id] = c.count; });
+
+    // Attach the status_change notifications that refer to these applications
+    const notifs = items.length
+      ? await Notification.find({
+        user: req.user._id,
+        type: 'status_change',
+        'meta.applicationId': { $in: items.map(a => a._id) }
+      }).sort({ createdAt: -1 }).select('title read createdAt meta').lean()
+      : [];
+    const notifsByApp = {};
+    notifs.forEach(n => {
+      const key = String(n.meta.applicationId);
+      (notifsByApp[key] = notifsByApp[key] || []).push(n);
+    });
+
+    const data = items.map(a => {
+      const notifications = notifsByApp[String(a._id)] || [];
+      return {
+        id: a._id,
+        job: withPublicSalary(a.job) || null,
+        status: a.status,
+        matchScore: a.matchScore,
+        matchedSkills: a.matchedSkills,
+        coverLetter: a.coverLetter,
+        resumeUrl: a.resumeUrl,
+        resumeFile: a.resumeFile,
+        appliedAt: a.appliedAt,
+        updatedAt: a.updatedAt,
+        statusHistory: (a.statusHistory || []).map(h => ({ from: h.from, to: h.to, changedAt: h.changedAt })),
+        isFinal: allowedTransitions(a.status).length === 0,
+        canWithdraw: canWithdraw(a.status),
+        withdrawnAt: a.withdrawnAt,
+        withdrawalReason: a.withdrawalReason,
+        notifications,
+        unreadUpdates: notifications.filter(n => !n.read).length
+      };
+    });
+
+    res.json({
+      meta: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        counts
+      },
+      data
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Seeker withdraws their own application; the recruiter is notified
+async function withdraw(req, res, next) {
+  try {
+    const { error, value } = withdrawSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.message });
+
+    const app = await Application.findOne({ _id: req.params.id, applicant: req.user._id });
+    if (!app) return res.status(404).json({ error: 'Application not found' });
+
+    if (!canWithdraw(app.status)) {
+      return res.status(409).json({ error: `Cannot withdraw an application that is "${app.status}"` });
+    }
+
+    const from = app.status;
+    const reason = value.reason || undefined;
+    app.status = 'withdrawn';
+    app.withdrawnAt = new Date();
+    app.withdrawalReason = reason;
+    app.statusHistory.push({ from, to: 'withdrawn', changedBy: req.user._id, note: reason, changedAt: app.withdrawnAt });
+    await app.save();
+
+    // Notify the recruiter who posted the job
+    try {
+      const job = await Job.findById(app.job).select('title postedBy');
+      if (job) {
+        const notif = new Notification({
+          user: job.postedBy,
+          type: 'withdrawal',
+          title: `Application withdrawn for ${job.title}`,
+          body: `${req.user.name} withdrew their application for ${job.title}${reason ? `: "${reason}"` : ''}`,
+          link: `/jobs/${job._id}/applicants`,
+          meta: { jobId: job._id, applicationId: app._id, applicantId: req.user._id, from, reason }
+        });
+        await notif.save();
+      }
+    } catch (nerr) {
+      console.error('Failed to create withdrawal notification:', nerr);
+    }
+
+    res.json({
+      message: 'Application withdrawn',
+      application: {
+        id: app._id,
+        status: app.status,
+        withdrawnAt: app.withdrawnAt,
+        withdrawalReason: app.withdrawalReason,
+        statusHistory: app.statusHistory.map(h => ({ from: h.from, to: h.to, changedAt: h.changedAt }))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { listMine, withdraw };
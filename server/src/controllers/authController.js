@@ -1,6 +1,63 @@
 const User = require('../models/user');
-const { registerSchema, loginSchema } = require('../validators/authValidator');
+const Session = require('../models/session');
+const {
+  registerSchema,
+  loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema
+} = require('../validators/authValidator');
 const { signToken } = require('../middleware/auth');
+const { sendEmail } = require('./notificationsController');
+const { issueAuthToken, consumeAuthToken } = require('../lib/authTokens');
+const { clientUrl, escapeHtml } = require('../lib/mail');
+const {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeByRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../lib/sessions');
+
+// Start a session for the user: access token in the body, refresh token in an httpOnly cookie
+async function issueSession(user, req, res) {
+  const { session, refreshToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+  return signToken(user, session._id);
+}
+
+async function mailLink(user, subject, intro, link) {
+  // Without SMTP the link would be lost; AUTH_LOG_LINKS=true prints it (a live token) for local testing
+  if (!process.env.SMTP_HOST && process.env.AUTH_LOG_LINKS === 'true' && process.env.NODE_ENV !== 'production') {
+    console.log(`[auth] ${subject} for ${user.email}: ${link}`);
+  }
+  await sendEmail({
+    to: user.email,
+    subject,
+    text: `Hi ${user.name},\n\n${intro}\n\n${link}\n\nIf you didn't request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>${intro}</p><p><a href="${link}">${link}</a></p><p>If you didn't request this, you can ignore this email.</p>`
+  });
+}
+
+// Returns false when a verification email was sent too recently
+async function sendVerificationEmail(user) {
+  const token = await issueAuthToken(user._id, 'email_verification');
+  if (!token) return false;
+  await mailLink(
+    user,
+    'Verify your JobMug email address',
+    'Please confirm your email address by opening the link below.',
+    clientUrl(`/verify-email?token=${encodeURIComponent(token)}`)
+  );
+  return true;
+}
+
+// Browsers send the cookie; other clients may post { refreshToken }
+function readRefreshToken(req) {
+  return (req.cookies && req.cookies[REFRESH_COOKIE]) || (req.body && req.body.refreshToken);
+}
 
 async function register(req, res, next) {
   try {
@@ -13,7 +70,14 @@ async function register(req, res, next) {
     const user = new User(value);
     await user.save();
 
-    const token = signToken(user);
+    // Registration succeeds even if the email can't be sent; the user can request another link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      console.error('Failed to send verification email', mailErr);
+    }
+
+    const token = await issueSession(user, req, res);
     res.status(201).json({ token, user: user.toJSON() });
   } catch (err) {
     next(err);
@@ -31,7 +95,7 @@ async function login(req, res, next) {
     const match = await user.comparePassword(value.password);
     if (!match) return res.status(400).json({ error: 'Invalid email or password' });
 
-    const token = signToken(user);
+    const token = await issueSession(user, req, res);
     res.json({ token, user: user.toJSON() });
   } catch (err) {
     next(err);
@@ -46,4 +110,197 @@ async function me(req, res, next) {
   }
 }
 
-module.exports = { register, login, me };
\ No newline at end of file
+// Rotate the refresh token and issue a new access token
+async function refresh(req, res, next) {
+  try {
+    const presented = readRefreshToken(req);
+    if (!presented) return res.status(401).json({ error: 'Refresh token required' });
+
+    let rotated;
+    try {
+      rotated = await rotateSession(presented, req);
+    } catch (serr) {
+      if (serr.status !== 401) throw serr;
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: serr.message });
+    }
+
+    const user = await User.findById(rotated.session.user);
+    if (!user) {
+      await revokeSession(rotated.session, 'user deleted');
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'Invalid token (user not found)' });
+    }
+
+    setRefreshCookie(res, rotated.refreshToken, rotated.session.expiresAt);
+    res.json({ token: signToken(user, rotated.session._id), user: user.toJSON() });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Revoke the current session; works with an expired access token since it only needs the refresh cookie
+async function logout(req, res, next) {
+  try {
+    await revokeByRefreshToken(readRefreshToken(req), 'logout');
+    clearRefreshCookie(res);
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function listSessions(req, res, next) {
+  try {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+    res.json(sessions.map(s => ({
+      id: s._id,
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      expiresAt: s.expiresAt,
+      current: String(s._id) === String(req.sessionId)
+    })));
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function revokeSessionById(req, res, next) {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    await revokeSession(session, 'revoked by user');
+    if (String(session._id) === String(req.sessionId)) clearRefreshCookie(res);
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Sign out every other device
+async function revokeOtherSessions(req, res, next) {
+  try {
+    const result = await Session.updateMany(
+      { user: req.user._id, revokedAt: null, _id: { $ne: req.sessionId } },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked by user' } }
+    );
+    res.json({ revoked: result.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Resend the verification link to the signed-in user
+async function requestEmailVerification(req, res, next) {
+  try {
+    if (req.user.emailVerified) return res.status(409).json({ error: 'Email already verified' });
+
+    const sent = await sendVerificationEmail(req.user);
+    if (!sent) return res.status(429).json({ error: 'A verification email was sent recently. Please wait a minute.' });
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function verifyEmail(req, res, next) {
+  try {
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.message });
+
+    const userId = await consumeAuthToken(value.token, 'email_verification');
+    if (!userId) return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    res.json({ message: 'Email verified', user: user.toJSON() });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Always answers the same way so the endpoint can't be used to discover registered emails
+async function forgotPassword(req, res, next) {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.message });
+
+    const user = await User.findOne({ email: value.email.toLowerCase() });
+    if (user) {
+      const token = await issueAuthToken(user._id, 'password_reset');
+      if (token) {
+        // A mail failure must not answer differently from an unknown email
+        try {
+          await mailLink(
+            user,
+            'Reset your JobMug password',
+            'We received a request to reset your password. Open the link below to choose a new one.',
+            clientUrl(`/reset-password?token=${encodeURIComponent(token)}`)
+          );
+        } catch (mailErr) {
+          console.error('Failed to send password reset email', mailErr);
+        }
+      }
+    }
+    res.json({ message: 'If that email is registered, a reset link is on its way' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function resetPassword(req, res, next) {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.message });
+
+    const userId = await consumeAuthToken(value.token, 'password_reset');
+    if (!userId) return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+
+    user.password = value.password;
+    // The reset link reached the inbox, which proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out everywhere in case the old password was compromised
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'password reset' } }
+    );
+    clearRefreshCookie(res);
+    res.json({ message: 'Password updated. Please sign in with your new password.' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  register,
+  login,
+  me,
+  refresh,
+  logout,
+  listSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword
+};
@@ -0,0 +1,136 @@
+const User = require('../models/user');
+const Job = require('../models/job');
+const { scoreCandidate } = require('../lib/matching');
+const { getJobIdf } = require('../lib/jobCorpus');
+const { normalizeSkills } = require('../lib/skills');
+const { escapeRegExp } = require('../lib/regex');
+const { searchCandidatesSchema } = require('../validators/candidateValidator');
+
+// Candidates scored in memory when ranking against a job
+const CANDIDATE_POOL_SIZE = 500;
+
+const list = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Only seekers who opted in are ever returned
+async function buildCandidateFilter(query) {
+  const filter = { role: 'seeker', 'privacy.discoverable': true };
+  if (query.q) filter.$text = { $search: query.q };
+  if (query.location) {
+    const rx = new RegExp(escapeRegExp(query.location), 'i');
+    filter.$or = [{ location: rx }, { 'preferences.locations': rx }];
+  }
+  const availability = list(query.availability);
+  if (availability.length) filter.availability = { $in: availability };
+  if (query.minYears != null || query.maxYears != null) {
+    filter.yearsExperience = {};
+    if (query.minYears != null) filter.yearsExperience.$gte = query.minYears;
+    if (query.maxYears != null) filter.yearsExperience.$lte = query.maxYears;
+  }
+  const skills = await normalizeSkills(list(query.skills));
+  if (skills.length) {
+    filter.skills = { $all: skills.map(s => new RegExp(`^${escapeRegExp(s)}$`, 'i')) };
+  }
+  return filter;
+}
+
+// What a recruiter may see of a candidate, according to the seeker's privacy settings
+function presentCandidate(user) {
+  const privacy = user.privacy || {};
+  const showName = privacy.showName !== false;
+  return {
+    _id: user._id,
+    name: showName ? user.name : null,
+    headline: user.headline,
+    bio: user.bio,
+    location: user.location,
+    availability: user.availability || null,
+    yearsExperience: user.yearsExperience ?? null,
+    skills: user.skills || [],
+    experience: (user.experience || []).map(e => ({
+      title: e.title,
+      company: e.company,
+      startDate: e.startDate,
+      endDate: e.endDate,
+      current: e.current
+    })),
+    education: (user.education || []).map(e => ({ school: e.school, degree: e.degree, field: e.field })),
+    certifications: (user.certifications || []).map(c => ({ name: c.name, issuer: c.issuer })),
+    ...(showName ? { links: user.links || [] } : {}),
+    ...(privacy.showContact ? { email: user.email, phone: user.phone } : {}),
+    ...(privacy.showResume && user.resumeFile ? { resumeFile: user.resumeFile } : {}),
+    updatedAt: user.updatedAt
+  };
+}
+
+// GET /api/candidates (recruiter|admin) — search seekers who opted into being discoverable
+async function searchCandidates(req, res, next) {
+  try {
+    const { error, value } = searchCandidatesSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.message });
+    const { page, limit } = value;
+    const skip = (page - 1) * limit;
+
+    let job = null;
+    if (value.jobId) {
+      job = await Job.findById(value.jobId);
+      if (!job || (req.user.role !== 'admin' && !job.postedBy.equals(req.user._id))) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+    }
+
+    const filter = await buildCandidateFilter(value);
+    const sort = value.q ? { score: { $meta: 'textScore' } } : { updatedAt: -1 };
+
+    if (!job) {
+      const [items, total] = await Promise.all([
+        User.find(filter).sort(sort).skip(skip).limit(limit).lean(),
+        User.countDocuments(filter)
+      ]);
+      return res.json({
+        meta: { page, limit, total, pages: Math.ceil(total / limit) },
+        data: items.map(presentCandidate)
+      });
+    }
+
+    // Ranked against a job: score the best text matches (or most recently updated profiles) and sort by fit
+    const [pool, idf] = await Promise.all([
+      User.find(filter).select('+resumeText').sort(sort).limit(CANDIDATE_POOL_SIZE).lean(),
+      getJobIdf()
+    ]);
+    const ranked = pool
+      .map(user => {
+        const { score, matchedSkills, missingSkills, breakdown } = scoreCandidate(job, {
+          skills: user.skills,
+          // A resume the seeker doesn't share must not show through matched skills
+          resumeText: user.privacy && user.privacy.showResume ? user.resumeText : undefined,
+          location: user.location,
+          // Salary expectations stay private in search
+          preferences: { ...(user.preferences || {}), minSalary: undefined },
+          experience: user.experience
+        }, { idf });
+        return {
+          ...presentCandidate(user),
+          matchScore: score,
+          matchedSkills,
+          missingSkills,
+          matchBreakdown: breakdown
+        };
+      })
+      .sort((a, b) => b.matchScore - a.matchScore);
+
+    res.json({
+      meta: {
+        page,
+        limit,
+        total: ranked.length,
+        pages: Math.ceil(ranked.length / limit),
+        job: { _id: job._id, title: job.title }
+      },
+      data: ranked.slice(skip, skip + limit)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { searchCandidates };
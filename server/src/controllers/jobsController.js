@@ -1,61 +1,46 @@
 const Job = require('../models/job');
+const Application = require('../models/application');
 const Notification = require('../models/notification');
-const { createJobSchema, updateJobSchema } = require('../validators/jobValidator');
+const File = require('../models/file');
+const SavedJob = require('../models/savedJob');
+const { parseStoredResume } = require('../lib/resumeParser');
+const { scoreCandidate } = require('../lib/matching');
+const { getJobIdf } = require('../lib/jobCorpus');
+const { normalizeSkills } = require('../lib/skills');
+const { recommendJobs } = require('../lib/recommendations');
+const { findSimilarJobs } = require('../lib/similarJobs');
+const User = require('../models/user');
+const { createJobSchema, updateJobSchema, updateJobStatusSchema, suggestJobsSchema } = require('../validators/jobValidator');
+const { updateStatusSchema, listApplicantsSchema } = require('../validators/applicationValidator');
+const { APPLICATION_STATUSES, allowedTransitions, canTransition, checkReapply } = require('../lib/applicationStatus');
+const { escapeRegExp } = require('../lib/regex');
+const { buildJobFilter, relevanceStages, geoNearStage, countJobFacets, radiusKm } = require('../lib/jobSearch');
+const { suggestJobTerms } = require('../lib/jobSuggestions');
+const { parseNear, parseBbox, distanceKm } = require('../lib/geo');
+const { PAY_PERIODS, hasExchangeRate, salaryRangeError, publicSalaryRange, withPublicSalary } = require('../lib/compensation');
+const {
+  cursorScope,
+  decodeCursor,
+  afterFilter,
+  toMongoSort,
+  pageQuery,
+  pageResult
+} = require('../lib/cursor');
+const {
+  JOB_STATUSES,
+  allowedJobTransitions,
+  canTransitionJob,
+  liveJobFilter,
+  isJobLive,
+  isJobClosingSoon
+} = require('../lib/jobStatus');
 const Joi = require('joi');
 
-// Helper: build filter (unchanged)
-function buildFilter(query) {
-  const filter = {};
-  if (query.q) {
-    filter.$text = { $search: query.q };
+// Rewrite known skill spellings in tags and requirement lists to their canonical names
+async function normalizeJobSkills(value) {
+  for (const field of ['tags', 'requirements', 'niceToHave']) {
+    if (value[field]) value[field] = await normalizeSkills(value[field]);
   }
-  if (query.location) {
-    filter.location = new RegExp(query.location, 'i');
-  }
-  if (query.type) {
-    filter.type = query.type;
-  }
-  if (query.remote === 'true') {
-    filter.isRemote = true;
-  } else if (query.remote === 'false') {
-    filter.isRemote = false;
-  }
-  if (query.tag) {
-    filter.tags = query.tag;
-  }
-  return filter;
-}
-
-// Simple matching algorithm: compare job.requirements and job.tags to applicant skills and resumeText
-function computeMatch(job, applicantSkills = [], resumeText = '') {
-  const jobKeywords = new Set();
-  (job.requirements || []).forEach(r => {
-    if (typeof r === 'string') r.split(/\W+/).forEach(t => t && jobKeywords.add(t.toLowerCase()));
-  });
-  (job.tags || []).forEach(t => t && jobKeywords.add(String(t).toLowerCase()));
-  (job.title || '').split(/\W+/).forEach(t => t && jobKeywords.add(t.toLowerCase()));
-
-  const skillSet = new Set((applicantSkills || []).map(s => s.toLowerCase()));
-  const resumeWords = new Set((resumeText || '').toLowerCase().split(/\W+/).filter(Boolean));
-
-  const matchedSkills = [];
-  let matches = 0;
-  jobKeywords.forEach(k => {
-    if (skillSet.has(k)) {
-      matches++;
-      matchedSkills.push(k);
-    } else if (resumeWords.has(k)) {
-      matches++;
-      matchedSkills.push(k);
-    }
-  });
-
-  // Score normalized to 0..100
-  const possible = Math.max(1, jobKeywords.size);
-  const score = Math.min(100, Math.round((matches / possible) * 100));
-  // dedupe matchedSkills
-  const uniqueMatched = Array.from(new Set(matchedSkills));
-  return { score, matchedSkills: uniqueMatched };
 }
 
 // Create job (unchanged except postedBy)
@@ -63,9 +48,11 @@ async function createJob(req, res, next) {
   try {
     const { error, value } = createJobSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.message });
+    await normalizeJobSkills(value);
 
     const payload = { ...value, postedBy: req.user._id };
     if (!payload.company && req.user.company) payload.company = req.user.company;
+    if (payload.status !== 'scheduled') delete payload.publishAt;
 
     const job = new Job(payload);
     await job.save();
@@ -75,21 +62,265 @@ async function createJob(req, res, next) {
   }
 }
 
-// List jobs (unchanged)
+function withDistance(job, near) {
+  const point = job.geo && job.geo.point;
+  return { ...job, distanceKm: point ? Math.round(distanceKm(near.point, point) * 10) / 10 : null };
+}
+
+// Error message for listing criteria that can't be used (see lib/jobSearch), otherwise null
+function searchQueryError(query) {
+  if (query.near && !parseNear(query.near)) return `Unknown location "${query.near}"`;
+  if (query.bbox && !parseBbox(query.bbox)) return 'bbox must be "west,south,east,north" in degrees';
+  if (query.salaryCurrency && !hasExchangeRate(query.salaryCurrency)) {
+    return `No exchange rate for salaryCurrency "${query.salaryCurrency}"`;
+  }
+  if (query.salaryPeriod && !PAY_PERIODS.includes(query.salaryPeriod)) {
+    return `salaryPeriod must be one of ${PAY_PERIODS.join(', ')}`;
+  }
+  return null;
+}
+
+// Stable orders for the public listing; the trailing _id makes every position unique for cursors
+const JOB_SORTS = {
+  newest: [['createdAt', -1], ['_id', -1]],
+  oldest: [['createdAt', 1], ['_id', 1]],
+  relevance: [['relevance', -1], ['_id', 1]],
+  distance: [['distanceKm', 1], ['_id', 1]]
+};
+
+const PAGING_PARAMS = ['cursor', 'limit', 'includeTotal', 'page'];
+
+// Listing criteria without the paging parameters, in a fixed key order (for cursor scopes)
+function listingCriteria(query) {
+  return Object.fromEntries(Object.keys(query)
+    .filter(key => !PAGING_PARAMS.includes(key))
+    .sort()
+    .map(key => [key, query[key]]));
+}
+
+// List jobs (public: only live jobs, see lib/jobStatus), a page at a time with opaque cursors (lib/cursor).
+// Sorting defaults to distance for radius searches, relevance for text searches and newest otherwise.
 async function getJobs(req, res, next) {
   try {
-    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
-    const limit = Math.min(parseInt(req.query.limit || '20', 10), 100);
-    const skip = (page - 1) * limit;
+    const { limit, cursor, includeTotal } = pageQuery(req.query);
+
+    const error = searchQueryError(req.query);
+    if (error) return res.status(400).json({ error });
+    const near = req.query.near ? parseNear(req.query.near) : null;
+    const nearMeta = near ? { near: { label: near.label, radiusKm: radiusKm(req.query) } } : {};
+    let sortName = req.query.sort || (near ? 'distance' : req.query.q ? 'relevance' : 'newest');
+    if (!JOB_SORTS[sortName] || (sortName === 'distance' && !near) || (sortName === 'relevance' && !req.query.q)) {
+      sortName = 'newest';
+    }
+    const sort = JOB_SORTS[sortName];
+    const scope = cursorScope(sortName, listingCriteria(req.query));
+    const after = cursor ? decodeCursor(cursor, scope, sort) : null;
+    if (cursor && !after) return res.status(400).json({ error: 'Invalid cursor' });
+
+    const filter = { $and: [buildJobFilter(req.query), liveJobFilter()] };
+
+    let items;
+    let total;
+    let extra;
+    if (sortName === 'distance') {
+      // $geoNear applies the radius itself; a text search is narrowed to its matching jobs first
+      const query = req.query.q
+        ? { _id: { $in: (await Job.find(filter).select('_id').lean()).map(j => j._id) } }
+        : { $and: [buildJobFilter({ ...req.query, near: undefined }), liveJobFilter()] };
+      [items, total] = await Promise.all([
+        Job.aggregate([
+          geoNearStage(req.query, query),
+          ...(after ? [{ $match: afterFilter(sort, after.values) }] : []),
+          { $sort: toMongoSort(sort) },
+          { $limit: limit + 1 },
+          { $unset: 'suggestKeys' }
+        ]),
+        includeTotal ? Job.countDocuments(filter) : undefined
+      ]);
+    } else if (sortName === 'relevance') {
+      // Freshness decays with time, so later pages score against the time of the first one
+      const now = after && after.extra.n ? new Date(after.extra.n) : new Date();
+      extra = { n: now.getTime() };
+      [items, total] = await Promise.all([
+        Job.aggregate([
+          { $match: filter },
+          ...relevanceStages(now),
+          ...(after ? [{ $match: afterFilter(sort, after.values) }] : []),
+          { $sort: toMongoSort(sort) },
+          { $limit: limit + 1 },
+          { $unset: 'suggestKeys' }
+        ]),
+        includeTotal ? Job.countDocuments(filter) : undefined
+      ]);
+    } else {
+      const pageFilter = after ? { $and: [filter, afterFilter(sort, after.values)] } : filter;
+      [items, total] = await Promise.all([
+        Job.find(pageFilter).sort(toMongoSort(sort)).limit(limit + 1).lean(),
+        includeTotal ? Job.countDocuments(filter) : undefined
+      ]);
+    }
 
-    const filter = buildFilter(req.query);
-    const sort = req.query.sort === 'oldest' ? { createdAt: 1 } : { createdAt: -1 };
+    const result = pageResult(items, { limit, scope, sort, extra, total });
+    res.json({
+      meta: { ...result.meta, ...nearMeta },
+      data: result.items.map(j => (near ? withDistance(withPublicSalary(j), near) : withPublicSalary(j)))
+    });
+  } catch (err) {
+    next(err);
+  }
+}
 
+// Search box completions for titles, skills, companies and locations (see lib/jobSuggestions)
+async function suggestJobs(req, res, next) {
+  try {
+    const { error, value } = suggestJobsSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.message });
+    res.json(await suggestJobTerms(value.q, { limit: value.limit }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Per-facet counts for the public listing; takes the same query as getJobs (see lib/jobSearch)
+async function getJobFacets(req, res, next) {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.facetLimit || '20', 10) || 20, 1), 100);
+    const error = searchQueryError(req.query);
+    if (error) return res.status(400).json({ error });
+    res.json(await countJobFacets(req.query, { limit }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+const MAP_PIN_FIELDS = 'title company location isRemote type salaryRange postedAt createdAt geo';
+
+// Map pins: live jobs with coordinates for the listing query, usually narrowed to the viewport with bbox.
+// Newest first up to limit; meta.truncated says more jobs matched than were returned.
+async function getJobMap(req, res, next) {
+  try {
+    const error = searchQueryError(req.query);
+    if (error) return res.status(400).json({ error });
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '500', 10) || 500, 1), 2000);
+
+    const filter = {
+      $and: [buildJobFilter(req.query), liveJobFilter(), { 'geo.point.coordinates': { $exists: true } }]
+    };
     const [items, total] = await Promise.all([
-      Job.find(filter).sort(sort).skip(skip).limit(limit).lean(),
+      Job.find(filter).sort({ createdAt: -1 }).limit(limit).select(MAP_PIN_FIELDS).lean(),
       Job.countDocuments(filter)
     ]);
 
+    res.json({
+      meta: { limit, total, truncated: total > items.length },
+      data: items.map(({ geo, ...job }) => ({ ...withPublicSalary(job), point: geo.point.coordinates }))
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+const MY_JOBS_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  mostApplicants: { applicantsCount: -1, createdAt: -1 },
+  latestApplication: { latestApplicationAt: -1, createdAt: -1 },
+  match: { avgMatchScore: -1, createdAt: -1 }
+};
+
+// Recruiter's own jobs with applicant stats computed from the applications collection.
+// Query: q, status (comma-separated), hasApplicants=true|false, sort (see MY_JOBS_SORTS), page, limit
+async function getMyJobs(req, res, next) {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+    const sort = MY_JOBS_SORTS[req.query.sort] || MY_JOBS_SORTS.newest;
+
+    const match = { postedBy: req.user._id };
+    if (req.query.q) {
+      const rx = new RegExp(escapeRegExp(req.query.q), 'i');
+      match.$or = [{ title: rx }, { company: rx }, { location: rx }];
+    }
+    const statuses = (req.query.status || '').split(',').map(s => s.trim()).filter(Boolean);
+    const invalid = statuses.filter(s => !JOB_STATUSES.includes(s));
+    if (invalid.length) return res.status(400).json({ error: `Invalid status: ${invalid.join(', ')}` });
+    if (statuses.length) match.status = { $in: statuses };
+
+    const pipeline = [
+      { $match: match },
+      {
+        $lookup: {
+          from: 'applications',
+          let: { jobId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$job', '$$jobId'] } } },
+            {
+              $group: {
+                _id: '$status',
+                count: { $sum: 1 },
+                scoreSum: { $sum: '$matchScore' },
+                latest: { $max: '$appliedAt' }
+              }
+            }
+          ],
+          as: 'applicationStats'
+        }
+      },
+      {
+        $set: {
+          applicantsCount: { $sum: '$applicationStats.count' },
+          latestApplicationAt: { $max: '$applicationStats.latest' },
+          statusCounts: {
+            $arrayToObject: {
+              $map: { input: '$applicationStats', in: { k: '$$this._id', v: '$$this.count' } }
+            }
+          },
+          matchScoreSum: { $sum: '$applicationStats.scoreSum' }
+        }
+      },
+      {
+        $set: {
+          avgMatchScore: {
+            $cond: [
+              { $gt: ['$applicantsCount', 0] },
+              { $round: [{ $divide: ['$matchScoreSum', '$applicantsCount'] }, 0] },
+              null
+            ]
+          }
+        }
+      },
+      { $unset: ['applicationStats', 'matchScoreSum', 'suggestKeys'] }
+    ];
+
+    if (req.query.hasApplicants === 'true') {
+      pipeline.push({ $match: { applicantsCount: { $gt: 0 } } });
+    } else if (req.query.hasApplicants === 'false') {
+      pipeline.push({ $match: { applicantsCount: 0 } });
+    }
+
+    pipeline.push({
+      $facet: {
+        total: [{ $count: 'n' }],
+        items: [{ $sort: sort }, { $skip: skip }, { $limit: limit }]
+      }
+    });
+
+    const [result] = await Job.aggregate(pipeline);
+    const total = result.total.length ? result.total[0].n : 0;
+
+    // Fill in zero counts so every status is present
+    const data = result.items.map(j => {
+      const statusCounts = {};
+      APPLICATION_STATUSES.forEach(s => { statusCounts[s] = (j.statusCounts && j.statusCounts[s]) || 0; });
+      return {
+        ...j,
+        statusCounts,
+        isLive: isJobLive(j),
+        allowedStatusTransitions: allowedJobTransitions(j.status)
+      };
+    });
+
     res.json({
       meta: {
         page,
@@ -97,19 +328,211 @@ async function getJobs(req, res, next) {
         total,
         pages: Math.ceil(total / limit)
       },
-      data: items
+      data
     });
   } catch (err) {
     next(err);
   }
 }
 
-// Get job by id (unchanged)
+// Open jobs ranked for the calling seeker (see lib/recommendations)
+async function getRecommendedJobs(req, res, next) {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10) || 10, 1), 50);
+    const skip = (page - 1) * limit;
+
+    const ranked = await recommendJobs(req.user);
+    const data = ranked.slice(skip, skip + limit).map(r => ({
+      ...withPublicSalary(r.job),
+      matchScore: r.matchScore,
+      matchedSkills: r.matchedSkills,
+      reasons: r.reasons
+    }));
+
+    res.json({
+      meta: {
+        page,
+        limit,
+        total: ranked.length,
+        pages: Math.ceil(ranked.length / limit)
+      },
+      data
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Hide a job from the caller's recommendations
+async function dismissJob(req, res, next) {
+  try {
+    if (!(await Job.exists({ _id: req.params.id }))) return res.status(404).json({ error: 'Job not found' });
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { dismissedJobs: req.params.id } });
+    res.json({ message: 'Job dismissed' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Undo a dismissal
+async function undismissJob(req, res, next) {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $pull: { dismissedJobs: req.params.id } });
+    res.json({ message: 'Job restored' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Statuses whose job page stays viewable by anyone (closed jobs keep their page but stop taking applications)
+const PUBLIC_JOB_STATUSES = ['published', 'paused', 'closed'];
+
+// Bookmark a job for later (idempotent)
+async function saveJob(req, res, next) {
+  try {
+    const job = await Job.findById(req.params.id).select('status').lean();
+    if (!job || !PUBLIC_JOB_STATUSES.includes(job.status || 'published')) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    await SavedJob.updateOne(
+      { user: req.user._id, job: job._id },
+      { $setOnInsert: { user: req.user._id, job: job._id } },
+      { upsert: true }
+    );
+    res.json({ message: 'Job saved', saved: true });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Remove a bookmark
+async function unsaveJob(req, res, next) {
+  try {
+    await SavedJob.deleteOne({ user: req.user._id, job: req.params.id });
+    res.json({ message: 'Job removed from saved jobs', saved: false });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// open | closing_soon (live, expiresAt near) | paused | closed (expired, closed or taken down)
+function listingState(job, now) {
+  if (isJobClosingSoon(job, now)) return 'closing_soon';
+  if (isJobLive(job, now)) return 'open';
+  if (job.status === 'paused' && (!job.expiresAt || job.expiresAt > now)) return 'paused';
+  return 'closed';
+}
+
+// The caller's saved jobs, most recently saved first
+async function getSavedJobs(req, res, next) {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user._id };
+    const [saved, total] = await Promise.all([
+      SavedJob.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('job', 'title company location isRemote type salaryRange tags status expiresAt postedAt createdAt')
+        .lean(),
+      SavedJob.countDocuments(filter)
+    ]);
+
+    const jobIds = saved.filter(s => s.job).map(s => s.job._id);
+    const applied = new Set((await Application.find({
+      applicant: req.user._id,
+      job: { $in: jobIds },
+      status: { $ne: 'withdrawn' }
+    }).select('job').lean()).map(a => String(a.job)));
+
+    const now = new Date();
+    res.json({
+      meta: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      // Jobs deleted since they were saved drop out
+      data: saved.filter(s => s.job).map(s => ({
+        ...withPublicSalary(s.job),
+        savedAt: s.createdAt,
+        listingState: listingState(s.job, now),
+        applied: applied.has(String(s.job._id))
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Get job by id. Drafts, scheduled and archived jobs are only visible to the poster or an admin.
 async function getJobById(req, res, next) {
   try {
     const job = await Job.findById(req.params.id).populate('postedBy', 'name email company');
     if (!job) return res.status(404).json({ error: 'Job not found' });
-    res.json(job);
+
+    const isOwner = req.user && (req.user.role === 'admin' || (job.postedBy && job.postedBy._id.equals(req.user._id)));
+    if (!isOwner && !PUBLIC_JOB_STATUSES.includes(job.status)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const saved = req.user && req.user.role === 'seeker'
+      ? !!(await SavedJob.exists({ user: req.user._id, job: job._id }))
+      : undefined;
+
+    const body = job.toJSON();
+    res.json({
+      ...body,
+      salaryRange: isOwner ? body.salaryRange : publicSalaryRange(body.salaryRange),
+      acceptingApplications: isJobLive(job),
+      closingSoon: isJobClosingSoon(job),
+      saved,
+      allowedStatusTransitions: isOwner ? allowedJobTransitions(job.status) : undefined
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Other open jobs like this one ("more like this"); visibility follows getJobById
+async function getSimilarJobs(req, res, next) {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '5', 10) || 5, 1), 20);
+
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const isOwner = req.user && (req.user.role === 'admin' || (job.postedBy && job.postedBy.equals(req.user._id)));
+    if (!isOwner && !PUBLIC_JOB_STATUSES.includes(job.status)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const similar = await findSimilarJobs(job, {
+      limit,
+      excludePoster: req.query.excludeSamePoster === 'true' ? job.postedBy : undefined
+    });
+
+    res.json({
+      meta: { limit, total: similar.length },
+      data: similar.map(({ job: j, score, sharedSkills, reasons }) => ({
+        _id: j._id,
+        title: j.title,
+        company: j.company,
+        location: j.location,
+        isRemote: j.isRemote,
+        type: j.type,
+        salaryRange: publicSalaryRange(j.salaryRange),
+        tags: j.tags,
+        createdAt: j.createdAt,
+        similarity: score,
+        sharedSkills,
+        reasons
+      }))
+    });
   } catch (err) {
     next(err);
   }
@@ -120,6 +543,7 @@ async function updateJob(req, res, next) {
   try {
     const { error, value } = updateJobSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.message });
+    await normalizeJobSkills(value);
 
     const job = await Job.findById(req.params.id);
     if (!job) return res.status(404).json({ error: 'Job not found' });
@@ -128,6 +552,23 @@ async function updateJob(req, res, next) {
       return res.status(403).json({ error: 'Forbidden: cannot update job' });
     }
 
+    if (value.publishAt && job.status !== 'scheduled') {
+      return res.status(400).json({ error: 'publishAt can only be changed on scheduled jobs' });
+    }
+
+    // Merge partial policy updates instead of resetting omitted fields to their defaults
+    if (value.reapplyPolicy) {
+      value.reapplyPolicy = { ...job.reapplyPolicy.toObject(), ...value.reapplyPolicy };
+    }
+    // Same for pay, which is then checked as a whole
+    if (value.salaryRange) {
+      const salaryRange = { ...(job.salaryRange ? job.salaryRange.toObject() : {}), ...value.salaryRange };
+      ['equity', 'bonus'].forEach(k => { if (salaryRange[k] === null) delete salaryRange[k]; });
+      const salaryError = salaryRangeError(salaryRange);
+      if (salaryError) return res.status(400).json({ error: salaryError });
+      value.salaryRange = salaryRange;
+    }
+
     Object.assign(job, value);
     await job.save();
     res.json(job);
@@ -136,6 +577,53 @@ async function updateJob(req, res, next) {
   }
 }
 
+// Move a job through its lifecycle (recruiter who posted or admin)
+async function updateJobStatus(req, res, next) {
+  try {
+    const { error, value } = updateJobStatusSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.message });
+
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    if (req.user.role !== 'admin' && !job.postedBy.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Forbidden: cannot update job' });
+    }
+
+    const { status, publishAt } = value;
+    if (!canTransitionJob(job.status, status)) {
+      return res.status(409).json({
+        error: `Cannot change job status from "${job.status}" to "${status}"`,
+        allowed: allowedJobTransitions(job.status)
+      });
+    }
+
+    const now = new Date();
+    if (status === 'published' && job.expiresAt && job.expiresAt <= now) {
+      return res.status(400).json({ error: 'Job has expired; extend expiresAt before publishing it again' });
+    }
+
+    const from = job.status;
+    job.status = status;
+    if (status === 'scheduled') job.publishAt = publishAt;
+    // The public posting date is the first time the job goes live
+    if (status === 'published' && ['draft', 'scheduled'].includes(from)) {
+      job.postedAt = now;
+      job.publishAt = undefined;
+    }
+    if (status === 'closed') job.closedAt = now;
+    await job.save();
+
+    res.json({
+      ...job.toJSON(),
+      acceptingApplications: isJobLive(job),
+      allowedStatusTransitions: allowedJobTransitions(job.status)
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
 // Delete job (unchanged)
 async function deleteJob(req, res, next) {
   try {
@@ -146,7 +634,11 @@ async function deleteJob(req, res, next) {
       return res.status(403).json({ error: 'Forbidden: cannot delete job' });
     }
 
-    await job.remove();
+    await Promise.all([
+      job.deleteOne(),
+      Application.deleteMany({ job: job._id }),
+      SavedJob.deleteMany({ job: job._id })
+    ]);
     res.status(204).send();
   } catch (err) {
     next(err);
@@ -157,11 +649,12 @@ async function deleteJob(req, res, next) {
 const applySchema = Joi.object({
   coverLetter: Joi.string().max(2000).optional().allow(''),
   resumeUrl: Joi.string().uri().optional().allow(''),
+  resumeFile: Joi.string().hex().length(24).optional(),
   resumeText: Joi.string().optional().allow(''),
   skills: Joi.array().items(Joi.string()).optional()
 });
 
-// Apply to job (now creates an application subdoc with match score and notifies recruiter)
+// Apply to job (creates an Application document with match score and notifies recruiter)
 async function applyToJob(req, res, next) {
   try {
     const { error, value } = applySchema.validate(req.body);
@@ -174,38 +667,66 @@ async function applyToJob(req, res, next) {
       return res.status(403).json({ error: 'Only seekers can apply to jobs' });
     }
 
-    // Prevent duplicate application by same user
-    const already = job.applications.some(a => a.applicant.equals(req.user._id));
-    if (already) return res.status(400).json({ error: 'You have already applied to this job' });
+    if (!isJobLive(job)) {
+      return res.status(400).json({ error: 'This job is not accepting applications' });
+    }
 
-    // Determine applicant skills snapshot: prefer provided skills, else user profile skills
-    const applicantSkills = (value.skills && value.skills.length) ? value.skills : (req.user.skills || []);
+    // Prevent duplicate application by same user, unless the job's reapplyPolicy allows another attempt
+    const prior = await Application.findOne({ job: job._id, applicant: req.user._id }).sort({ appliedAt: -1 });
+    const reapply = checkReapply(job.reapplyPolicy, prior);
+    if (!reapply.allowed) {
+      return res.status(400).json({ error: reapply.reason, reapplyAfter: reapply.availableAt });
+    }
+
+    // Only the applicant's own uploads can be attached; recruiters of this job gain read access to it
+    let resume = null;
+    if (value.resumeFile) {
+      const file = await File.findOne({ _id: value.resumeFile, owner: req.user._id });
+      if (!file) return res.status(400).json({ error: 'Resume file not found' });
+      // Files uploaded before parsing existed are parsed on first use
+      resume = await parseStoredResume(file);
+    }
+    const resumeText = value.resumeText || (resume && resume.text) || '';
 
-    // Compute match
-    const { score, matchedSkills } = computeMatch(job, applicantSkills, value.resumeText || '');
+    // Determine applicant skills snapshot: provided skills, else profile skills, else skills found in the resume
+    let applicantSkills = (value.skills && value.skills.length) ? await normalizeSkills(value.skills) : (req.user.skills || []);
+    if (!applicantSkills.length && resume && resume.skills) applicantSkills = resume.skills;
 
-    const application = {
+    // Score against the job; profile experience wins over what was read from the resume
+    const { score, matchedSkills, missingSkills, breakdown } = scoreCandidate(job, {
+      skills: applicantSkills,
+      resumeText,
+      location: req.user.location,
+      preferences: req.user.preferences,
+      experience: (req.user.experience && req.user.experience.length) ? req.user.experience : (resume && resume.experience)
+    }, { idf: await getJobIdf() });
+
+    const application = new Application({
+      job: job._id,
       applicant: req.user._id,
       coverLetter: value.coverLetter,
       resumeUrl: value.resumeUrl,
-      resumeText: value.resumeText,
+      resumeFile: value.resumeFile,
+      resumeText: resumeText || undefined,
       skills: applicantSkills,
       matchScore: score,
-      matchedSkills
-    };
-
-    job.applications.push(application);
-    await job.save();
+      matchedSkills,
+      missingSkills,
+      matchBreakdown: breakdown,
+      statusHistory: [{ from: null, to: 'applied', changedBy: req.user._id }],
+      previousApplication: prior ? prior._id : undefined
+    });
+    await application.save();
 
     // Create notification for recruiter (job.postedBy)
     try {
       const notif = new Notification({
         user: job.postedBy,
         type: 'application',
-        title: `New application for ${job.title}`,
-        body: `${req.user.name} has applied for ${job.title}. Match: ${score}%`,
+        title: `${prior ? 'Re-application' : 'New application'} for ${job.title}`,
+        body: `${req.user.name} has ${prior ? 're-applied' : 'applied'} for ${job.title}. Match: ${score}%`,
         link: `/jobs/${job._id}/applicants`,
-        meta: { jobId: job._id, applicantId: req.user._id, matchScore: score }
+        meta: { jobId: job._id, applicationId: application._id, applicantId: req.user._id, matchScore: score }
       });
       await notif.save();
 
@@ -215,52 +736,142 @@ async function applyToJob(req, res, next) {
       console.error('Failed to create notification:', nerr);
     }
 
-    res.status(201).json({ message: 'Application submitted', matchScore: score, matchedSkills });
+    res.status(201).json({
+      message: 'Application submitted',
+      applicationId: application._id,
+      matchScore: score,
+      matchedSkills,
+      missingSkills,
+      matchBreakdown: breakdown
+    });
   } catch (err) {
     next(err);
   }
 }
 
-// Recruiter can list applicants for their job, with match info and optional sorting by match score
+const APPLICANT_SORTS = {
+  newest: [['appliedAt', -1], ['_id', -1]],
+  oldest: [['appliedAt', 1], ['_id', 1]],
+  match: [['matchScore', -1], ['appliedAt', -1], ['_id', -1]]
+};
+
+// Applications scored before the breakdown existed are re-scored once and saved
+async function rescoreApplications(job) {
+  const unscored = await Application.find({ job: job._id, 'matchBreakdown.0': { $exists: false } })
+    .populate('applicant', 'location preferences experience');
+  if (!unscored.length) return;
+  const idf = await getJobIdf();
+  await Application.bulkWrite(unscored.map(a => {
+    const profile = a.applicant || {};
+    const result = scoreCandidate(job, {
+      skills: a.skills,
+      resumeText: a.resumeText,
+      location: profile.location,
+      preferences: profile.preferences,
+      experience: profile.experience
+    }, { idf });
+    return {
+      updateOne: {
+        filter: { _id: a._id },
+        update: {
+          $set: {
+            matchScore: result.score,
+            matchedSkills: result.matchedSkills,
+            missingSkills: result.missingSkills,
+            matchBreakdown: result.breakdown
+          }
+        }
+      }
+    };
+  }));
+}
+
+// Recruiter can list applicants for their job with match info, a page at a time (cursors, see lib/cursor).
+// Filters: status (comma-separated), q (applicant name, email or skill); sort: newest, oldest or match.
 async function listApplicants(req, res, next) {
   try {
-    const job = await Job.findById(req.params.id).populate('applications.applicant', 'name email bio skills resumeUrl');
+    const { error, value } = listApplicantsSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.message });
+
+    const job = await Job.findById(req.params.id);
     if (!job) return res.status(404).json({ error: 'Job not found' });
 
     if (req.user.role !== 'admin' && !job.postedBy.equals(req.user._id)) {
       return res.status(403).json({ error: 'Forbidden: cannot view applicants' });
     }
 
-    // Optionally sort by match score if query.sort=match
-    let applicants = job.applications.map(a => ({
+    // Scores must all be stored before paging by match
+    await rescoreApplications(job);
+
+    const filter = { job: job._id };
+    if (value.status) filter.status = { $in: value.status };
+    if (value.q) {
+      const pattern = new RegExp(escapeRegExp(value.q), 'i');
+      const applicantIds = await Application.distinct('applicant', { job: job._id });
+      const users = await User.find({ _id: { $in: applicantIds }, $or: [{ name: pattern }, { email: pattern }] })
+        .distinct('_id');
+      filter.$or = [{ applicant: { $in: users } }, { skills: pattern }];
+    }
+
+    const sort = APPLICANT_SORTS[value.sort];
+    const scope = cursorScope(value.sort, { job: String(job._id), status: value.status, q: value.q });
+    const after = value.cursor ? decodeCursor(value.cursor, scope, sort) : null;
+    if (value.cursor && !after) return res.status(400).json({ error: 'Invalid cursor' });
+
+    const pageFilter = after ? { $and: [filter, afterFilter(sort, after.values)] } : filter;
+    const [applications, total] = await Promise.all([
+      Application.find(pageFilter)
+        .sort(toMongoSort(sort))
+        .limit(value.limit + 1)
+        .populate('applicant', 'name email phone bio skills resumeUrl location')
+        .populate('statusHistory.changedBy', 'name role'),
+      value.includeTotal ? Application.countDocuments(filter) : undefined
+    ]);
+    const { items, meta } = pageResult(applications, { limit: value.limit, scope, sort, total });
+
+    // Preferences (e.g. expected salary) feed the score but are not shown to the recruiter
+    const applicants = items.map(a => ({
       id: a._id,
-      applicant: a.applicant,
+      applicant: a.applicant && {
+        _id: a.applicant._id,
+        name: a.applicant.name,
+        email: a.applicant.email,
+        phone: a.applicant.phone,
+        bio: a.applicant.bio,
+        skills: a.applicant.skills,
+        resumeUrl: a.applicant.resumeUrl,
+        location: a.applicant.location
+      },
       coverLetter: a.coverLetter,
       resumeUrl: a.resumeUrl,
+      resumeFile: a.resumeFile,
       skills: a.skills,
       matchScore: a.matchScore,
       matchedSkills: a.matchedSkills,
+      missingSkills: a.missingSkills,
+      matchBreakdown: a.matchBreakdown,
       status: a.status,
+      statusHistory: a.statusHistory,
+      allowedTransitions: allowedTransitions(a.status),
+      withdrawnAt: a.withdrawnAt,
+      withdrawalReason: a.withdrawalReason,
+      previousApplication: a.previousApplication,
       appliedAt: a.appliedAt
     }));
 
-    if (req.query.sort === 'match') {
-      applicants = applicants.sort((x, y) => (y.matchScore || 0) - (x.matchScore || 0));
-    }
-
-    res.json({ jobId: job._id, title: job.title, applicants });
+    res.json({ jobId: job._id, title: job.title, meta, applicants });
   } catch (err) {
     next(err);
   }
 }
 
-// Endpoint to update application status (recruiter or admin)
+// Move an application along the status pipeline (recruiter who posted or admin).
+// Only transitions listed in lib/applicationStatus are accepted; each change is recorded in statusHistory.
 async function updateApplicationStatus(req, res, next) {
   try {
-    const { status } = req.body;
-    if (!['applied', 'reviewing', 'rejected', 'hired'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
+    const { error, value } = updateStatusSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.message });
+    const { status, note } = value;
 
     const job = await Job.findById(req.params.id);
     if (!job) return res.status(404).json({ error: 'Job not found' });
@@ -269,11 +880,20 @@ async function updateApplicationStatus(req, res, next) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    const app = job.applications.id(req.params.appId);
+    const app = await Application.findOne({ _id: req.params.appId, job: job._id });
     if (!app) return res.status(404).json({ error: 'Application not found' });
 
+    if (!canTransition(app.status, status)) {
+      return res.status(409).json({
+        error: `Cannot change status from "${app.status}" to "${status}"`,
+        allowed: allowedTransitions(app.status)
+      });
+    }
+
+    const from = app.status;
     app.status = status;
-    await job.save();
+    app.statusHistory.push({ from, to: status, changedBy: req.user._id, note: note || undefined });
+    await app.save();
 
     // Create notification to applicant about status change
     try {
@@ -282,15 +902,23 @@ async function updateApplicationStatus(req, res, next) {
         type: 'status_change',
         title: `Application status updated: ${status}`,
         body: `Your application for ${job.title} is now "${status}"`,
-        link: `/jobs/${job._id}`,
-        meta: { jobId: job._id, applicationId: app._id, status }
+        link: `/applications?highlight=${app._id}`,
+        meta: { jobId: job._id, applicationId: app._id, from, status }
       });
       await notif.save();
     } catch (nerr) {
       console.error('Failed to create status notification:', nerr);
     }
 
-    res.json({ message: 'Status updated' });
+    res.json({
+      message: 'Status updated',
+      application: {
+        id: app._id,
+        status: app.status,
+        statusHistory: app.statusHistory,
+        allowedTransitions: allowedTransitions(app.status)
+      }
+    });
   } catch (err) {
     next(err);
   }
@@ -299,8 +927,20 @@ async function updateApplicationStatus(req, res, next) {
 module.exports = {
   createJob,
   getJobs,
+  suggestJobs,
+  getJobFacets,
+  getJobMap,
+  getMyJobs,
+  getRecommendedJobs,
+  dismissJob,
+  undismissJob,
+  saveJob,
+  unsaveJob,
+  getSavedJobs,
   getJobById,
+  getSimilarJobs,
   updateJob,
+  updateJobStatus,
   deleteJob,
   applyToJob,
   listApplicants,
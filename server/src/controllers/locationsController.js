@@ -0,0 +1,16 @@
+const { suggestLocations } = require('../lib/geo');
+const { suggestLocationsSchema } = require('../validators/locationValidator');
+
+// GET /api/locations/suggest — autocomplete for job locations and "near" searches (bundled gazetteer)
+async function suggest(req, res, next) {
+  try {
+    const { error, value } = suggestLocationsSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json(suggestLocations(value.q, { limit: value.limit }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { suggest };
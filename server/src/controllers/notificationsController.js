@@ -1,10 +1,26 @@
 const Notification = require('../models/notification');
 const nodemailer = require('nodemailer');
+const { cursorScope, decodeCursor, afterFilter, toMongoSort, pageQuery, pageResult } = require('../lib/cursor');
 
+const NOTIFICATION_SORT = [['createdAt', -1], ['_id', -1]];
+
+// Newest first, a page at a time (cursors, see lib/cursor); meta.unread counts all unread notifications
 async function listNotifications(req, res, next) {
   try {
-    const items = await Notification.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(100);
-    res.json(items);
+    const { limit, cursor, includeTotal } = pageQuery(req.query);
+    const scope = cursorScope('newest');
+    const after = cursor ? decodeCursor(cursor, scope, NOTIFICATION_SORT) : null;
+    if (cursor && !after) return res.status(400).json({ error: 'Invalid cursor' });
+
+    const filter = { user: req.user._id };
+    const pageFilter = after ? { ...filter, ...afterFilter(NOTIFICATION_SORT, after.values) } : filter;
+    const [items, unread, total] = await Promise.all([
+      Notification.find(pageFilter).sort(toMongoSort(NOTIFICATION_SORT)).limit(limit + 1),
+      Notification.countDocuments({ ...filter, read: false }),
+      includeTotal ? Notification.countDocuments(filter) : undefined
+    ]);
+    const page = pageResult(items, { limit, scope, sort: NOTIFICATION_SORT, total });
+    res.json({ meta: { ...page.meta, unread }, data: page.items });
   } catch (err) {
     next(err);
   }
@@ -22,6 +38,15 @@ async function markRead(req, res, next) {
   }
 }
 
+async function markAllRead(req, res, next) {
+  try {
+    const result = await Notification.updateMany({ user: req.user._id, read: false }, { $set: { read: true } });
+    res.json({ message: 'Marked all read', updated: result.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+}
+
 // Optional helper: send email if SMTP configured (used elsewhere)
 async function sendEmail({ to, subject, text, html }) {
   if (!process.env.SMTP_HOST) return;
@@ -44,4 +69,4 @@ async function sendEmail({ to, subject, text, html }) {
   });
 }
 
-module.exports = { listNotifications, markRead, sendEmail };
\ No newline at end of file
+module.exports = { listNotifications, markRead, markAllRead, sendEmail };
\ No newline at end of file
@@ -1,4 +1,9 @@
 const User = require('../models/user');
+const File = require('../models/file');
+const { normalizeSkills } = require('../lib/skills');
+const { yearsFromExperience } = require('../lib/matching');
+const { parseStoredResume } = require('../lib/resumeParser');
+const { updateProfileSchema } = require('../validators/profileValidator');
 
 async function getProfile(req, res, next) {
   try {
@@ -12,15 +17,47 @@ async function getProfile(req, res, next) {
 
 async function updateProfile(req, res, next) {
   try {
-    const allowed = ['name', 'company', 'bio', 'skills', 'headline', 'location', 'resumeUrl', 'phone'];
-    const updates = {};
-    allowed.forEach(k => { if (req.body[k] !== undefined) updates[k] = req.body[k]; });
+    // Unknown keys (email, role, ...) are dropped rather than rejected so clients can send the whole user back
+    const { error, value } = updateProfileSchema.validate(req.body, { stripUnknown: true });
+    if (error) return res.status(400).json({ error: error.message });
 
-    const user = await User.findByIdAndUpdate(req.user._id, updates, { new: true }).select('-password');
+    // Canonical skill names ("JS" -> "JavaScript"), de-duplicated case-insensitively
+    if (value.skills) value.skills = await normalizeSkills(value.skills);
+    if (value.resumeFile !== undefined) {
+      let resumeText = null;
+      if (value.resumeFile) {
+        const file = await File.findOne({ _id: value.resumeFile, owner: req.user._id });
+        if (!file) return res.status(400).json({ error: 'Resume file not found' });
+        // Kept on the user so candidate search can match on resume content (only while it is shared)
+        resumeText = (await parseStoredResume(file)).text || null;
+      }
+      value.resumeText = resumeText;
+    }
+    if (value.experience) {
+      value.experience.forEach(e => { if (e.current) e.endDate = undefined; });
+      value.yearsExperience = yearsFromExperience(value.experience);
+    }
+    // Merge so a partial privacy update doesn't reset the other switches
+    if (value.privacy) {
+      const current = (req.user.privacy && req.user.privacy.toObject) ? req.user.privacy.toObject() : req.user.privacy;
+      value.privacy = { ...current, ...value.privacy };
+    }
+    // Resume words are only searchable while the seeker shares their resume
+    if (value.resumeFile !== undefined || value.privacy) {
+      const showResume = (value.privacy || req.user.privacy || {}).showResume;
+      let text = value.resumeText;
+      if (showResume && value.resumeFile === undefined) {
+        text = (await User.findById(req.user._id).select('+resumeText').lean()).resumeText;
+      }
+      value.resumeSearchText = (showResume && text) || null;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: value }, { new: true, runValidators: true })
+      .select('-password');
     res.json(user);
   } catch (err) {
     next(err);
   }
 }
 
-module.exports = { getProfile, updateProfile };
\ No newline at end of file
+module.exports = { getProfile, updateProfile };
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/savedSearch');
+const { nextAlertRun, searchPath } = require('../lib/savedSearches');
+const { createSavedSearchSchema, updateSavedSearchSchema } = require('../validators/savedSearchValidator');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Drop empty criteria so they don't narrow the search
+function cleanCriteria(criteria) {
+  const cleaned = {};
+  Object.entries(criteria).forEach(([key, value]) => {
+    if (value !== '' && value !== null && value !== undefined) cleaned[key] = value;
+  });
+  // Pay units mean nothing without an amount
+  if (!cleaned.salaryMin && !cleaned.salaryMax) {
+    delete cleaned.salaryCurrency;
+    delete cleaned.salaryPeriod;
+  }
+  return cleaned;
+}
+
+function present(search) {
+  return { ...search.toJSON(), searchPath: searchPath(search.criteria) };
+}
+
+async function findOwn(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+}
+
+// GET /api/saved-searches
+async function listSavedSearches(req, res, next) {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(searches.map(present));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/saved-searches — alerts cover jobs published from now on
+async function createSavedSearch(req, res, next) {
+  try {
+    const { error, value } = createSavedSearchSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.message });
+
+    value.criteria = cleanCriteria(value.criteria);
+    if (!Object.keys(value.criteria).length) {
+      return res.status(400).json({ error: 'Add at least one search criterion' });
+    }
+    if (await SavedSearch.countDocuments({ user: req.user._id }) >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const now = new Date();
+    const search = await SavedSearch.create({
+      ...value,
+      user: req.user._id,
+      lastRunAt: now,
+      nextRunAt: nextAlertRun(value.frequency, now)
+    });
+    res.status(201).json(present(search));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PATCH /api/saved-searches/:id — edit, change frequency, pause or resume
+async function updateSavedSearch(req, res, next) {
+  try {
+    const { error, value } = updateSavedSearchSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.message });
+
+    const search = await findOwn(req);
+    if (!search) return res.status(404).json({ error: 'Saved search not found' });
+
+    if (value.criteria) {
+      value.criteria = cleanCriteria(value.criteria);
+      if (!Object.keys(value.criteria).length) {
+        return res.status(400).json({ error: 'Add at least one search criterion' });
+      }
+    }
+
+    const now = new Date();
+    const resuming = value.active === true && !search.active;
+    Object.assign(search, value);
+    if (resuming) {
+      // Jobs published while paused are not sent after the fact
+      search.lastRunAt = now;
+      search.nextRunAt = nextAlertRun(search.frequency, now);
+    } else if (value.frequency) {
+      search.nextRunAt = nextAlertRun(search.frequency, search.lastRunAt || now);
+    }
+    await search.save();
+    res.json(present(search));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/saved-searches/:id
+async function deleteSavedSearch(req, res, next) {
+  try {
+    const search = await findOwn(req);
+    if (!search) return res.status(404).json({ error: 'Saved search not found' });
+    await search.deleteOne();
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { listSavedSearches, createSavedSearch, updateSavedSearch, deleteSavedSearch };
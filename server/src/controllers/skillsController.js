@@ -0,0 +1,150 @@
+const Skill = require('../models/skill');
+const { getSkillIndex, invalidateSkillCache, suggestSkills } = require('../lib/skills');
+const { createSkillSchema, updateSkillSchema, suggestSkillsSchema } = require('../validators/skillValidator');
+const { escapeRegExp } = require('../lib/regex');
+
+// Spellings already claimed by another skill, for a readable 409 instead of a duplicate-key error
+async function findKeyConflict(skill) {
+  return Skill.findOne({ _id: { $ne: skill._id }, keys: { $in: skill.keys } }, 'name');
+}
+
+// A parent must exist and must not lead back to the skill itself
+async function checkParent(skillId, parentId) {
+  let current = parentId;
+  const visited = new Set();
+  while (current) {
+    if (skillId && String(current) === String(skillId)) return 'A skill cannot be its own ancestor';
+    if (visited.has(String(current))) break;
+    visited.add(String(current));
+    const parent = await Skill.findById(current, 'parent').lean();
+    if (!parent) return current === parentId ? 'Parent skill not found' : null;
+    current = parent.parent;
+  }
+  return null;
+}
+
+async function saveSkill(skill, res) {
+  await skill.validate();
+  const conflict = await findKeyConflict(skill);
+  if (conflict) {
+    return res.status(409).json({ error: `Name or alias already used by "${conflict.name}"` });
+  }
+  try {
+    await skill.save();
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'Name or alias already used by another skill' });
+    throw err;
+  }
+  invalidateSkillCache();
+  return null;
+}
+
+// GET /api/skills — browse the taxonomy (public)
+async function listSkills(req, res, next) {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 200);
+    // Seeds the collection on first use
+    await getSkillIndex();
+
+    const filter = {};
+    if (req.query.q) {
+      const rx = new RegExp(escapeRegExp(req.query.q), 'i');
+      filter.$or = [{ name: rx }, { aliases: rx }];
+    }
+    if (req.query.category) filter.category = req.query.category;
+
+    const [data, total, categories] = await Promise.all([
+      Skill.find(filter, '-keys')
+        .populate('parent', 'name')
+        .sort({ category: 1, name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Skill.countDocuments(filter),
+      Skill.distinct('category')
+    ]);
+
+    res.json({
+      meta: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        categories: categories.filter(Boolean).sort()
+      },
+      data
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/skills/suggest?q= — autocomplete for skill and tag inputs (public)
+async function suggest(req, res, next) {
+  try {
+    const { error, value } = suggestSkillsSchema.validate(req.query);
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json(await suggestSkills(value.q, { limit: value.limit, category: value.category }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/skills (admin)
+async function createSkill(req, res, next) {
+  try {
+    const { error, value } = createSkillSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.message });
+
+    if (value.parent) {
+      const parentError = await checkParent(null, value.parent);
+      if (parentError) return res.status(400).json({ error: parentError });
+    }
+
+    const skill = new Skill(value);
+    if (await saveSkill(skill, res)) return;
+    res.status(201).json(skill);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/skills/:id (admin) — partial update; aliases replace the stored list
+async function updateSkill(req, res, next) {
+  try {
+    const { error, value } = updateSkillSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.message });
+
+    const skill = await Skill.findById(req.params.id);
+    if (!skill) return res.status(404).json({ error: 'Skill not found' });
+
+    if (value.parent) {
+      const parentError = await checkParent(skill._id, value.parent);
+      if (parentError) return res.status(400).json({ error: parentError });
+    }
+
+    Object.assign(skill, value);
+    if (await saveSkill(skill, res)) return;
+    res.json(skill);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/skills/:id (admin) — child skills lose their parent; stored skill strings are left as they are
+async function deleteSkill(req, res, next) {
+  try {
+    const skill = await Skill.findByIdAndDelete(req.params.id);
+    if (!skill) return res.status(404).json({ error: 'Skill not found' });
+
+    await Skill.updateMany({ parent: skill._id }, { $unset: { parent: 1 } });
+    invalidateSkillCache();
+    res.json({ message: 'Skill deleted' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { listSkills, suggest, createSkill, updateSkill, deleteSkill };
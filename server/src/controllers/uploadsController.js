@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../models/file');
+const Job = require('../models/job');
+const Application = require('../models/application');
+const User = require('../models/user');
+const { SIGNED_URL_TTL_SECONDS, verifyFileSignature } = require('../lib/signedUrls');
+const { getStorage } = require('../storage');
+const { parseStoredResume } = require('../lib/resumeParser');
+
+// Accepted resume formats, with the leading bytes each must start with
+const RESUME_TYPES = {
+  'application/pdf': { ext: '.pdf', magic: [Buffer.from('%PDF-')] },
+  'application/msword': { ext: '.doc', magic: [Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    ext: '.docx',
+    magic: [Buffer.from([0x50, 0x4b, 0x03, 0x04])]
+  }
+};
+
+function matchesMagic(buffer, mimeType) {
+  const type = RESUME_TYPES[mimeType];
+  return !!type && type.magic.some(m => buffer.subarray(0, m.length).equals(m));
+}
+
+function downloadName(file) {
+  return (file.originalName || 'file').replace(/[^\w.\- ]+/g, '_');
+}
+
+// Absolute so clients on another origin can open it; PUBLIC_API_URL overrides the request host
+function signedUrlFor(req, file) {
+  return getStorage().getSignedUrl(file.storageKey, {
+    fileId: file._id,
+    fileName: downloadName(file),
+    contentType: file.mimeType,
+    expiresIn: SIGNED_URL_TTL_SECONDS,
+    baseUrl: process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`
+  });
+}
+
+// Owner, admin, a recruiter who posted a job this file was submitted to, or any recruiter when it is
+// the resume of a discoverable seeker who chose to share it in candidate search
+async function canAccessFile(user, file) {
+  if (user.role === 'admin' || file.owner.equals(user._id)) return true;
+  if (user.role !== 'recruiter') return false;
+  const shared = await User.exists({
+    _id: file.owner,
+    resumeFile: file._id,
+    'privacy.discoverable': true,
+    'privacy.showResume': true
+  });
+  if (shared) return true;
+  const jobIds = await Application.distinct('job', { resumeFile: file._id });
+  if (!jobIds.length) return false;
+  return !!(await Job.exists({ _id: { $in: jobIds }, postedBy: user._id }));
+}
+
+// POST /api/uploads/resume (multipart "file")
+async function uploadResume(req, res, next) {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'File required' });
+
+    const { buffer, mimetype, originalname } = req.file;
+    if (!matchesMagic(buffer, mimetype)) {
+      return res.status(400).json({ error: 'File content does not match its type. Please upload a PDF, DOC or DOCX.' });
+    }
+
+    const storageKey = `resumes/${req.user._id}/${crypto.randomBytes(16).toString('hex')}${RESUME_TYPES[mimetype].ext}`;
+    await getStorage().put(storageKey, buffer, { contentType: mimetype });
+
+    const file = await File.create({
+      owner: req.user._id,
+      purpose: 'resume',
+      originalName: path.basename(originalname || 'resume').slice(0, 255),
+      mimeType: mimetype,
+      size: buffer.length,
+      checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+      storageKey
+    });
+
+    // Parse while the bytes are still in memory; failures are recorded on the file, not raised
+    await parseStoredResume(file, buffer);
+
+    res.status(201).json({ ...file.toJSON(), ...(await signedUrlFor(req, file)) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/uploads/files/:id - metadata plus a fresh signed URL
+async function getFileUrl(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'File not found' });
+    const file = await File.findById(req.params.id);
+    // 404 rather than 403 so file ids can't be probed
+    if (!file || !(await canAccessFile(req.user, file))) return res.status(404).json({ error: 'File not found' });
+
+    // Owners of resumes uploaded before parsing existed get them parsed on first look
+    if (file.owner.equals(req.user._id) && !(file.parsed && file.parsed.status)) await parseStoredResume(file);
+
+    res.json({ ...file.toJSON(), ...(await signedUrlFor(req, file)) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/uploads/files/:id/download?expires=&sig= - no auth header; the signature is the credential.
+// Streams through the API whatever the driver (the S3 driver normally hands out bucket URLs instead).
+async function downloadFile(req, res, next) {
+  try {
+    const { expires, sig } = req.query;
+    if (!verifyFileSignature(req.params.id, expires, sig)) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    const file = await File.findById(req.params.id);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    let stream;
+    try {
+      stream = await getStorage().createReadStream(file.storageKey);
+    } catch (serr) {
+      if (serr.code === 'NOT_FOUND') return res.status(404).json({ error: 'File not found' });
+      throw serr;
+    }
+
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Length': String(file.size),
+      'Content-Disposition': `inline; filename="${downloadName(file)}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    stream.on('error', next).pipe(res);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/uploads/files/:id - owner only; files attached to applications are kept for the recruiter
+async function deleteFile(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'File not found' });
+    const file = await File.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    if (await Application.exists({ resumeFile: file._id })) {
+      return res.status(409).json({ error: 'This resume was submitted with an application and cannot be deleted' });
+    }
+
+    await getStorage().delete(file.storageKey);
+    await file.deleteOne();
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { RESUME_TYPES, uploadResume, getFileUrl, downloadFile, deleteFile };
@@ -1,6 +1,7 @@
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
 const app = require('./app');
+const { startWorkers } = require('./workers');
 
 dotenv.config();
 
@@ -77,6 +78,9 @@ async function start({ port = PORT, mongoUri = MONGO_URI } = {}) {
     console.log(`Server listening on port ${port}`);
   });
 
+  // Background workers (job lifecycle etc.); serverless deployments use /api/cron/run instead
+  const stopWorkers = startWorkers();
+
   // If running on a long-running host you may want to tweak keepAliveTimeout:
   // server.keepAliveTimeout = Number(process.env.KEEP_ALIVE_TIMEOUT_MS) || 65000;
 
@@ -86,6 +90,7 @@ async function start({ port = PORT, mongoUri = MONGO_URI } = {}) {
     if (closing) return;
     closing = true;
     console.info(`[shutdown] ${signal} received - closing server`);
+    stopWorkers();
     // stop accepting new connections
     server.close(async (err) => {
       if (err) {
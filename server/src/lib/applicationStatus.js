@@ -0,0 +1,75 @@
+/**
+ * server/src/lib/applicationStatus.js
+ *
+ * Application status pipeline shared by the models and controllers.
+ * applied -> reviewing -> interviewing -> offered -> hired, with "rejected"
+ * reachable from every non-final stage. hired and rejected are final.
+ * "withdrawn" is set only by the applicant (see WITHDRAWABLE_STATUSES) and is final too.
+ */
+const APPLICATION_STATUSES = ['applied', 'reviewing', 'interviewing', 'offered', 'hired', 'rejected', 'withdrawn'];
+
+// Recruiter-driven transitions
+const STATUS_TRANSITIONS = {
+  applied: ['reviewing', 'rejected'],
+  reviewing: ['interviewing', 'rejected'],
+  interviewing: ['offered', 'rejected'],
+  offered: ['hired', 'rejected'],
+  hired: [],
+  rejected: [],
+  withdrawn: []
+};
+
+// Stages an applicant may still withdraw from
+const WITHDRAWABLE_STATUSES = ['applied', 'reviewing', 'interviewing', 'offered'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function allowedTransitions(from) {
+  return STATUS_TRANSITIONS[from] || [];
+}
+
+function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+function canWithdraw(from) {
+  return WITHDRAWABLE_STATUSES.includes(from);
+}
+
+/**
+ * Decide whether an applicant may apply again given their latest application
+ * for the job and the job's reapplyPolicy. Returns { allowed, reason?, availableAt? }.
+ */
+function checkReapply(policy = {}, prior, now = new Date()) {
+  if (!prior) return { allowed: true };
+
+  const allowedByPolicy = (prior.status === 'withdrawn' && policy.allowAfterWithdrawal)
+    || (prior.status === 'rejected' && policy.allowAfterRejection);
+  if (!allowedByPolicy) {
+    return {
+      allowed: false,
+      reason: ['withdrawn', 'rejected'].includes(prior.status)
+        ? `Re-applying after a ${prior.status} application is not allowed for this job`
+        : 'You have already applied to this job'
+    };
+  }
+
+  // Cooldown runs from the moment the application reached its final status
+  const history = prior.statusHistory || [];
+  const closedAt = (history.length && history[history.length - 1].changedAt) || prior.updatedAt || prior.appliedAt;
+  const availableAt = new Date(new Date(closedAt).getTime() + (policy.cooldownDays || 0) * DAY_MS);
+  if (availableAt > now) {
+    return { allowed: false, reason: `You can re-apply to this job after ${availableAt.toISOString()}`, availableAt };
+  }
+  return { allowed: true };
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  STATUS_TRANSITIONS,
+  WITHDRAWABLE_STATUSES,
+  allowedTransitions,
+  canTransition,
+  canWithdraw,
+  checkReapply
+};
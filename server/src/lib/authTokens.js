@@ -0,0 +1,62 @@
+/**
+ * server/src/lib/authTokens.js
+ *
+ * Single-use, expiring tokens sent by email for password reset and email verification.
+ * - The raw token only ever exists in the email link; the database keeps a SHA-256 hash.
+ * - Issuing a new token invalidates any unused token of the same purpose for that user.
+ * - Consuming is atomic, so a token can't be redeemed twice by concurrent requests.
+ *
+ * Env vars:
+ * - PASSWORD_RESET_TTL_MINUTES (default 60)
+ * - EMAIL_VERIFICATION_TTL_HOURS (default 48)
+ */
+const crypto = require('crypto');
+const AuthToken = require('../models/authToken');
+
+const TOKEN_TTL_MS = {
+  password_reset: (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000,
+  email_verification: (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000
+};
+
+// Minimum gap between two emails of the same kind to one user
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+// Returns the raw token, or null if one was issued too recently
+async function issueAuthToken(userId, purpose) {
+  const recent = await AuthToken.exists({
+    user: userId,
+    purpose,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) }
+  });
+  if (recent) return null;
+
+  await AuthToken.updateMany({ user: userId, purpose, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const raw = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+  return raw;
+}
+
+// Marks the token used and returns its user id; null when unknown, expired or already used
+async function consumeAuthToken(raw, purpose) {
+  if (!raw) return null;
+  const now = new Date();
+  const token = await AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(raw), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  return token ? token.user : null;
+}
+
+module.exports = { issueAuthToken, consumeAuthToken };
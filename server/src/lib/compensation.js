@@ -0,0 +1,135 @@
+/**
+ * server/src/lib/compensation.js
+ *
+ * Job pay (job.salaryRange): amounts in an ISO 4217 currency per hourly, monthly or yearly period, with
+ * optional equity and bonus, and a `hidden` flag for pay that is used for matching but not published.
+ * - To compare pay across jobs every range is also stored as yearly amounts in SALARY_BASE_CURRENCY
+ *   (default USD): salaryRange.annualMin / annualMax, set when the job is saved. Salary search filters
+ *   are converted the same way (see lib/jobSearch.js).
+ * - Exchange rates are units of a currency per one unit of the base currency. The defaults below are
+ *   approximate; override or extend them with SALARY_EXCHANGE_RATES (JSON, e.g. {"KES": 129.5}) and run
+ *   `npm run migrate:salaries` to recompute stored jobs. Pay in a currency without a rate is not comparable.
+ * - Jobs from before currencies and periods were recorded count as base currency per year.
+ */
+const PAY_PERIODS = ['hourly', 'monthly', 'yearly'];
+
+// 40 hours x 52 weeks for hourly pay
+const PERIODS_PER_YEAR = { hourly: 2080, monthly: 12, yearly: 1 };
+
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const BASE_CURRENCY = (process.env.SALARY_BASE_CURRENCY || 'USD').toUpperCase();
+
+// Units per US dollar
+const DEFAULT_USD_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CHF: 0.88,
+  SEK: 10.5,
+  CAD: 1.36,
+  AUD: 1.52,
+  JPY: 150,
+  CNY: 7.2,
+  INR: 83,
+  AED: 3.67,
+  ZAR: 18.5,
+  NGN: 1500,
+  GHS: 15,
+  EGP: 48,
+  ETB: 57,
+  KES: 129,
+  UGX: 3750,
+  TZS: 2600,
+  RWF: 1300
+};
+
+function loadExchangeRates() {
+  let overrides = {};
+  if (process.env.SALARY_EXCHANGE_RATES) {
+    try {
+      overrides = JSON.parse(process.env.SALARY_EXCHANGE_RATES);
+    } catch (err) {
+      console.warn('[compensation] ignoring SALARY_EXCHANGE_RATES: not valid JSON');
+    }
+  }
+  // Defaults are per USD; rebase them when the base currency is another one we know
+  const basePerUsd = DEFAULT_USD_RATES[BASE_CURRENCY];
+  const rates = {};
+  if (basePerUsd) {
+    Object.entries(DEFAULT_USD_RATES).forEach(([code, rate]) => { rates[code] = rate / basePerUsd; });
+  }
+  Object.entries(overrides).forEach(([code, rate]) => {
+    if (Number(rate) > 0) rates[code.toUpperCase()] = Number(rate);
+  });
+  rates[BASE_CURRENCY] = 1;
+  return rates;
+}
+
+const EXCHANGE_RATES = loadExchangeRates();
+
+function isCurrency(code) {
+  return CURRENCIES.has(String(code || '').toUpperCase());
+}
+
+function hasExchangeRate(code) {
+  return !!EXCHANGE_RATES[String(code || '').toUpperCase()];
+}
+
+// An amount per period -> yearly amount in the base currency; null when it can't be converted
+function toYearly(amount, { currency, period } = {}) {
+  const value = Number(amount);
+  const rate = EXCHANGE_RATES[String(currency || BASE_CURRENCY).toUpperCase()];
+  const perYear = PERIODS_PER_YEAR[period || 'yearly'];
+  if (!(value > 0) || !rate || !perYear) return null;
+  return Math.round((value * perYear) / rate);
+}
+
+// { annualMin, annualMax } for a salary range; both undefined when it has no comparable amounts
+function annualRange(range = {}) {
+  const min = toYearly(range.min, range);
+  const max = toYearly(range.max, range);
+  if (min === null && max === null) return { annualMin: undefined, annualMax: undefined };
+  return { annualMin: min ?? 0, annualMax: max ?? undefined };
+}
+
+// Why a complete salary range is inconsistent, or null when it is fine
+function salaryRangeError(range = {}) {
+  const min = Number(range.min) || 0;
+  const max = Number(range.max) || 0;
+  if ((min || max) && (!range.currency || !range.period)) {
+    return 'salaryRange.currency and salaryRange.period are required with a salary amount';
+  }
+  if (min && max && min > max) return 'salaryRange.min must not be above salaryRange.max';
+  const equity = range.equity || {};
+  if (equity.min != null && equity.max != null && equity.min > equity.max) {
+    return 'salaryRange.equity.min must not be above salaryRange.equity.max';
+  }
+  return null;
+}
+
+// Salary range as shown to anyone but the poster: hidden pay keeps its terms but not its amounts
+function publicSalaryRange(range) {
+  if (!range || !range.hidden) return range;
+  const { min, max, annualMin, annualMax, ...rest } = range;
+  return rest;
+}
+
+// Plain job object with publicSalaryRange applied
+function withPublicSalary(job) {
+  if (!job || !job.salaryRange) return job;
+  return { ...job, salaryRange: publicSalaryRange(job.salaryRange) };
+}
+
+module.exports = {
+  PAY_PERIODS,
+  BASE_CURRENCY,
+  EXCHANGE_RATES,
+  isCurrency,
+  hasExchangeRate,
+  toYearly,
+  annualRange,
+  salaryRangeError,
+  publicSalaryRange,
+  withPublicSalary
+};
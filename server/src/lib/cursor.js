@@ -0,0 +1,108 @@
+/**
+ * server/src/lib/cursor.js
+ *
+ * Opaque cursor (keyset) pagination for list endpoints.
+ * - A sort is a list of [field, 1 | -1] pairs ending with _id, so every item has a unique position and
+ *   pages neither repeat nor skip items while new documents are added.
+ * - A cursor holds the sort values of the last item returned (plus any extra state, such as the time
+ *   relevance was computed at) as base64url JSON. It is tied to a scope naming the sort and a hash of the
+ *   query, and is rejected anywhere else; clients pass it back unchanged.
+ * - Endpoints read { limit, cursor, includeTotal } with pageQuery and answer with pageResult's
+ *   meta: { limit, hasMore, nextCursor, total? }; counting is skipped unless includeTotal=true.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+function encodeValue(value) {
+  if (value instanceof Date) return { d: value.getTime() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toHexString() };
+  return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'number') return new Date(value.d);
+    if (typeof value.o === 'string' && mongoose.isValidObjectId(value.o)) return new mongoose.Types.ObjectId(value.o);
+    return undefined;
+  }
+  return value;
+}
+
+function valueAt(doc, field) {
+  return field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+}
+
+// Scope for cursors of one sort over one set of criteria (a cursor can't be replayed on another query)
+function cursorScope(name, criteria = {}) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(criteria)).digest('base64url').slice(0, 12);
+  return `${name}:${hash}`;
+}
+
+function encodeCursor(scope, sort, doc, extra) {
+  const payload = { s: scope, v: sort.map(([field]) => encodeValue(valueAt(doc, field))) };
+  if (extra) payload.x = extra;
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// { values, extra } for a cursor of this scope and sort; null when it is malformed or from another query
+function decodeCursor(cursor, scope, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload || payload.s !== scope || !Array.isArray(payload.v) || payload.v.length !== sort.length) {
+    return null;
+  }
+  const values = payload.v.map(decodeValue);
+  if (values.some(v => v === undefined)) return null;
+  return { values, extra: payload.x || {} };
+}
+
+// Query condition for the items that come after `values` in `sort`
+function afterFilter(sort, values) {
+  return {
+    $or: sort.map(([field, dir], i) => {
+      const clause = {};
+      sort.slice(0, i).forEach(([f], j) => { clause[f] = values[j]; });
+      clause[field] = { [dir === 1 ? '$gt' : '$lt']: values[i] };
+      return clause;
+    })
+  };
+}
+
+function toMongoSort(sort) {
+  return Object.fromEntries(sort);
+}
+
+// Paging parameters from a query string
+function pageQuery(query, { defaultLimit = 20, maxLimit = 100 } = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { limit, cursor: query.cursor || null, includeTotal: query.includeTotal === 'true' };
+}
+
+// Trims limit + 1 fetched items to one page: { items, meta }
+function pageResult(items, { limit, scope, sort, extra, total }) {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    meta: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(scope, sort, page[page.length - 1], extra) : null,
+      ...(total !== undefined ? { total } : {})
+    }
+  };
+}
+
+module.exports = {
+  cursorScope,
+  encodeCursor,
+  decodeCursor,
+  afterFilter,
+  toMongoSort,
+  pageQuery,
+  pageResult
+};
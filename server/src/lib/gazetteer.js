@@ -0,0 +1,249 @@
+/**
+ * server/src/lib/gazetteer.js
+ *
+ * Bundled offline gazetteer used to geocode job locations and "near" searches (see lib/geo.js).
+ * - COUNTRIES maps ISO 3166-1 alpha-2 codes to names plus alternative spellings.
+ * - REGION_CODES lists the abbreviations people write after a city ("Austin, TX").
+ * - PLACES rows: [city, region, country code, latitude, longitude, population in thousands, aliases?].
+ *   Population breaks ties between places with the same name.
+ * Extend the lists here; nothing is fetched at runtime.
+ */
+const COUNTRIES = {
+  AE: ['United Arab Emirates', 'uae'],
+  AR: ['Argentina'],
+  AT: ['Austria'],
+  AU: ['Australia'],
+  BD: ['Bangladesh'],
+  BE: ['Belgium'],
+  BR: ['Brazil', 'brasil'],
+  BW: ['Botswana'],
+  CA: ['Canada'],
+  CH: ['Switzerland'],
+  CL: ['Chile'],
+  CM: ['Cameroon'],
+  CN: ['China'],
+  CO: ['Colombia'],
+  CZ: ['Czechia', 'czech republic'],
+  DE: ['Germany', 'deutschland'],
+  DK: ['Denmark'],
+  EG: ['Egypt'],
+  ES: ['Spain', 'espana'],
+  ET: ['Ethiopia'],
+  FI: ['Finland'],
+  FR: ['France'],
+  GB: ['United Kingdom', 'uk', 'great britain', 'britain', 'england', 'scotland', 'wales'],
+  GH: ['Ghana'],
+  IE: ['Ireland'],
+  IL: ['Israel'],
+  IN: ['India'],
+  IT: ['Italy', 'italia'],
+  JP: ['Japan'],
+  KE: ['Kenya'],
+  KR: ['South Korea', 'korea'],
+  MA: ['Morocco'],
+  MX: ['Mexico'],
+  MY: ['Malaysia'],
+  NG: ['Nigeria'],
+  NL: ['Netherlands', 'holland', 'the netherlands'],
+  NO: ['Norway'],
+  NZ: ['New Zealand'],
+  PH: ['Philippines'],
+  PK: ['Pakistan'],
+  PL: ['Poland'],
+  PT: ['Portugal'],
+  RW: ['Rwanda'],
+  SA: ['Saudi Arabia'],
+  SE: ['Sweden'],
+  SG: ['Singapore'],
+  SN: ['Senegal'],
+  TR: ['Turkey', 'turkiye'],
+  TZ: ['Tanzania'],
+  UG: ['Uganda'],
+  US: ['United States', 'usa', 'us', 'united states of america', 'america'],
+  VN: ['Vietnam', 'viet nam'],
+  ZA: ['South Africa'],
+  ZM: ['Zambia'],
+  ZW: ['Zimbabwe']
+};
+
+const REGION_CODES = {
+  US: {
+    CA: 'California', CO: 'Colorado', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', IL: 'Illinois',
+    MA: 'Massachusetts', MN: 'Minnesota', NC: 'North Carolina', NY: 'New York', OR: 'Oregon',
+    PA: 'Pennsylvania', TX: 'Texas', UT: 'Utah', WA: 'Washington'
+  },
+  CA: { AB: 'Alberta', BC: 'British Columbia', ON: 'Ontario', QC: 'Quebec' },
+  AU: { NSW: 'New South Wales', QLD: 'Queensland', VIC: 'Victoria', WA: 'Western Australia' }
+};
+
+const PLACES = [
+  // East Africa
+  ['Nairobi', 'Nairobi County', 'KE', -1.2864, 36.8172, 4397, ['nbi']],
+  ['Mombasa', 'Mombasa County', 'KE', -4.0435, 39.6682, 1208],
+  ['Kisumu', 'Kisumu County', 'KE', -0.0917, 34.768, 610],
+  ['Nakuru', 'Nakuru County', 'KE', -0.3031, 36.08, 570],
+  ['Eldoret', 'Uasin Gishu County', 'KE', 0.5143, 35.2698, 475],
+  ['Thika', 'Kiambu County', 'KE', -1.0332, 37.0693, 251],
+  ['Kiambu', 'Kiambu County', 'KE', -1.1714, 36.8356, 150],
+  ['Machakos', 'Machakos County', 'KE', -1.5177, 37.2634, 150],
+  ['Nyeri', 'Nyeri County', 'KE', -0.4201, 36.9476, 125],
+  ['Malindi', 'Kilifi County', 'KE', -3.2192, 40.1169, 120],
+  ['Naivasha', 'Nakuru County', 'KE', -0.7167, 36.4333, 198],
+  ['Kampala', 'Central Region', 'UG', 0.3476, 32.5825, 1680],
+  ['Entebbe', 'Central Region', 'UG', 0.0512, 32.4637, 70],
+  ['Dar es Salaam', 'Dar es Salaam Region', 'TZ', -6.7924, 39.2083, 5383, ['dar']],
+  ['Arusha', 'Arusha Region', 'TZ', -3.3869, 36.683, 617],
+  ['Dodoma', 'Dodoma Region', 'TZ', -6.163, 35.7516, 765],
+  ['Zanzibar', 'Zanzibar', 'TZ', -6.1659, 39.2026, 594],
+  ['Kigali', 'Kigali', 'RW', -1.9441, 30.0619, 1132],
+  ['Addis Ababa', 'Addis Ababa', 'ET', 9.03, 38.74, 3384],
+
+  // Rest of Africa
+  ['Lagos', 'Lagos State', 'NG', 6.5244, 3.3792, 15388],
+  ['Abuja', 'Federal Capital Territory', 'NG', 9.0765, 7.3986, 3464],
+  ['Ibadan', 'Oyo State', 'NG', 7.3775, 3.947, 3649],
+  ['Port Harcourt', 'Rivers State', 'NG', 4.8156, 7.0498, 1865],
+  ['Accra', 'Greater Accra', 'GH', 5.6037, -0.187, 2514],
+  ['Kumasi', 'Ashanti', 'GH', 6.6885, -1.6244, 3348],
+  ['Dakar', 'Dakar', 'SN', 14.7167, -17.4677, 3140],
+  ['Douala', 'Littoral', 'CM', 4.0511, 9.7679, 3663],
+  ['Cairo', 'Cairo Governorate', 'EG', 30.0444, 31.2357, 21750],
+  ['Alexandria', 'Alexandria Governorate', 'EG', 31.2001, 29.9187, 5381],
+  ['Casablanca', 'Casablanca-Settat', 'MA', 33.5731, -7.5898, 3752],
+  ['Johannesburg', 'Gauteng', 'ZA', -26.2041, 28.0473, 5635, ['joburg', 'jozi']],
+  ['Pretoria', 'Gauteng', 'ZA', -25.7479, 28.2293, 2473],
+  ['Cape Town', 'Western Cape', 'ZA', -33.9249, 18.4241, 4710],
+  ['Durban', 'KwaZulu-Natal', 'ZA', -29.8587, 31.0218, 3158],
+  ['Lusaka', 'Lusaka Province', 'ZM', -15.3875, 28.3228, 2905],
+  ['Harare', 'Harare Province', 'ZW', -17.8252, 31.0335, 1558],
+  ['Gaborone', 'South-East District', 'BW', -24.6282, 25.9231, 246],
+
+  // Europe
+  ['London', 'England', 'GB', 51.5074, -0.1278, 8982],
+  ['Manchester', 'England', 'GB', 53.4808, -2.2426, 553],
+  ['Birmingham', 'England', 'GB', 52.4862, -1.8904, 1144],
+  ['Edinburgh', 'Scotland', 'GB', 55.9533, -3.1883, 525],
+  ['Glasgow', 'Scotland', 'GB', 55.8642, -4.2518, 635],
+  ['Bristol', 'England', 'GB', 51.4545, -2.5879, 467],
+  ['Cambridge', 'England', 'GB', 52.2053, 0.1218, 145],
+  ['Dublin', 'Leinster', 'IE', 53.3498, -6.2603, 1388],
+  ['Cork', 'Munster', 'IE', 51.8985, -8.4756, 222],
+  ['Paris', 'Île-de-France', 'FR', 48.8566, 2.3522, 11020],
+  ['Lyon', 'Auvergne-Rhône-Alpes', 'FR', 45.764, 4.8357, 1700],
+  ['Marseille', "Provence-Alpes-Côte d'Azur", 'FR', 43.2965, 5.3698, 1600],
+  ['Toulouse', 'Occitanie', 'FR', 43.6047, 1.4442, 1360],
+  ['Berlin', 'Berlin', 'DE', 52.52, 13.405, 3645],
+  ['Munich', 'Bavaria', 'DE', 48.1351, 11.582, 1488, ['münchen', 'muenchen']],
+  ['Hamburg', 'Hamburg', 'DE', 53.5511, 9.9937, 1841],
+  ['Frankfurt', 'Hesse', 'DE', 50.1109, 8.6821, 753, ['frankfurt am main']],
+  ['Cologne', 'North Rhine-Westphalia', 'DE', 50.9375, 6.9603, 1086, ['köln', 'koln']],
+  ['Stuttgart', 'Baden-Württemberg', 'DE', 48.7758, 9.1829, 635],
+  ['Amsterdam', 'North Holland', 'NL', 52.3676, 4.9041, 872],
+  ['Rotterdam', 'South Holland', 'NL', 51.9244, 4.4777, 651],
+  ['Utrecht', 'Utrecht', 'NL', 52.0907, 5.1214, 361],
+  ['The Hague', 'South Holland', 'NL', 52.0705, 4.3007, 545, ['den haag']],
+  ['Eindhoven', 'North Brabant', 'NL', 51.4416, 5.4697, 235],
+  ['Brussels', 'Brussels-Capital', 'BE', 50.8503, 4.3517, 1209, ['bruxelles']],
+  ['Antwerp', 'Flanders', 'BE', 51.2194, 4.4025, 530],
+  ['Zurich', 'Zurich', 'CH', 47.3769, 8.5417, 421, ['zürich']],
+  ['Geneva', 'Geneva', 'CH', 46.2044, 6.1432, 203, ['genève']],
+  ['Vienna', 'Vienna', 'AT', 48.2082, 16.3738, 1897, ['wien']],
+  ['Madrid', 'Community of Madrid', 'ES', 40.4168, -3.7038, 3223],
+  ['Barcelona', 'Catalonia', 'ES', 41.3851, 2.1734, 1620],
+  ['Valencia', 'Valencian Community', 'ES', 39.4699, -0.3763, 791],
+  ['Lisbon', 'Lisbon', 'PT', 38.7223, -9.1393, 545, ['lisboa']],
+  ['Porto', 'Porto', 'PT', 41.1579, -8.6291, 232],
+  ['Rome', 'Lazio', 'IT', 41.9028, 12.4964, 2873, ['roma']],
+  ['Milan', 'Lombardy', 'IT', 45.4642, 9.19, 1352, ['milano']],
+  ['Turin', 'Piedmont', 'IT', 45.0703, 7.6869, 870, ['torino']],
+  ['Stockholm', 'Stockholm County', 'SE', 59.3293, 18.0686, 975],
+  ['Gothenburg', 'Västra Götaland', 'SE', 57.7089, 11.9746, 583, ['göteborg']],
+  ['Copenhagen', 'Capital Region', 'DK', 55.6761, 12.5683, 644, ['københavn']],
+  ['Oslo', 'Oslo', 'NO', 59.9139, 10.7522, 697],
+  ['Helsinki', 'Uusimaa', 'FI', 60.1699, 24.9384, 656],
+  ['Warsaw', 'Masovia', 'PL', 52.2297, 21.0122, 1790, ['warszawa']],
+  ['Krakow', 'Lesser Poland', 'PL', 50.0647, 19.945, 779, ['kraków', 'cracow']],
+  ['Prague', 'Prague', 'CZ', 50.0755, 14.4378, 1309, ['praha']],
+  ['Istanbul', 'Istanbul', 'TR', 41.0082, 28.9784, 15460],
+  ['Ankara', 'Ankara', 'TR', 39.9334, 32.8597, 5663],
+
+  // Middle East and Asia
+  ['Dubai', 'Dubai', 'AE', 25.2048, 55.2708, 3331],
+  ['Abu Dhabi', 'Abu Dhabi', 'AE', 24.4539, 54.3773, 1483],
+  ['Riyadh', 'Riyadh Province', 'SA', 24.7136, 46.6753, 7676],
+  ['Tel Aviv', 'Tel Aviv District', 'IL', 32.0853, 34.7818, 460],
+  ['Bangalore', 'Karnataka', 'IN', 12.9716, 77.5946, 12327, ['bengaluru']],
+  ['Mumbai', 'Maharashtra', 'IN', 19.076, 72.8777, 20411, ['bombay']],
+  ['Delhi', 'Delhi', 'IN', 28.7041, 77.1025, 31181, ['new delhi']],
+  ['Hyderabad', 'Telangana', 'IN', 17.385, 78.4867, 10004],
+  ['Chennai', 'Tamil Nadu', 'IN', 13.0827, 80.2707, 10971, ['madras']],
+  ['Pune', 'Maharashtra', 'IN', 18.5204, 73.8567, 6629],
+  ['Karachi', 'Sindh', 'PK', 24.8607, 67.0011, 16094],
+  ['Lahore', 'Punjab', 'PK', 31.5204, 74.3587, 13095],
+  ['Dhaka', 'Dhaka Division', 'BD', 23.8103, 90.4125, 21741],
+  ['Singapore', 'Singapore', 'SG', 1.3521, 103.8198, 5454],
+  ['Kuala Lumpur', 'Federal Territory of Kuala Lumpur', 'MY', 3.139, 101.6869, 8285, ['kl']],
+  ['Manila', 'Metro Manila', 'PH', 14.5995, 120.9842, 14159],
+  ['Ho Chi Minh City', 'Ho Chi Minh City', 'VN', 10.8231, 106.6297, 9077, ['saigon']],
+  ['Hanoi', 'Hanoi', 'VN', 21.0278, 105.8342, 8246],
+  ['Tokyo', 'Tokyo', 'JP', 35.6762, 139.6503, 37274],
+  ['Osaka', 'Osaka', 'JP', 34.6937, 135.5023, 19059],
+  ['Seoul', 'Seoul', 'KR', 37.5665, 126.978, 9963],
+  ['Shanghai', 'Shanghai', 'CN', 31.2304, 121.4737, 28517],
+  ['Beijing', 'Beijing', 'CN', 39.9042, 116.4074, 21333],
+  ['Shenzhen', 'Guangdong', 'CN', 22.5431, 114.0579, 17619],
+
+  // North America
+  ['New York', 'New York', 'US', 40.7128, -74.006, 18867, ['new york city', 'nyc', 'manhattan', 'brooklyn']],
+  ['San Francisco', 'California', 'US', 37.7749, -122.4194, 3318, ['sf', 'san fran']],
+  ['San Jose', 'California', 'US', 37.3382, -121.8863, 1004],
+  ['Palo Alto', 'California', 'US', 37.4419, -122.143, 67],
+  ['Mountain View', 'California', 'US', 37.3861, -122.0839, 82],
+  ['Oakland', 'California', 'US', 37.8044, -122.2712, 433],
+  ['Los Angeles', 'California', 'US', 34.0522, -118.2437, 12447, ['la']],
+  ['San Diego', 'California', 'US', 32.7157, -117.1611, 1386],
+  ['Seattle', 'Washington', 'US', 47.6062, -122.3321, 3489],
+  ['Portland', 'Oregon', 'US', 45.5152, -122.6784, 652],
+  ['Austin', 'Texas', 'US', 30.2672, -97.7431, 2227],
+  ['Dallas', 'Texas', 'US', 32.7767, -96.797, 6300],
+  ['Houston', 'Texas', 'US', 29.7604, -95.3698, 6371],
+  ['Denver', 'Colorado', 'US', 39.7392, -104.9903, 2897],
+  ['Boulder', 'Colorado', 'US', 40.015, -105.2705, 105],
+  ['Salt Lake City', 'Utah', 'US', 40.7608, -111.891, 1257],
+  ['Chicago', 'Illinois', 'US', 41.8781, -87.6298, 8865],
+  ['Minneapolis', 'Minnesota', 'US', 44.9778, -93.265, 2977],
+  ['Boston', 'Massachusetts', 'US', 42.3601, -71.0589, 4309],
+  ['Philadelphia', 'Pennsylvania', 'US', 39.9526, -75.1652, 5717],
+  ['Pittsburgh', 'Pennsylvania', 'US', 40.4406, -79.9959, 1699],
+  ['Washington', 'District of Columbia', 'US', 38.9072, -77.0369, 5118, ['washington dc', 'washington d c', 'dc']],
+  ['Atlanta', 'Georgia', 'US', 33.749, -84.388, 5100],
+  ['Miami', 'Florida', 'US', 25.7617, -80.1918, 6091],
+  ['Raleigh', 'North Carolina', 'US', 35.7796, -78.6382, 1391],
+  ['Toronto', 'Ontario', 'CA', 43.6532, -79.3832, 6202],
+  ['Ottawa', 'Ontario', 'CA', 45.4215, -75.6972, 1423],
+  ['Waterloo', 'Ontario', 'CA', 43.4643, -80.5204, 121],
+  ['Montreal', 'Quebec', 'CA', 45.5017, -73.5673, 4291, ['montréal']],
+  ['Vancouver', 'British Columbia', 'CA', 49.2827, -123.1207, 2643],
+  ['Calgary', 'Alberta', 'CA', 51.0447, -114.0719, 1481],
+  ['Mexico City', 'Mexico City', 'MX', 19.4326, -99.1332, 21805, ['cdmx', 'ciudad de mexico']],
+  ['Guadalajara', 'Jalisco', 'MX', 20.6597, -103.3496, 5269],
+  ['Monterrey', 'Nuevo León', 'MX', 25.6866, -100.3161, 5341],
+
+  // South America
+  ['São Paulo', 'São Paulo', 'BR', -23.5505, -46.6333, 22430, ['sao paulo']],
+  ['Rio de Janeiro', 'Rio de Janeiro', 'BR', -22.9068, -43.1729, 13634, ['rio']],
+  ['Buenos Aires', 'Buenos Aires', 'AR', -34.6037, -58.3816, 15370],
+  ['Santiago', 'Santiago Metropolitan', 'CL', -33.4489, -70.6693, 6857],
+  ['Bogotá', 'Bogotá', 'CO', 4.711, -74.0721, 11344, ['bogota']],
+  ['Medellín', 'Antioquia', 'CO', 6.2476, -75.5658, 4102, ['medellin']],
+
+  // Oceania
+  ['Sydney', 'New South Wales', 'AU', -33.8688, 151.2093, 5367],
+  ['Melbourne', 'Victoria', 'AU', -37.8136, 144.9631, 5159],
+  ['Brisbane', 'Queensland', 'AU', -27.4698, 153.0251, 2560],
+  ['Perth', 'Western Australia', 'AU', -31.9505, 115.8605, 2125],
+  ['Auckland', 'Auckland', 'NZ', -36.8485, 174.7633, 1693],
+  ['Wellington', 'Wellington', 'NZ', -41.2865, 174.7762, 215]
+];
+
+module.exports = { COUNTRIES, REGION_CODES, PLACES };
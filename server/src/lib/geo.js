@@ -0,0 +1,173 @@
+/**
+ * server/src/lib/geo.js
+ *
+ * Offline geocoding against lib/gazetteer.js.
+ * - geocodeLocation("Westlands, Nairobi, Kenya") -> { city, region, country, countryCode, point } where point
+ *   is a GeoJSON Point ([longitude, latitude]); a bare country gives no point; unknown text gives null.
+ * - Text is split on commas and brackets; the first part naming a known city wins, and the remaining
+ *   parts (country, region or region code) pick between cities that share a name.
+ * - parseNear accepts the same text or "lat,lng" for radius searches; parseBbox reads map viewports.
+ */
+const { COUNTRIES, REGION_CODES, PLACES } = require('./gazetteer');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+function normalize(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function toPoint(lat, lng) {
+  return { type: 'Point', coordinates: [lng, lat] };
+}
+
+function buildIndex() {
+  const places = new Map();
+  const countries = new Map();
+  const add = (map, key, value) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+
+  Object.entries(COUNTRIES).forEach(([code, [name, ...aliases]]) => {
+    [code, name, ...aliases].forEach(k => countries.set(normalize(k), code));
+  });
+
+  PLACES.forEach(([city, region, countryCode, lat, lng, population, aliases = []]) => {
+    const regionCode = Object.keys(REGION_CODES[countryCode] || {})
+      .find(code => REGION_CODES[countryCode][code] === region);
+    const place = {
+      city,
+      region,
+      regionCode,
+      country: COUNTRIES[countryCode][0],
+      countryCode,
+      lat,
+      lng,
+      population
+    };
+    [city, ...aliases].forEach(k => add(places, normalize(k), place));
+  });
+
+  return { places, countries };
+}
+
+const index = buildIndex();
+
+// Does a part of the text ("kenya", "ca", "texas") describe where this place is?
+function matchesContext(place, part) {
+  const countryCode = index.countries.get(part);
+  return countryCode === place.countryCode ||
+    part === normalize(place.region) ||
+    (!!place.regionCode && part === normalize(place.regionCode));
+}
+
+function present(place) {
+  return {
+    city: place.city,
+    region: place.region,
+    country: place.country,
+    countryCode: place.countryCode,
+    point: toPoint(place.lat, place.lng)
+  };
+}
+
+// Places named by the whole part, or by its longest leading words ("berlin mitte" -> Berlin)
+function lookup(part) {
+  const words = part.split(' ');
+  for (let n = words.length; n > 0; n -= 1) {
+    const found = index.places.get(words.slice(0, n).join(' '));
+    if (found) return found;
+  }
+  return null;
+}
+
+function geocodeLocation(text) {
+  const parts = String(text || '').split(/[,;()/|]/).map(normalize).filter(Boolean);
+  if (!parts.length) return null;
+
+  for (let i = 0; i < parts.length; i += 1) {
+    const candidates = lookup(parts[i]);
+    if (!candidates) continue;
+    const context = parts.filter((_, j) => j !== i);
+    const ranked = candidates
+      .map(place => ({ place, hits: context.filter(p => matchesContext(place, p)).length }))
+      .sort((a, b) => b.hits - a.hits || b.place.population - a.place.population);
+    return present(ranked[0].place);
+  }
+
+  // No city: a country on its own still says where the job is
+  for (const part of parts) {
+    const code = index.countries.get(part);
+    if (code) return { country: COUNTRIES[code][0], countryCode: code };
+  }
+  return null;
+}
+
+// "Nairobi", "Nairobi, Kenya" or "-1.29,36.82" -> { label, point }; null when it can't be placed
+function parseNear(near) {
+  const coords = String(near || '').match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (coords) {
+    const lat = Number(coords[1]);
+    const lng = Number(coords[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { label: `${lat}, ${lng}`, point: toPoint(lat, lng) };
+  }
+  const place = geocodeLocation(near);
+  if (!place || !place.point) return null;
+  return { label: [place.city, place.country].join(', '), point: place.point };
+}
+
+// "west,south,east,north" in degrees -> { west, south, east, north }; null when malformed.
+// west > east is a box crossing the antimeridian.
+function parseBbox(bbox) {
+  const values = String(bbox || '').split(',').map(v => (v.trim() === '' ? NaN : Number(v)));
+  if (values.length !== 4 || values.some(v => !Number.isFinite(v))) return null;
+  const [west, south, east, north] = values;
+  if (south > north || Math.abs(south) > 90 || Math.abs(north) > 90) return null;
+  // Maps zoomed out past a full turn report longitudes beyond +-180
+  if (east - west >= 360) return { west: -180, south, east: 180, north };
+  const wrap = (lng) => (Math.abs(lng) <= 180 ? lng : ((((lng + 180) % 360) + 360) % 360) - 180);
+  return { west: wrap(west), south, east: wrap(east), north };
+}
+
+// Great-circle distance between two GeoJSON points, in km
+function distanceKm(a, b) {
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const rad = (d) => (d * Math.PI) / 180;
+  const h = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Autocomplete: cities whose name or alias starts with q, largest first
+function suggestLocations(q, { limit = 8 } = {}) {
+  const query = normalize(q);
+  if (!query) return [];
+  const seen = new Set();
+  const matches = [];
+  index.places.forEach((places, key) => {
+    if (!key.startsWith(query)) return;
+    places.forEach(place => {
+      if (seen.has(place)) return;
+      seen.add(place);
+      matches.push(place);
+    });
+  });
+  return matches
+    .sort((a, b) => b.population - a.population)
+    .slice(0, limit)
+    .map(place => ({
+      label: [place.city, place.regionCode || (place.region !== place.city && place.region), place.country]
+        .filter(Boolean).join(', '),
+      ...present(place)
+    }));
+}
+
+module.exports = { EARTH_RADIUS_KM, geocodeLocation, parseNear, parseBbox, distanceKm, suggestLocations };
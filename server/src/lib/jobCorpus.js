@@ -0,0 +1,40 @@
+/**
+ * server/src/lib/jobCorpus.js
+ *
+ * Cached term statistics over recent job postings, used as the idf table for lib/matching.js.
+ * Rebuilt at most every JOB_CORPUS_TTL_MS (default 10 minutes) from the newest 2000 jobs.
+ */
+const Job = require('../models/job');
+const { buildIdf } = require('./matching');
+const { getSkillIndex } = require('./skills');
+
+const JOB_CORPUS_TTL_MS = Number(process.env.JOB_CORPUS_TTL_MS) || 10 * 60 * 1000;
+const CORPUS_SIZE = 2000;
+
+let cached = null;
+let cachedAt = 0;
+let pending = null;
+
+async function getJobIdf() {
+  // Loads the Skill collection so detection (and therefore scoring) uses the current taxonomy
+  await getSkillIndex();
+  if (cached && Date.now() - cachedAt < JOB_CORPUS_TTL_MS) return cached;
+  // Concurrent callers share one rebuild
+  if (!pending) {
+    pending = Job.find({}, 'title requirements niceToHave tags description')
+      .sort({ createdAt: -1 })
+      .limit(CORPUS_SIZE)
+      .lean()
+      .then(jobs => {
+        cached = buildIdf(jobs);
+        cachedAt = Date.now();
+        return cached;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+}
+
+module.exports = { getJobIdf };
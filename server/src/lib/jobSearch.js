@@ -0,0 +1,210 @@
+/**
+ * server/src/lib/jobSearch.js
+ *
+ * Job search criteria -> MongoDB filter, shared by the public listing (GET /api/jobs), its facet
+ * counts (GET /api/jobs/facets) and saved search alerts so all return the same jobs for the same criteria.
+ * Criteria (lists may be arrays or comma-separated strings):
+ * - q (full text), location (substring), remote (true/false, also as strings)
+ * - type, company: lists, any of the values
+ * - tag / tags: every listed tag is required
+ * - salaryMin / salaryMax: overlap with the job's salary range, in salaryCurrency (default the base currency)
+ *   per salaryPeriod (default yearly); both sides are compared as yearly base amounts (lib/compensation.js),
+ *   so jobs without comparable pay and jobs with hidden pay are left out
+ * - postedWithin: days since the job was posted
+ * - experience: list of EXPERIENCE_LEVELS, bucketed by the job's minYearsExperience
+ * - near + radius (km, default 25): jobs whose geocoded location is within the radius of a place or
+ *   "lat,lng" (see lib/geo.js); jobs without coordinates, such as remote-only ones, are left out
+ * - bbox: "west,south,east,north" map viewport, same rule for jobs without coordinates
+ */
+const Job = require('../models/job');
+const { escapeRegExp } = require('./regex');
+const { liveJobFilter } = require('./jobStatus');
+const { EARTH_RADIUS_KM, parseNear, parseBbox } = require('./geo');
+const { toYearly } = require('./compensation');
+
+// minYearsExperience ranges [min, max); jobs without one belong to no level
+const EXPERIENCE_LEVELS = {
+  entry: [0, 2],
+  mid: [2, 5],
+  senior: [5, 10],
+  lead: [10, Infinity]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+function radiusKm(criteria) {
+  const radius = Number(criteria.radius);
+  return radius > 0 ? Math.min(radius, MAX_RADIUS_KM) : DEFAULT_RADIUS_KM;
+}
+
+function list(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(s => String(s).trim()).filter(Boolean);
+}
+
+function experienceRange(level) {
+  const [min, max] = EXPERIENCE_LEVELS[level];
+  return { minYearsExperience: max === Infinity ? { $gte: min } : { $gte: min, $lt: max } };
+}
+
+function buildJobFilter(criteria = {}, now = new Date()) {
+  const filter = {};
+  // Conditions that need their own $or are combined here
+  const and = [];
+  if (criteria.q) {
+    filter.$text = { $search: criteria.q };
+  }
+  if (criteria.location) {
+    filter.location = new RegExp(escapeRegExp(criteria.location), 'i');
+  }
+  const types = list(criteria.type);
+  if (types.length) {
+    filter.type = { $in: types };
+  }
+  if (criteria.remote === true || criteria.remote === 'true') {
+    filter.isRemote = true;
+  } else if (criteria.remote === false || criteria.remote === 'false') {
+    filter.isRemote = false;
+  }
+  const companies = list(criteria.company);
+  if (companies.length) {
+    filter.company = { $in: companies };
+  }
+  const tags = [...new Set([...list(criteria.tag), ...list(criteria.tags)])];
+  if (tags.length) {
+    filter.tags = { $all: tags };
+  }
+  // Jobs whose range reaches the wanted minimum / starts below the wanted maximum
+  const pay = { currency: criteria.salaryCurrency, period: criteria.salaryPeriod };
+  const salaryMin = toYearly(criteria.salaryMin, pay);
+  const salaryMax = toYearly(criteria.salaryMax, pay);
+  if (salaryMin || salaryMax) {
+    filter['salaryRange.hidden'] = { $ne: true };
+  }
+  if (salaryMin) {
+    and.push({ $or: [{ 'salaryRange.annualMax': { $gte: salaryMin } }, { 'salaryRange.annualMin': { $gte: salaryMin } }] });
+  }
+  if (salaryMax) {
+    filter['salaryRange.annualMin'] = { $lte: salaryMax };
+  }
+  const postedWithin = Number(criteria.postedWithin);
+  if (postedWithin > 0) {
+    filter.postedAt = { $gte: new Date(now.getTime() - postedWithin * DAY_MS) };
+  }
+  const levels = list(criteria.experience).filter(l => EXPERIENCE_LEVELS[l]);
+  if (levels.length) {
+    and.push({ $or: levels.map(experienceRange) });
+  }
+  // Callers reject an unknown `near` up front (parseNear returns null for it)
+  const near = criteria.near ? parseNear(criteria.near) : null;
+  if (near) {
+    filter['geo.point'] = {
+      $geoWithin: { $centerSphere: [near.point.coordinates, radiusKm(criteria) / EARTH_RADIUS_KM] }
+    };
+  }
+  // Same for a malformed bbox; GeoJSON coordinates are [lng, lat]
+  const bbox = criteria.bbox ? parseBbox(criteria.bbox) : null;
+  if (bbox) {
+    filter['geo.point.coordinates.1'] = { $gte: bbox.south, $lte: bbox.north };
+    if (bbox.west <= bbox.east) {
+      filter['geo.point.coordinates.0'] = { $gte: bbox.west, $lte: bbox.east };
+    } else {
+      and.push({ $or: [{ 'geo.point.coordinates.0': { $gte: bbox.west } }, { 'geo.point.coordinates.0': { $lte: bbox.east } }] });
+    }
+  }
+  if (and.length) filter.$and = and;
+  return filter;
+}
+
+// Facet -> the criteria it ignores (so its own options stay selectable) and how jobs are grouped
+const FACETS = {
+  type: { criteria: ['type'], group: '$type' },
+  remote: { criteria: ['remote'], group: '$isRemote' },
+  location: { criteria: ['location'], group: '$location' },
+  company: { criteria: ['company'], group: '$company' },
+  tag: { criteria: ['tag', 'tags'], unwind: '$tags', group: '$tags' },
+  experience: {
+    criteria: ['experience'],
+    group: {
+      $switch: {
+        branches: Object.entries(EXPERIENCE_LEVELS).map(([level, [min, max]]) => ({
+          case: max === Infinity
+            ? { $gte: ['$minYearsExperience', min] }
+            : { $and: [{ $gte: ['$minYearsExperience', min] }, { $lt: ['$minYearsExperience', max] }] },
+          then: level
+        })),
+        default: null
+      }
+    }
+  }
+};
+
+// sort=relevance: the text score scaled down with age, so between similar matches the newer job wins
+// while a much better match still beats a slightly newer one
+const RELEVANCE_RECENCY_WEIGHT = 0.3;
+const RELEVANCE_HALF_LIFE_DAYS = 14;
+
+// Aggregation stages adding `relevance` to jobs matched by a $text query; they must follow that $match
+function relevanceStages(now = new Date()) {
+  const ageMs = { $max: [0, { $subtract: [now, { $ifNull: ['$postedAt', '$createdAt'] }] }] };
+  const freshness = { $pow: [0.5, { $divide: [ageMs, RELEVANCE_HALF_LIFE_DAYS * DAY_MS] }] };
+  const recency = { $add: [1 - RELEVANCE_RECENCY_WEIGHT, { $multiply: [RELEVANCE_RECENCY_WEIGHT, freshness] }] };
+  return [{ $addFields: { relevance: { $multiply: [{ $meta: 'textScore' }, recency] } } }];
+}
+
+/**
+ * $geoNear stage for jobs matching `query` within the radius of criteria.near, nearest first, each with
+ * distanceKm. It must start the pipeline and its query can't hold $text, so callers resolve text
+ * matches to ids first.
+ */
+function geoNearStage(criteria, query) {
+  const near = parseNear(criteria.near);
+  return {
+    $geoNear: {
+      near: near.point,
+      key: 'geo.point',
+      distanceField: 'distanceKm',
+      distanceMultiplier: 1 / 1000,
+      maxDistance: radiusKm(criteria) * 1000,
+      spherical: true,
+      query
+    }
+  };
+}
+
+function omit(criteria, keys) {
+  const rest = { ...criteria };
+  keys.forEach(k => delete rest[k]);
+  return rest;
+}
+
+/**
+ * Counts of live jobs per facet value for the given criteria. Each facet is counted with every
+ * criterion except its own, so selecting one type still shows how many jobs the other types have.
+ * Returns { total, facets: { type: [{ value, count }], remote, location, company, tag, experience } }.
+ */
+async function countJobFacets(criteria = {}, { limit = 20, now = new Date() } = {}) {
+  const match = (c) => ({ $and: [buildJobFilter(c, now), liveJobFilter(now)] });
+
+  const entries = await Promise.all(Object.entries(FACETS).map(async ([name, facet]) => {
+    const pipeline = [{ $match: match(omit(criteria, facet.criteria)) }];
+    if (facet.unwind) pipeline.push({ $unwind: facet.unwind });
+    pipeline.push(
+      { $group: { _id: facet.group, count: { $sum: 1 } } },
+      { $match: { _id: { $nin: [null, ''] } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    );
+    const rows = await Job.aggregate(pipeline);
+    return [name, rows.map(r => ({ value: r._id, count: r.count }))];
+  }));
+
+  const total = await Job.countDocuments(match(criteria));
+  return { total, facets: Object.fromEntries(entries) };
+}
+
+module.exports = { EXPERIENCE_LEVELS, radiusKm, buildJobFilter, relevanceStages, geoNearStage, countJobFacets };
@@ -0,0 +1,67 @@
+/**
+ * server/src/lib/jobStatus.js
+ *
+ * Job posting lifecycle shared by the model, controllers and the lifecycle worker.
+ * draft -> scheduled -> published <-> paused -> closed -> archived
+ * - scheduled jobs are published by the worker once publishAt has passed.
+ * - published/paused jobs are closed by the worker once expiresAt has passed.
+ * - A job is "live" (publicly listed and open to applications) only while published
+ *   and not yet expired.
+ * - A live job is "closing soon" within JOB_CLOSING_SOON_DAYS (default 3) of its expiresAt;
+ *   seekers who saved it get a reminder then.
+ */
+const JOB_STATUSES = ['draft', 'scheduled', 'published', 'paused', 'closed', 'archived'];
+
+// Statuses a job may be created in
+const INITIAL_JOB_STATUSES = ['draft', 'scheduled', 'published'];
+
+const JOB_STATUS_TRANSITIONS = {
+  draft: ['scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['paused', 'closed'],
+  paused: ['published', 'closed'],
+  closed: ['published', 'archived'],
+  archived: []
+};
+
+function allowedJobTransitions(from) {
+  // Jobs created before lifecycle states were introduced have no status and count as published
+  return JOB_STATUS_TRANSITIONS[from || 'published'] || [];
+}
+
+function canTransitionJob(from, to) {
+  return allowedJobTransitions(from).includes(to);
+}
+
+// Mongo filter for jobs the public may see and apply to; combine with other filters via $and
+function liveJobFilter(now = new Date()) {
+  return {
+    status: { $in: ['published', null] }, // null also matches jobs without a status field
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  };
+}
+
+const CLOSING_SOON_MS = (Number(process.env.JOB_CLOSING_SOON_DAYS) || 3) * 24 * 60 * 60 * 1000;
+
+function isJobLive(job, now = new Date()) {
+  if (!job) return false;
+  const status = job.status || 'published';
+  if (status !== 'published') return false;
+  return !job.expiresAt || new Date(job.expiresAt) > now;
+}
+
+function isJobClosingSoon(job, now = new Date()) {
+  return isJobLive(job, now) && !!job.expiresAt && new Date(job.expiresAt) - now <= CLOSING_SOON_MS;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  INITIAL_JOB_STATUSES,
+  JOB_STATUS_TRANSITIONS,
+  allowedJobTransitions,
+  canTransitionJob,
+  liveJobFilter,
+  isJobLive,
+  isJobClosingSoon,
+  CLOSING_SOON_MS
+};
@@ -0,0 +1,53 @@
+/**
+ * server/src/lib/jobSuggestions.js
+ *
+ * Search box completions (GET /api/jobs/suggest) for what someone has typed so far:
+ * - titles, companies and locations of live jobs with a word starting with the text, most jobs first;
+ * - skills from the taxonomy (lib/skills.js), so aliases such as "js" complete to the canonical name.
+ * Job values are grouped case-insensitively and carry the number of live jobs they appear in. They are
+ * looked up through the indexed job.suggestKeys (lib/searchKeys.js) with an anchored prefix.
+ */
+const Job = require('../models/job');
+const { keyPrefix } = require('./searchKeys');
+const { liveJobFilter } = require('./jobStatus');
+const { suggestSkills } = require('./skills');
+
+// Job field -> suggestion type
+const JOB_FIELDS = { title: 'title', company: 'company', location: 'location' };
+
+async function suggestFromJobs(field, prefix, limit, now) {
+  const rows = await Job.aggregate([
+    { $match: { $and: [liveJobFilter(now), { [`suggestKeys.${field}`]: prefix }] } },
+    { $group: { _id: { $toLower: `$${field}` }, value: { $first: `$${field}` }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  return rows.map(r => ({ type: JOB_FIELDS[field], value: r.value, count: r.count }));
+}
+
+/**
+ * Up to `limit` suggestions per type, as [{ type: 'title'|'skill'|'company'|'location', value, count? }]
+ * in that type order.
+ */
+async function suggestJobTerms(query, { limit = 5, now = new Date() } = {}) {
+  const text = String(query || '').trim();
+  if (!text) return [];
+  // A word starting with the text, wherever it is ("dev" -> "Senior Developer")
+  const prefix = keyPrefix(text);
+
+  const [titles, skills, companies, locations] = await Promise.all([
+    suggestFromJobs('title', prefix, limit, now),
+    suggestSkills(text, { limit }),
+    suggestFromJobs('company', prefix, limit, now),
+    suggestFromJobs('location', prefix, limit, now)
+  ]);
+
+  return [
+    ...titles,
+    ...skills.map(s => ({ type: 'skill', value: s.name })),
+    ...companies,
+    ...locations
+  ];
+}
+
+module.exports = { suggestJobTerms };
@@ -0,0 +1,17 @@
+/**
+ * server/src/lib/mail.js
+ *
+ * Helpers for composing outgoing emails (sending itself is notificationsController.sendEmail).
+ * Links point at the client app: the first FRONTEND_URL entry.
+ */
+
+function clientUrl(path) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5173').split(',')[0].trim().replace(/\/$/, '');
+  return `${base}${path}`;
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+module.exports = { clientUrl, escapeHtml };
@@ -0,0 +1,275 @@
+/**
+ * server/src/lib/matching.js
+ *
+ * Explainable candidate/job scoring used for applications (and anywhere else a fit score is needed).
+ * - Text is tokenised with stop-word removal and light suffix stemming; recognised skills
+ *   (lib/skillTaxonomy.js) are matched by canonical name so "JS" and "JavaScript" agree.
+ * - Terms are weighted by inverse document frequency across job postings, so rare, specific
+ *   requirements ("Kubernetes") count more than common ones ("communication").
+ * - Factors: must-have requirements, nice-to-have requirements (and tags), years of experience,
+ *   location/remote fit and salary fit. Factors without data on either side are left out and the
+ *   remaining weights re-normalised, so a missing salary never drags a score down.
+ * - scoreCandidate returns { score, matchedSkills, missingSkills, breakdown[] }; recognised skills are
+ *   listed by their canonical taxonomy name, other terms by their stem. Each breakdown entry is
+ *   { factor, label, weight, score, detail } with weight and score in 0..1.
+ */
+const { detectSkills } = require('./skillTaxonomy');
+
+const FACTOR_WEIGHTS = {
+  mustHave: 0.45,
+  niceToHave: 0.15,
+  experience: 0.15,
+  location: 0.15,
+  salary: 0.1
+};
+
+const FACTOR_LABELS = {
+  mustHave: 'Must-have requirements',
+  niceToHave: 'Nice-to-have skills',
+  experience: 'Years of experience',
+  location: 'Location and remote fit',
+  salary: 'Salary fit'
+};
+
+// English stop words plus words that appear in almost every posting and say nothing about fit
+const STOP_WORDS = new Set((
+  'a an and are as at be been but by can could do does for from has have having he her his how i if in into ' +
+  'is it its me my no not of on or our ours she should so than that the their them then there these they ' +
+  'this those to too us was we were what when where which while who will with would you your yours ' +
+  'ability able about across all also any etc experience experienced equivalent excellent familiarity ' +
+  'familiar good great high including junior knowledge level lead mid must nice plus preferred proficiency ' +
+  'proficient related relevant required requirement requirements senior skill skills solid strong ' +
+  'understanding using work working year years degree team role candidate job looking opportunity'
+).split(/\s+/));
+
+// Minimal suffix stemmer: enough to fold plurals and common verb/noun forms together
+function stem(word) {
+  if (word.length <= 3 || /[^a-z]/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ization')) return `${word.slice(0, -7)}ize`;
+  if (word.endsWith('ational')) return `${word.slice(0, -7)}ate`;
+  if (word.endsWith('ments')) return word.slice(0, -5);
+  if (word.endsWith('ment') && word.length > 6) return word.slice(0, -4);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('es') && /(x|ch|sh|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(t => t.replace(/^\.+|\.+$/g, ''))
+    .filter(t => t.length > 1 && !/^\d+\+?$/.test(t) && !STOP_WORDS.has(t))
+    .map(stem);
+}
+
+// Features of a piece of text as a Map of feature key -> display name: canonical skills
+// ("skill:javascript" -> "JavaScript") when any are recognised, otherwise its stemmed terms ("term:communic")
+function featuresOf(text) {
+  const skills = detectSkills(text);
+  if (skills.length) return new Map(skills.map(s => [`skill:${s.toLowerCase()}`, s]));
+  return new Map(tokenize(text).map(t => [`term:${t}`, t]));
+}
+
+function jobDocument(job) {
+  return [job.title, ...(job.requirements || []), ...(job.niceToHave || []), ...(job.tags || []), job.description]
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Document frequencies over a set of jobs, for idf weighting
+function buildIdf(jobs) {
+  const df = new Map();
+  jobs.forEach(job => {
+    const text = jobDocument(job);
+    const features = new Set([
+      ...detectSkills(text).map(s => `skill:${s.toLowerCase()}`),
+      ...tokenize(text).map(t => `term:${t}`)
+    ]);
+    features.forEach(f => df.set(f, (df.get(f) || 0) + 1));
+  });
+  return { df, total: jobs.length };
+}
+
+function idfWeight(idf, feature) {
+  if (!idf || !idf.total) return 1;
+  return Math.log((idf.total + 1) / ((idf.df.get(feature) || 0) + 1)) + 1;
+}
+
+function candidateFeatures(candidate) {
+  const text = [...(candidate.skills || []), candidate.resumeText || ''].join('\n');
+  return new Set([
+    ...detectSkills(text).map(s => `skill:${s.toLowerCase()}`),
+    ...tokenize(text).map(t => `term:${t}`)
+  ]);
+}
+
+// Each requirement scores the idf-weighted share of its features the candidate has;
+// the factor is the idf-weighted average over requirements
+function requirementsFactor(requirements, have, idf) {
+  let total = 0;
+  let covered = 0;
+  const matched = [];
+  const missing = [];
+  const perRequirement = requirements.map(req => {
+    const labels = featuresOf(req);
+    if (!labels.size) return null;
+    const features = [...labels.keys()];
+    const weights = features.map(f => idfWeight(idf, f));
+    const reqWeight = weights.reduce((a, b) => a + b, 0);
+    const hit = features.reduce((sum, f, i) => sum + (have.has(f) ? weights[i] : 0), 0);
+    features.forEach(f => (have.has(f) ? matched : missing).push(labels.get(f)));
+    const share = hit / reqWeight;
+    total += reqWeight;
+    covered += hit;
+    return { requirement: req, met: share >= 0.5 };
+  }).filter(Boolean);
+
+  if (!perRequirement.length) return null;
+  return {
+    score: covered / total,
+    matched,
+    missing,
+    met: perRequirement.filter(r => r.met).length,
+    count: perRequirement.length
+  };
+}
+
+// Total years across experience entries, merging overlapping periods
+function yearsFromExperience(experience = [], now = new Date()) {
+  const periods = experience
+    .filter(e => e && e.startDate)
+    .map(e => [new Date(e.startDate).getTime(), (e.current || !e.endDate ? now : new Date(e.endDate)).getTime()])
+    .filter(([s, e]) => !Number.isNaN(s) && !Number.isNaN(e) && e > s)
+    .sort((a, b) => a[0] - b[0]);
+  if (!periods.length) return null;
+
+  let totalMs = 0;
+  let [curStart, curEnd] = periods[0];
+  periods.slice(1).forEach(([s, e]) => {
+    if (s <= curEnd) {
+      curEnd = Math.max(curEnd, e);
+    } else {
+      totalMs += curEnd - curStart;
+      [curStart, curEnd] = [s, e];
+    }
+  });
+  totalMs += curEnd - curStart;
+  return Math.round((totalMs / (365.25 * 24 * 3600 * 1000)) * 10) / 10;
+}
+
+// "5+ years of experience" style claims in free text; the largest plausible one wins
+function yearsFromText(text) {
+  const claims = [...String(text || '').matchAll(/(\d{1,2})\+?\s*(?:years?|yrs?)\b/gi)]
+    .map(m => Number(m[1]))
+    .filter(n => n > 0 && n <= 45);
+  return claims.length ? Math.max(...claims) : null;
+}
+
+function experienceFactor(job, candidate) {
+  const required = job.minYearsExperience;
+  if (!required) return null;
+  const years = candidate.yearsExperience != null
+    ? candidate.yearsExperience
+    : (yearsFromExperience(candidate.experience) ?? yearsFromText(candidate.resumeText));
+  if (years == null) return { score: 0.5, detail: `Requires ${required}+ years; candidate's experience unknown` };
+  return {
+    score: Math.min(1, years / required),
+    detail: `${years} of ${required}+ required years`
+  };
+}
+
+function placeTokens(place) {
+  return new Set(String(place || '').toLowerCase().split(/[^a-z]+/).filter(t => t.length > 2 && t !== 'remote'));
+}
+
+function locationFactor(job, candidate) {
+  const prefs = candidate.preferences || {};
+  const wantsRemoteOnly = prefs.remote === 'only';
+  if (job.isRemote) {
+    return prefs.remote === 'no'
+      ? { score: 0.5, detail: 'Remote role; candidate prefers on-site work' }
+      : { score: 1, detail: 'Remote role' };
+  }
+
+  const places = [candidate.location, ...(prefs.locations || [])].filter(Boolean);
+  if (!places.length && !wantsRemoteOnly) return null;
+
+  const jobPlace = placeTokens(job.location);
+  const overlap = places.some(p => [...placeTokens(p)].some(t => jobPlace.has(t)));
+  if (overlap) return { score: 1, detail: `Candidate is in or open to ${job.location}` };
+  if (wantsRemoteOnly) return { score: 0.1, detail: 'Candidate wants remote only; role is on-site' };
+  return { score: 0.3, detail: `Role is in ${job.location || 'an unspecified location'}; candidate prefers ${places.join(', ')}` };
+}
+
+// Compares yearly pay in the base currency (salaryRange.annualMin/annualMax, see lib/compensation).
+// Hidden pay still counts, but only in quarter steps and without the ratio in the detail, since
+// seekers see the breakdown and could work the amount out from their own expectation.
+function salaryFactor(job, candidate) {
+  const wanted = candidate.preferences && candidate.preferences.minSalary;
+  const range = job.salaryRange;
+  const max = range && (range.annualMax ?? range.annualMin);
+  if (!wanted || !max) return null;
+  // Details are shown to recruiters, so the candidate's figure is never spelled out
+  if (max >= wanted) return { score: 1, detail: "Within the candidate's salary expectations" };
+  const ratio = Math.max(0, max / wanted);
+  if (range.hidden) return { score: Math.floor(ratio * 4) / 4, detail: "Below the candidate's salary expectations" };
+  return {
+    score: ratio,
+    detail: `Top of range is ${Math.round(ratio * 100)}% of the candidate's expectation`
+  };
+}
+
+/**
+ * candidate: { skills[], resumeText, location,
+ *              preferences: { locations[], remote: 'open'|'only'|'no', minSalary (yearly, base currency) },
+ *              experience[], yearsExperience? }
+ * options.idf: result of buildIdf() for term weighting (uniform weights without it)
+ */
+function scoreCandidate(job, candidate = {}, { idf } = {}) {
+  const have = candidateFeatures(candidate);
+  const niceToHave = [...(job.niceToHave || []), ...(job.tags || [])];
+  // Postings without explicit requirements are judged on their title and tags
+  const mustHave = (job.requirements && job.requirements.length) ? job.requirements : [job.title].filter(Boolean);
+
+  const must = requirementsFactor(mustHave, have, idf);
+  const nice = requirementsFactor(niceToHave, have, idf);
+
+  const factors = {
+    mustHave: must && { score: must.score, detail: `${must.met} of ${must.count} requirements met` },
+    niceToHave: nice && { score: nice.score, detail: `${nice.met} of ${nice.count} nice-to-haves met` },
+    experience: experienceFactor(job, candidate),
+    location: locationFactor(job, candidate),
+    salary: salaryFactor(job, candidate)
+  };
+
+  const active = Object.keys(factors).filter(k => factors[k]);
+  const weightSum = active.reduce((sum, k) => sum + FACTOR_WEIGHTS[k], 0) || 1;
+  const breakdown = active.map(k => ({
+    factor: k,
+    label: FACTOR_LABELS[k],
+    weight: Math.round((FACTOR_WEIGHTS[k] / weightSum) * 1000) / 1000,
+    score: Math.round(factors[k].score * 1000) / 1000,
+    detail: factors[k].detail
+  }));
+
+  const score = Math.round(breakdown.reduce((sum, f) => sum + f.weight * f.score, 0) * 100);
+  const matchedSkills = [...new Set([...(must ? must.matched : []), ...(nice ? nice.matched : [])])];
+  const missingSkills = [...new Set(must ? must.missing : [])].filter(s => !matchedSkills.includes(s));
+
+  return { score: Math.max(0, Math.min(100, score)), matchedSkills, missingSkills, breakdown };
+}
+
+module.exports = {
+  FACTOR_WEIGHTS,
+  tokenize,
+  stem,
+  buildIdf,
+  idfWeight,
+  yearsFromExperience,
+  scoreCandidate
+};
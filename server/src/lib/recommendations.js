@@ -0,0 +1,117 @@
+/**
+ * server/src/lib/recommendations.js
+ *
+ * Personalised job ranking for seekers, built on lib/matching.js.
+ * - The seeker is scored as a candidate for each open job: profile skills plus skills and text from
+ *   their parsed resume, location, preferences and experience.
+ * - Two signals the matching engine doesn't cover adjust the ranking (not the displayed match score):
+ *   preferred job types, and similarity to the titles and tags of jobs the seeker applied to before.
+ * - Jobs already applied to or dismissed are excluded. Only the newest RECOMMENDATION_POOL_SIZE
+ *   open jobs are considered so a request stays cheap.
+ */
+const Job = require('../models/job');
+const Application = require('../models/application');
+const File = require('../models/file');
+const { scoreCandidate, tokenize } = require('./matching');
+const { getJobIdf } = require('./jobCorpus');
+const { skillKey } = require('./skillTaxonomy');
+const { liveJobFilter } = require('./jobStatus');
+
+const RECOMMENDATION_POOL_SIZE = 300;
+// Applied jobs looked at for interest signals
+const HISTORY_SIZE = 50;
+// Ranking adjustments, in match-score points
+const JOB_TYPE_MISMATCH_PENALTY = 15;
+const INTEREST_BONUS = 10;
+
+function interestTerms(job) {
+  return new Set(tokenize([job.title, ...(job.tags || [])].join(' ')));
+}
+
+// Share of a job's title/tag terms that also appear in previously applied-to jobs
+function interestSimilarity(job, history) {
+  if (!history.size) return 0;
+  const terms = interestTerms(job);
+  if (!terms.size) return 0;
+  let shared = 0;
+  terms.forEach(t => { if (history.has(t)) shared += 1; });
+  return shared / terms.size;
+}
+
+async function seekerCandidate(user) {
+  let resume = null;
+  if (user.resumeFile) {
+    // Only use what was already parsed; parsing on this path would read the file on every request
+    const file = await File.findOne({ _id: user.resumeFile, owner: user._id }, 'parsed').lean();
+    if (file && file.parsed && file.parsed.status === 'parsed') resume = file.parsed;
+  }
+  const skills = [...(user.skills || [])];
+  if (resume && resume.skills) {
+    const have = new Set(skills.map(s => s.toLowerCase()));
+    resume.skills.forEach(s => { if (!have.has(s.toLowerCase())) skills.push(s); });
+  }
+  return {
+    skills,
+    resumeText: [user.headline, user.bio, resume && resume.text].filter(Boolean).join('\n'),
+    location: user.location,
+    preferences: user.preferences,
+    experience: (user.experience && user.experience.length) ? user.experience : (resume && resume.experience)
+  };
+}
+
+/**
+ * Ranked open jobs for a seeker.
+ * Returns [{ job, matchScore, matchedSkills, rank, reasons[] }], best first.
+ */
+async function recommendJobs(user) {
+  const [applications, candidate, idf] = await Promise.all([
+    Application.find({ applicant: user._id }, 'job appliedAt')
+      .sort({ appliedAt: -1 })
+      .populate('job', 'title tags')
+      .lean(),
+    seekerCandidate(user),
+    getJobIdf()
+  ]);
+
+  const excluded = [
+    ...applications.map(a => a.job && a.job._id).filter(Boolean),
+    ...(user.dismissedJobs || [])
+  ];
+  const history = new Set();
+  applications.slice(0, HISTORY_SIZE).forEach(a => {
+    if (a.job) interestTerms(a.job).forEach(t => history.add(t));
+  });
+
+  const jobs = await Job.find({ $and: [liveJobFilter(), { _id: { $nin: excluded } }] })
+    .sort({ createdAt: -1 })
+    .limit(RECOMMENDATION_POOL_SIZE)
+    .lean();
+
+  const jobTypes = (user.preferences && user.preferences.jobTypes) || [];
+  return jobs
+    .map(job => {
+      const { score, matchedSkills } = scoreCandidate(job, candidate, { idf });
+      const reasons = [];
+      let rank = score;
+
+      // Name matches by the seeker's own spelling
+      const matched = new Set(matchedSkills.map(skillKey));
+      const yours = candidate.skills.filter(s => matched.has(skillKey(s)));
+      if (yours.length) {
+        reasons.push(`Matches ${yours.slice(0, 3).join(', ')}${yours.length > 3 ? ` and ${yours.length - 3} more` : ''}`);
+      }
+      if (jobTypes.length && job.type) {
+        if (jobTypes.includes(job.type)) reasons.push(`${job.type} role, as you prefer`);
+        else rank -= JOB_TYPE_MISMATCH_PENALTY;
+      }
+      const interest = interestSimilarity(job, history);
+      if (interest >= 0.5) reasons.push('Similar to jobs you applied to');
+      rank += interest * INTEREST_BONUS;
+      if (job.isRemote) reasons.push('Remote');
+
+      return { job, matchScore: score, matchedSkills, rank, reasons };
+    })
+    .sort((a, b) => b.rank - a.rank || new Date(b.job.createdAt) - new Date(a.job.createdAt));
+}
+
+module.exports = { recommendJobs };
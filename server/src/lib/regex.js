@@ -0,0 +1,6 @@
+// Escape user input before building a RegExp from it
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { escapeRegExp };
@@ -0,0 +1,240 @@
+/**
+ * server/src/lib/resumeParser.js
+ *
+ * Turns uploaded resumes into text and a best-effort structured profile.
+ * - extractResumeText: PDF (pdf-parse) and DOCX (mammoth); legacy DOC is reported as unsupported.
+ * - parseResumeText: contact details, headline, summary, experience and education by section
+ *   headings, plus skills detected against the skill taxonomy (lib/skills.js). Heuristic: results
+ *   are meant to prefill forms that the user reviews, never to be trusted blindly.
+ * - parseStoredResume: runs both for a File document and caches the result on file.parsed.
+ */
+const { detectSkills } = require('./skillTaxonomy');
+const { getSkillIndex } = require('./skills');
+
+const MAX_TEXT_LENGTH = 50000;
+
+const PDF_TYPE = 'application/pdf';
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+async function extractResumeText(buffer, mimeType) {
+  if (mimeType === PDF_TYPE) {
+    // Require the implementation directly: the package entry point runs a debug harness
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    const out = await pdfParse(buffer);
+    return out.text || '';
+  }
+  if (mimeType === DOCX_TYPE) {
+    const mammoth = require('mammoth');
+    const out = await mammoth.extractRawText({ buffer });
+    return out.value || '';
+  }
+  return null;
+}
+
+// Section headings as they commonly appear in resumes
+const SECTION_HEADINGS = {
+  summary: /^(profile|summary|professional summary|about( me)?|objective|career objective)$/i,
+  experience: /^(experience|work experience|professional experience|employment( history)?|work history|career history)$/i,
+  education: /^(education|academic background|education and training|qualifications)$/i,
+  skills: /^(skills|technical skills|core skills|key skills|competencies|core competencies)$/i,
+  certifications: /^(certifications?|licenses?( (and|&) certifications)?)$/i,
+  projects: /^(projects|personal projects|key projects)$/i,
+  other: /^(references|interests|hobbies|languages|awards|volunteering|publications)$/i
+};
+
+const BULLET = /^[•\-*▪●◦‣–]\s*/;
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const PHONE = /(\+?\d[\d\s().-]{6,}\d)/;
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s,;]+|\b(?:linkedin\.com|github\.com)\/[^\s,;]+/i;
+// Global copy for collecting every link; .test on a global regex would carry lastIndex between strings
+const URLS_RE = new RegExp(URL_RE.source, 'gi');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_TOKEN = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})';
+const DATE_RANGE = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to)\\s*(${DATE_TOKEN}|present|current|now|date)`, 'i');
+
+const DEGREE = /\b(bachelor|master|diploma|ph\.?d|doctorate|b\.?sc|m\.?sc|b\.?a\b|m\.?a\b|b\.?eng|m\.?eng|mba|associate|certificate|degree|high school|kcse|a-levels?)\b/i;
+const SCHOOL = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+
+// "05/2025", "May 2025", "2025" -> Date (first of the month, UTC)
+function parseDateToken(token) {
+  if (!token) return null;
+  const t = token.trim().toLowerCase();
+  let m = t.match(/^(\d{1,2})\/(\d{4})$/);
+  if (m) return new Date(Date.UTC(Number(m[2]), Number(m[1]) - 1, 1));
+  m = t.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (m) {
+    const month = MONTHS.indexOf(m[1].slice(0, 3));
+    if (month >= 0) return new Date(Date.UTC(Number(m[2]), month, 1));
+  }
+  m = t.match(/^(\d{4})$/);
+  if (m) return new Date(Date.UTC(Number(m[1]), 0, 1));
+  return null;
+}
+
+function parseDateRange(line) {
+  const m = line.match(DATE_RANGE);
+  if (!m) return null;
+  const current = /present|current|now|date/i.test(m[2]);
+  return {
+    match: m[0],
+    startDate: parseDateToken(m[1]),
+    endDate: current ? null : parseDateToken(m[2]),
+    current
+  };
+}
+
+function headingFor(line) {
+  const clean = line.replace(/[:\s]+$/, '').trim();
+  if (!clean || clean.length > 40) return null;
+  return Object.keys(SECTION_HEADINGS).find(k => SECTION_HEADINGS[k].test(clean)) || null;
+}
+
+function splitSections(lines) {
+  const sections = { header: [] };
+  let current = 'header';
+  lines.forEach(line => {
+    const heading = headingFor(line);
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+      return;
+    }
+    sections[current].push(line);
+  });
+  return sections;
+}
+
+function parseContact(text, headerLines) {
+  const email = (text.match(EMAIL) || [])[0] || null;
+  const phoneLine = headerLines.concat(text.split('\n').slice(0, 15)).find(l => PHONE.test(l) && !DATE_RANGE.test(l));
+  const phone = phoneLine ? phoneLine.match(PHONE)[1].trim() : null;
+  const links = [...new Set((text.match(URLS_RE) || []).map(u => (/^https?:/i.test(u) ? u : `https://${u}`)))];
+
+  // The name is usually the first header line that is just a few capitalised words
+  const name = headerLines.find(l => /^[A-Z][\p{L}'.-]+(\s+[A-Z][\p{L}'.-]+){1,3}$/u.test(l)) || null;
+  return { name, email, phone, links };
+}
+
+// Lines that look like a title or company rather than prose
+function isShortLine(line) {
+  return line.length <= 80 && !BULLET.test(line) && !/[.;]$/.test(line);
+}
+
+function parseExperience(lines) {
+  const entries = [];
+  let entry = null;
+
+  lines.forEach(raw => {
+    const range = parseDateRange(raw);
+    const line = range ? raw.replace(range.match, '').replace(/[|,–-]\s*$/, '').trim() : raw;
+
+    if (range && entry && !entry.startDate && !line) {
+      Object.assign(entry, { startDate: range.startDate, endDate: range.endDate, current: range.current });
+      return;
+    }
+    if (!line) return;
+
+    if (BULLET.test(line) || !isShortLine(line)) {
+      if (entry) entry.description = [entry.description, line.replace(BULLET, '')].filter(Boolean).join('\n');
+      return;
+    }
+
+    if (entry && !entry.company && !entry.description) {
+      entry.company = line;
+    } else {
+      // "Title at Company" / "Title | Company" / "Title, Company" on one line
+      const parts = line.split(/\s+(?:at|@)\s+|\s*\|\s*|,\s+/);
+      entry = { title: parts[0], company: parts[1] || null, startDate: null, endDate: null, current: false, description: '' };
+      entries.push(entry);
+    }
+    if (range) Object.assign(entry, { startDate: range.startDate, endDate: range.endDate, current: range.current });
+  });
+
+  return entries.filter(e => e.title).slice(0, 20);
+}
+
+function parseEducation(lines) {
+  const entries = [];
+  let entry = null;
+
+  lines.forEach(raw => {
+    const range = parseDateRange(raw);
+    const line = (range ? raw.replace(range.match, '') : raw).replace(BULLET, '').trim();
+    const isDegree = DEGREE.test(line);
+    const isSchool = SCHOOL.test(line);
+
+    if (line && (isDegree || isSchool)) {
+      const needsNew = !entry || (isDegree && entry.degree) || (isSchool && !isDegree && entry.school);
+      if (needsNew) {
+        entry = { school: null, degree: null, startDate: null, endDate: null };
+        entries.push(entry);
+      }
+      if (isSchool && !isDegree) entry.school = line;
+      else if (isDegree && !isSchool) entry.degree = line;
+      else if (!entry.degree) entry.degree = line;
+      else entry.school = line;
+    }
+    if (range && entry && !entry.startDate) {
+      entry.startDate = range.startDate;
+      entry.endDate = range.endDate;
+    }
+  });
+
+  return entries.filter(e => e.school || e.degree).slice(0, 10);
+}
+
+function parseResumeText(rawText) {
+  const text = String(rawText || '').replace(/\r/g, '').slice(0, MAX_TEXT_LENGTH);
+  const lines = text.split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const sections = splitSections(lines);
+  const contact = parseContact(text, sections.header.slice(0, 10));
+
+  // Headline: the first short header line after the name that isn't contact info
+  const headline = sections.header.find(l =>
+    l !== contact.name && isShortLine(l) && l.length > 3 && !EMAIL.test(l) && !PHONE.test(l) && !URL_RE.test(l) &&
+    !/^(linkedin|github|portfolio|website)$/i.test(l)
+  ) || null;
+
+  return {
+    text,
+    skills: detectSkills(text),
+    contact,
+    headline,
+    summary: (sections.summary || []).join(' ').slice(0, 1000) || null,
+    experience: parseExperience(sections.experience || []),
+    education: parseEducation(sections.education || [])
+  };
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+// Parse a stored File (buffer optional when the caller already has the bytes). Never throws:
+// failures are recorded on file.parsed so uploads and applications still go through.
+async function parseStoredResume(file, buffer) {
+  if (file.parsed && file.parsed.status) return file.parsed;
+  try {
+    let bytes = buffer;
+    if (!bytes) {
+      const { getStorage } = require('../storage');
+      bytes = await streamToBuffer(await getStorage().createReadStream(file.storageKey));
+    }
+    const text = await extractResumeText(bytes, file.mimeType);
+    // Detect skills against the Skill collection rather than the built-in list
+    await getSkillIndex();
+    file.parsed = text === null
+      ? { status: 'unsupported', parsedAt: new Date() }
+      : { status: 'parsed', ...parseResumeText(text), parsedAt: new Date() };
+  } catch (err) {
+    console.error(`Resume parsing failed for file ${file._id}:`, err.message);
+    file.parsed = { status: 'failed', error: String(err.message).slice(0, 500), parsedAt: new Date() };
+  }
+  await file.save();
+  return file.parsed;
+}
+
+module.exports = { extractResumeText, parseResumeText, parseStoredResume };
@@ -0,0 +1,28 @@
+/**
+ * server/src/lib/savedSearches.js
+ *
+ * Alert schedule for saved searches.
+ * - instant: checked on every run of the alerts worker (SAVED_SEARCH_ALERTS_INTERVAL_MS)
+ * - daily / weekly: one digest per day / week of the jobs published since the previous one
+ */
+const ALERT_FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCY_MS = { instant: 0, daily: DAY_MS, weekly: 7 * DAY_MS };
+
+function nextAlertRun(frequency, from = new Date()) {
+  return new Date(from.getTime() + (FREQUENCY_MS[frequency] ?? DAY_MS));
+}
+
+// Client search URL for a saved search ("/?q=react&remote=true")
+function searchPath(criteria = {}) {
+  const params = new URLSearchParams();
+  ['q', 'location', 'type', 'remote', 'tag', 'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod'].forEach(key => {
+    const value = criteria[key];
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  });
+  const qs = params.toString();
+  return qs ? `/?${qs}` : '/';
+}
+
+module.exports = { ALERT_FREQUENCIES, nextAlertRun, searchPath };
@@ -0,0 +1,27 @@
+/**
+ * server/src/lib/searchKeys.js
+ *
+ * Keys for "a word starts with" lookups that an index can serve. A value is stored lower-cased once
+ * from the start of each of its words, so an anchored, case-sensitive prefix regex on the key array
+ * ({ $regex: '^dev' }) finds "Senior Developer" through the "developer" key without a collection scan.
+ */
+const { escapeRegExp } = require('./regex');
+
+const MAX_KEY_LENGTH = 100;
+
+// "Senior Developer" -> ["senior developer", "developer"]
+function wordStartKeys(value) {
+  const text = String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const keys = new Set();
+  for (const match of text.matchAll(/\w+/g)) {
+    keys.add(text.slice(match.index, match.index + MAX_KEY_LENGTH));
+  }
+  return [...keys];
+}
+
+// Query condition for keys starting with the typed text
+function keyPrefix(text) {
+  return { $regex: `^${escapeRegExp(String(text).toLowerCase().trim())}` };
+}
+
+module.exports = { wordStartKeys, keyPrefix };
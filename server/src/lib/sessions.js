@@ -0,0 +1,142 @@
+/**
+ * server/src/lib/sessions.js
+ *
+ * Refresh-token sessions backing the short-lived access tokens from middleware/auth.js.
+ * - A refresh token is "<sessionId>.<secret>"; only a SHA-256 hash of it is stored.
+ * - Every refresh rotates the secret. Presenting an already-rotated token outside a short
+ *   grace window is treated as theft and revokes the whole session.
+ * - The token travels in an httpOnly cookie scoped to /api/auth.
+ *
+ * Env vars:
+ * - REFRESH_TOKEN_TTL_DAYS (default 30)
+ * - REFRESH_COOKIE_SAMESITE (default "lax"; use "none" when the client is on another site)
+ */
+const crypto = require('crypto');
+const Session = require('../models/session');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_COOKIE = 'jobmug_refresh';
+// Concurrent refreshes from two tabs race on the same token; don't treat that as theft
+const ROTATION_GRACE_MS = 10 * 1000;
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function sessionError(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+function expiryFromNow() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function createSession(user, req) {
+  const session = new Session({
+    user: user._id,
+    tokenHash: 'pending',
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: expiryFromNow()
+  });
+  const refreshToken = `${session._id}.${newSecret()}`;
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+  return { session, refreshToken };
+}
+
+// Exchange a refresh token for a new one on the same session
+async function rotateSession(refreshToken, req) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) throw sessionError('Invalid refresh token');
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw sessionError('Session expired or revoked');
+  }
+
+  const presented = hashToken(refreshToken);
+  if (presented !== session.tokenHash) {
+    if (presented === session.previousTokenHash) {
+      if (Date.now() - session.lastUsedAt.getTime() < ROTATION_GRACE_MS) {
+        throw sessionError('Refresh token already rotated');
+      }
+      await revokeSession(session, 'refresh token reuse');
+    }
+    throw sessionError('Invalid refresh token');
+  }
+
+  const nextToken = `${session._id}.${newSecret()}`;
+  // Conditional update so two concurrent rotations of the same token can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presented, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: presented,
+        lastUsedAt: new Date(),
+        userAgent: (req.get('user-agent') || session.userAgent || '').slice(0, 500),
+        ip: req.ip,
+        expiresAt: expiryFromNow()
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) throw sessionError('Refresh token already rotated');
+
+  return { session: rotated, refreshToken: nextToken };
+}
+
+async function revokeSession(session, reason = 'revoked') {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+}
+
+// Revoke the session a refresh token belongs to (logout); unknown or stale tokens are ignored
+async function revokeByRefreshToken(refreshToken, reason = 'logout') {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt) return null;
+  const presented = hashToken(refreshToken);
+  if (presented !== session.tokenHash && presented !== session.previousTokenHash) return null;
+
+  await revokeSession(session, reason);
+  return session;
+}
+
+function cookieOptions() {
+  const sameSite = process.env.REFRESH_COOKIE_SAMESITE || 'lax';
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production' || sameSite === 'none',
+    sameSite,
+    path: '/api/auth'
+  };
+}
+
+function setRefreshCookie(res, refreshToken, expiresAt) {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(), expires: expiresAt });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeByRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie
+};
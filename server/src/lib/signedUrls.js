@@ -0,0 +1,42 @@
+/**
+ * server/src/lib/signedUrls.js
+ *
+ * Short-lived download links for uploaded files. Browsers open these directly (no Authorization
+ * header), so access is checked when a link is issued and the link itself only proves that.
+ * - The signature is an HMAC over "<fileId>:<expires>".
+ *
+ * Env vars:
+ * - FILE_URL_SECRET (defaults to JWT_SECRET)
+ * - SIGNED_URL_TTL_SECONDS (default 300)
+ */
+const crypto = require('crypto');
+
+const SIGNED_URL_TTL_SECONDS = Number(process.env.SIGNED_URL_TTL_SECONDS) || 300;
+
+function secret() {
+  return process.env.FILE_URL_SECRET || process.env.JWT_SECRET || 'change-me';
+}
+
+function sign(fileId, expires) {
+  return crypto.createHmac('sha256', secret()).update(`${fileId}:${expires}`).digest('base64url');
+}
+
+// Returns { path, expiresAt }; path is relative to the API origin
+function signFileUrl(fileId, ttlSeconds = SIGNED_URL_TTL_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const sig = sign(String(fileId), expires);
+  return {
+    path: `/api/uploads/files/${fileId}/download?expires=${expires}&sig=${sig}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+function verifyFileSignature(fileId, expires, sig) {
+  const exp = Number(expires);
+  if (!Number.isInteger(exp) || exp < Math.floor(Date.now() / 1000) || typeof sig !== 'string') return false;
+  const expected = Buffer.from(sign(String(fileId), exp));
+  const given = Buffer.from(sig);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+module.exports = { SIGNED_URL_TTL_SECONDS, signFileUrl, verifyFileSignature };
@@ -0,0 +1,118 @@
+/**
+ * server/src/lib/similarJobs.js
+ *
+ * "More like this" for a job posting. Other open jobs are compared on:
+ * - title terms and skills (tags, requirements, nice-to-haves), each as idf-weighted overlap so a
+ *   shared "Kubernetes" counts for more than a shared "engineer";
+ * - location (both remote, or overlapping place names) and employment type.
+ * Only the newest SIMILAR_POOL_SIZE open jobs are compared.
+ */
+const Job = require('../models/job');
+const { tokenize, idfWeight } = require('./matching');
+const { detectSkills } = require('./skillTaxonomy');
+const { getJobIdf } = require('./jobCorpus');
+const { liveJobFilter } = require('./jobStatus');
+
+const SIMILAR_POOL_SIZE = 500;
+
+const SIMILARITY_WEIGHTS = {
+  title: 0.35,
+  skills: 0.35,
+  location: 0.15,
+  type: 0.15
+};
+
+// Features are Maps of feature key -> display name
+function titleFeatures(job) {
+  return new Map(tokenize(job.title).map(t => [`term:${t}`, t]));
+}
+
+// Recognised skills plus the raw tags, so custom tags still count
+function skillFeatures(job) {
+  const text = [...(job.tags || []), ...(job.requirements || []), ...(job.niceToHave || [])].join('\n');
+  return new Map([
+    ...(job.tags || []).map(t => [`tag:${t.toLowerCase()}`, t]),
+    ...detectSkills(text).map(s => [`skill:${s.toLowerCase()}`, s])
+  ]);
+}
+
+// Weighted Jaccard: idf mass of the shared features over idf mass of all features
+function overlap(a, b, idf) {
+  if (!a.size || !b.size) return { score: 0, shared: [] };
+  const weight = f => idfWeight(idf, f.startsWith('tag:') ? `term:${f.slice(4)}` : f);
+  const shared = [...a.keys()].filter(f => b.has(f));
+  const union = new Set([...a.keys(), ...b.keys()]);
+  const sharedWeight = shared.reduce((sum, f) => sum + weight(f), 0);
+  const unionWeight = [...union].reduce((sum, f) => sum + weight(f), 0);
+  return { score: unionWeight ? sharedWeight / unionWeight : 0, shared: shared.map(f => b.get(f)) };
+}
+
+function places(job) {
+  return new Set(String(job.location || '').toLowerCase().split(/[^a-z]+/).filter(t => t.length > 2 && t !== 'remote'));
+}
+
+function locationScore(a, b) {
+  if (a.isRemote && b.isRemote) return 1;
+  const pa = places(a);
+  if ([...places(b)].some(p => pa.has(p))) return 1;
+  return a.isRemote || b.isRemote ? 0.3 : 0;
+}
+
+/**
+ * Similarity of candidate job `other` to `job`.
+ * Returns { score (0-100), sharedSkills[], reasons[] }.
+ */
+function compareJobs(job, other, { idf, features } = {}) {
+  const base = features || { title: titleFeatures(job), skills: skillFeatures(job) };
+  const title = overlap(base.title, titleFeatures(other), idf);
+  const skills = overlap(base.skills, skillFeatures(other), idf);
+  const location = locationScore(job, other);
+  const type = job.type && job.type === other.type ? 1 : 0;
+
+  const score = Math.round(100 * (
+    SIMILARITY_WEIGHTS.title * title.score +
+    SIMILARITY_WEIGHTS.skills * skills.score +
+    SIMILARITY_WEIGHTS.location * location +
+    SIMILARITY_WEIGHTS.type * type
+  ));
+
+  // Tags duplicate recognised skills most of the time; keep one spelling per skill
+  const seen = new Set();
+  const sharedSkills = skills.shared.filter(s => {
+    const key = s.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const reasons = [];
+  if (sharedSkills.length) reasons.push(`Also asks for ${sharedSkills.slice(0, 3).join(', ')}`);
+  if (title.score >= 0.3) reasons.push('Similar title');
+  if (location === 1) reasons.push(job.isRemote && other.isRemote ? 'Also remote' : `Also in ${other.location}`);
+  if (type) reasons.push(`Also ${other.type}`);
+
+  return { score, sharedSkills, reasons };
+}
+
+/**
+ * Open jobs most similar to `job`, best first.
+ * options: { limit, excludePoster (ObjectId), excludeJobIds[] }
+ */
+async function findSimilarJobs(job, { limit = 5, excludePoster, excludeJobIds = [] } = {}) {
+  const filter = { $and: [liveJobFilter(), { _id: { $nin: [job._id, ...excludeJobIds] } }] };
+  if (excludePoster) filter.$and.push({ postedBy: { $ne: excludePoster } });
+
+  const [pool, idf] = await Promise.all([
+    Job.find(filter).sort({ createdAt: -1 }).limit(SIMILAR_POOL_SIZE).lean(),
+    getJobIdf()
+  ]);
+
+  const features = { title: titleFeatures(job), skills: skillFeatures(job) };
+  return pool
+    .map(other => ({ job: other, ...compareJobs(job, other, { idf, features }) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.job.createdAt) - new Date(a.job.createdAt))
+    .slice(0, limit);
+}
+
+module.exports = { compareJobs, findSimilarJobs };
@@ -0,0 +1,171 @@
+/**
+ * server/src/lib/skillTaxonomy.js
+ *
+ * Built-in skill list used to recognise skills in free text (resumes, job descriptions).
+ * - name is the canonical spelling; aliases are alternative spellings matched case-insensitively.
+ * - Names that are also common words (e.g. "Go") set matchName: false so only their aliases match.
+ * - This list seeds the Skill collection; once lib/skills.js loads the collection, detection uses it instead.
+ */
+const SKILL_TAXONOMY = [
+  // Programming languages
+  { name: 'JavaScript', aliases: ['js', 'ecmascript', 'es6'], category: 'Programming Languages' },
+  { name: 'TypeScript', aliases: ['ts'], category: 'Programming Languages' },
+  { name: 'Python', aliases: [], category: 'Programming Languages' },
+  { name: 'Java', aliases: [], category: 'Programming Languages' },
+  { name: 'C#', aliases: ['csharp', 'c sharp'], category: 'Programming Languages' },
+  { name: 'C++', aliases: ['cpp'], category: 'Programming Languages' },
+  { name: 'Go', aliases: ['golang'], category: 'Programming Languages', matchName: false },
+  { name: 'Rust', aliases: [], category: 'Programming Languages' },
+  { name: 'Ruby', aliases: [], category: 'Programming Languages' },
+  { name: 'PHP', aliases: [], category: 'Programming Languages' },
+  { name: 'Kotlin', aliases: [], category: 'Programming Languages' },
+  { name: 'Swift', aliases: [], category: 'Programming Languages' },
+  { name: 'Scala', aliases: [], category: 'Programming Languages' },
+  { name: 'Dart', aliases: [], category: 'Programming Languages' },
+  { name: 'SQL', aliases: [], category: 'Programming Languages' },
+  { name: 'Bash', aliases: ['shell scripting'], category: 'Programming Languages' },
+
+  // Frontend
+  { name: 'HTML', aliases: ['html5'], category: 'Frontend' },
+  { name: 'CSS', aliases: ['css3'], category: 'Frontend' },
+  { name: 'React', aliases: ['react.js', 'reactjs'], category: 'Frontend' },
+  { name: 'Next.js', aliases: ['nextjs'], category: 'Frontend' },
+  { name: 'Vue.js', aliases: ['vue', 'vuejs'], category: 'Frontend' },
+  { name: 'Angular', aliases: ['angularjs'], category: 'Frontend' },
+  { name: 'Svelte', aliases: [], category: 'Frontend' },
+  { name: 'Redux', aliases: [], category: 'Frontend' },
+  { name: 'Tailwind CSS', aliases: ['tailwind', 'tailwindcss'], category: 'Frontend' },
+  { name: 'Sass', aliases: ['scss'], category: 'Frontend' },
+  { name: 'Webpack', aliases: [], category: 'Frontend' },
+  { name: 'Vite', aliases: [], category: 'Frontend' },
+
+  // Backend
+  { name: 'Node.js', aliases: ['node', 'nodejs'], category: 'Backend' },
+  { name: 'Express', aliases: ['express.js', 'expressjs'], category: 'Backend' },
+  { name: 'NestJS', aliases: ['nest.js'], category: 'Backend' },
+  { name: 'Django', aliases: [], category: 'Backend' },
+  { name: 'Flask', aliases: [], category: 'Backend' },
+  { name: 'FastAPI', aliases: [], category: 'Backend' },
+  { name: 'Spring', aliases: ['spring boot', 'springboot'], category: 'Backend' },
+  { name: 'Ruby on Rails', aliases: ['rails', 'ror'], category: 'Backend' },
+  { name: 'Laravel', aliases: [], category: 'Backend' },
+  { name: '.NET', aliases: ['dotnet', 'asp.net', '.net core'], category: 'Backend' },
+  { name: 'GraphQL', aliases: [], category: 'Backend' },
+  { name: 'REST APIs', aliases: ['rest', 'restful', 'rest api', 'restful apis'], category: 'Backend' },
+  { name: 'Microservices', aliases: [], category: 'Backend' },
+
+  // Databases
+  { name: 'MongoDB', aliases: ['mongo', 'mongoose'], category: 'Databases' },
+  { name: 'PostgreSQL', aliases: ['postgres', 'psql'], category: 'Databases' },
+  { name: 'MySQL', aliases: [], category: 'Databases' },
+  { name: 'SQLite', aliases: [], category: 'Databases' },
+  { name: 'Redis', aliases: [], category: 'Databases' },
+  { name: 'Elasticsearch', aliases: ['elastic search'], category: 'Databases' },
+  { name: 'DynamoDB', aliases: [], category: 'Databases' },
+
+  // Cloud & DevOps
+  { name: 'AWS', aliases: ['amazon web services'], category: 'Cloud & DevOps' },
+  { name: 'Azure', aliases: ['microsoft azure'], category: 'Cloud & DevOps' },
+  { name: 'Google Cloud', aliases: ['gcp', 'google cloud platform'], category: 'Cloud & DevOps' },
+  { name: 'Docker', aliases: [], category: 'Cloud & DevOps' },
+  { name: 'Kubernetes', aliases: ['k8s'], category: 'Cloud & DevOps' },
+  { name: 'Terraform', aliases: [], category: 'Cloud & DevOps' },
+  { name: 'CI/CD', aliases: ['continuous integration', 'continuous delivery', 'continuous deployment'], category: 'Cloud & DevOps' },
+  { name: 'GitHub Actions', aliases: [], category: 'Cloud & DevOps' },
+  { name: 'Linux', aliases: [], category: 'Cloud & DevOps' },
+  { name: 'Git', aliases: ['github', 'gitlab', 'version control'], category: 'Cloud & DevOps' },
+  { name: 'Vercel', aliases: [], category: 'Cloud & DevOps' },
+
+  // Data & ML
+  { name: 'Machine Learning', aliases: ['ml'], category: 'Data & ML' },
+  { name: 'Deep Learning', aliases: [], category: 'Data & ML' },
+  { name: 'TensorFlow', aliases: [], category: 'Data & ML' },
+  { name: 'PyTorch', aliases: [], category: 'Data & ML' },
+  { name: 'pandas', aliases: [], category: 'Data & ML' },
+  { name: 'NumPy', aliases: [], category: 'Data & ML' },
+  { name: 'scikit-learn', aliases: ['sklearn'], category: 'Data & ML' },
+  { name: 'Data Analysis', aliases: ['data analytics'], category: 'Data & ML' },
+  { name: 'Power BI', aliases: ['powerbi'], category: 'Data & ML' },
+  { name: 'Tableau', aliases: [], category: 'Data & ML' },
+  { name: 'Excel', aliases: ['microsoft excel', 'ms excel'], category: 'Data & ML' },
+
+  // Mobile
+  { name: 'React Native', aliases: [], category: 'Mobile' },
+  { name: 'Flutter', aliases: [], category: 'Mobile' },
+  { name: 'Android', aliases: [], category: 'Mobile' },
+  { name: 'iOS', aliases: [], category: 'Mobile' },
+
+  // Testing
+  { name: 'Unit Testing', aliases: ['unit tests'], category: 'Testing' },
+  { name: 'Jest', aliases: [], category: 'Testing' },
+  { name: 'Cypress', aliases: [], category: 'Testing' },
+  { name: 'Playwright', aliases: [], category: 'Testing' },
+  { name: 'Selenium', aliases: [], category: 'Testing' },
+
+  // Design
+  { name: 'Figma', aliases: [], category: 'Design' },
+  { name: 'UI Design', aliases: ['ui/ux', 'ux design', 'user interface design', 'responsive design', 'responsive ui design'], category: 'Design' },
+
+  // Practices
+  { name: 'Agile', aliases: ['scrum', 'kanban', 'agile methodologies'], category: 'Practices' },
+  { name: 'API Integration', aliases: ['api intergration'], category: 'Practices' },
+  { name: 'Project Management', aliases: [], category: 'Practices' },
+
+  // Business
+  { name: 'Sales', aliases: [], category: 'Business' },
+  { name: 'Marketing', aliases: ['digital marketing'], category: 'Business' },
+  { name: 'SEO', aliases: ['search engine optimization'], category: 'Business' },
+  { name: 'Accounting', aliases: [], category: 'Business' },
+  { name: 'Customer Service', aliases: ['customer support'], category: 'Business' }
+];
+
+function escapeForRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Term boundaries that keep "C#", "Node.js" and ".NET" intact but stop "java" matching inside "javascript"
+function termPattern(term) {
+  return new RegExp(`(?<![\\w+#.])${escapeForRegExp(term)}(?![\\w+#]|\\.\\w)`, 'gi');
+}
+
+function compileTaxonomy(taxonomy) {
+  return taxonomy.map(entry => ({
+    name: entry.name,
+    patterns: [...(entry.matchName === false ? [] : [entry.name]), ...(entry.aliases || [])].map(termPattern)
+  }));
+}
+
+// Normalised lookup key: case, spacing and punctuation are ignored and a trailing "js"/".js" is dropped,
+// so "JS", "Node.js", "nodejs" and "javascript.js" compare by their core name. "+" and "#" are kept (C++, C#).
+function skillKey(value) {
+  let key = String(value || '').trim().toLowerCase();
+  const core = key.replace(/[\s.-]*js$/, '');
+  if (/[a-z0-9]{2,}/.test(core)) key = core;
+  return key.replace(/[^a-z0-9+#]/g, '');
+}
+
+// All lookup keys of a skill entry (its name and aliases)
+function skillKeys({ name, aliases }) {
+  return [...new Set([name, ...(aliases || [])].map(skillKey).filter(Boolean))];
+}
+
+let compiledActive = compileTaxonomy(SKILL_TAXONOMY);
+
+// Replace the built-in list with the Skill collection once lib/skills.js has loaded it
+function setActiveTaxonomy(taxonomy) {
+  compiledActive = compileTaxonomy(taxonomy);
+}
+
+// Canonical skill names found in text, most frequently mentioned first
+function detectSkills(text, taxonomy) {
+  if (!text) return [];
+  const compiled = taxonomy ? compileTaxonomy(taxonomy) : compiledActive;
+  const found = [];
+  compiled.forEach(({ name, patterns }) => {
+    const count = patterns.reduce((n, re) => n + (text.match(re) || []).length, 0);
+    if (count) found.push({ name, count });
+  });
+  return found.sort((a, b) => b.count - a.count).map(f => f.name);
+}
+
+module.exports = { SKILL_TAXONOMY, skillKey, skillKeys, detectSkills, setActiveTaxonomy };
@@ -0,0 +1,124 @@
+/**
+ * server/src/lib/skills.js
+ *
+ * Skill collection access: canonical names, aliases and categories used to normalise free-text skills.
+ * - The collection is seeded from lib/skillTaxonomy.js the first time it is found empty.
+ * - Skills are cached in memory for SKILLS_CACHE_TTL_MS (default 5 minutes); admin edits on this
+ *   instance clear the cache straight away. Loading also switches free-text detection
+ *   (detectSkills) over to the collection.
+ * - normalizeSkills maps each known spelling to its canonical name and drops duplicates;
+ *   unknown entries are kept as typed so nothing a user enters is lost.
+ */
+const Skill = require('../models/skill');
+const { SKILL_TAXONOMY, skillKey, skillKeys, setActiveTaxonomy } = require('./skillTaxonomy');
+
+const SKILLS_CACHE_TTL_MS = Number(process.env.SKILLS_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+let pending = null;
+
+async function seedSkills() {
+  // Build the unique index first so concurrent seeders can't insert the same skill twice
+  await Skill.init();
+  const docs = SKILL_TAXONOMY.map(entry => ({ ...entry, keys: skillKeys(entry) }));
+  try {
+    await Skill.insertMany(docs, { ordered: false });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+}
+
+async function loadSkills() {
+  let skills = await Skill.find().lean();
+  if (!skills.length) {
+    await seedSkills();
+    skills = await Skill.find().lean();
+  }
+  const byKey = new Map();
+  skills.forEach(skill => (skill.keys || skillKeys(skill)).forEach(key => byKey.set(key, skill)));
+  setActiveTaxonomy(skills);
+  return { skills, byKey };
+}
+
+async function getSkillIndex() {
+  if (cached && Date.now() - cachedAt < SKILLS_CACHE_TTL_MS) return cached;
+  // Concurrent callers share one load
+  if (!pending) {
+    pending = loadSkills()
+      .then(index => {
+        cached = index;
+        cachedAt = Date.now();
+        return index;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+}
+
+function invalidateSkillCache() {
+  cached = null;
+}
+
+// Canonical names for a list of skills (or requirement lines), de-duplicated case-insensitively
+async function normalizeSkills(values) {
+  if (!Array.isArray(values)) return values;
+  const { byKey } = await getSkillIndex();
+  const seen = new Set();
+  const result = [];
+  values.forEach(value => {
+    const trimmed = String(value).trim();
+    if (!trimmed) return;
+    const skill = byKey.get(skillKey(trimmed));
+    const name = skill ? skill.name : trimmed;
+    const dedupeKey = skill ? `skill:${skill._id}` : trimmed.toLowerCase();
+    if (seen.has(dedupeKey)) return;
+    seen.add(dedupeKey);
+    result.push(name);
+  });
+  return result;
+}
+
+// Autocomplete: exact matches first, then name prefixes, alias matches and finally substrings
+async function suggestSkills(query, { limit = 10, category } = {}) {
+  const text = String(query || '').trim().toLowerCase();
+  if (!text) return [];
+  const key = skillKey(text);
+  const { skills } = await getSkillIndex();
+
+  const ranked = [];
+  skills.forEach(skill => {
+    if (category && skill.category !== category) return;
+    const name = skill.name.toLowerCase();
+    const nameKey = skillKey(skill.name);
+    const aliases = skill.aliases || [];
+    let rank = null;
+    let alias;
+    if (key && nameKey === key) rank = 0;
+    else if (name.startsWith(text) || (key && nameKey.startsWith(key))) rank = 1;
+    else {
+      alias = aliases.find(a => key && skillKey(a) === key);
+      if (alias) rank = 2;
+      else {
+        alias = aliases.find(a => a.toLowerCase().startsWith(text));
+        if (alias) rank = 3;
+        else if (text.length >= 3 && name.includes(text)) rank = 4;
+      }
+    }
+    if (rank !== null) ranked.push({ skill, rank, alias });
+  });
+
+  return ranked
+    .sort((a, b) => a.rank - b.rank || a.skill.name.length - b.skill.name.length || a.skill.name.localeCompare(b.skill.name))
+    .slice(0, limit)
+    .map(({ skill, alias }) => ({
+      id: skill._id,
+      name: skill.name,
+      category: skill.category || null,
+      ...(alias ? { matchedAlias: alias } : {})
+    }));
+}
+
+module.exports = { getSkillIndex, invalidateSkillCache, normalizeSkills, suggestSkills };
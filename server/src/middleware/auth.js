@@ -1,12 +1,14 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const Session = require('../models/session');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'change-me';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients renew them via POST /api/auth/refresh (see lib/sessions.js)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
 
-function signToken(user) {
-  const payload = { id: user._id, role: user.role };
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+function signToken(user, sessionId) {
+  const payload = { id: user._id, role: user.role, sid: sessionId };
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
 async function authenticate(req, res, next) {
@@ -17,15 +19,30 @@ async function authenticate(req, res, next) {
   const token = auth.split(' ')[1];
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    // Tokens are bound to a session so revoking the session cuts off its access tokens immediately
+    if (!decoded.sid) return res.status(401).json({ error: 'Invalid or expired token' });
+    const [user, session] = await Promise.all([
+      User.findById(decoded.id).select('-password'),
+      Session.exists({ _id: decoded.sid, user: decoded.id, revokedAt: null })
+    ]);
     if (!user) return res.status(401).json({ error: 'Invalid token (user not found)' });
+    if (!session) return res.status(401).json({ error: 'Session expired or revoked' });
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 }
 
+// Like authenticate, but lets anonymous requests through (req.user stays undefined).
+// An invalid or expired token is still rejected so the client knows to sign in again.
+async function optionalAuthenticate(req, res, next) {
+  const auth = req.headers.authorization;
+  if (!auth || !auth.startsWith('Bearer ')) return next();
+  return authenticate(req, res, next);
+}
+
 function authorizeRoles(...allowedRoles) {
   return (req, res, next) => {
     if (!req.user) return res.status(401).json({ error: 'Authorization required' });
@@ -36,4 +53,13 @@ function authorizeRoles(...allowedRoles) {
   };
 }
 
-module.exports = { authenticate, authorizeRoles, signToken };
\ No newline at end of file
+// Blocks actions that need a confirmed email address; admins are exempt
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Authorization required' });
+  if (req.user.role !== 'admin' && !req.user.emailVerified) {
+    return res.status(403).json({ error: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+  }
+  next();
+}
+
+module.exports = { authenticate, optionalAuthenticate, authorizeRoles, requireVerifiedEmail, signToken };
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { APPLICATION_STATUSES } = require('../lib/applicationStatus');
+
+// One entry per status change; the first entry records the initial "applied" state
+const StatusHistorySchema = new mongoose.Schema({
+  from: { type: String, enum: [...APPLICATION_STATUSES, null], default: null },
+  to: { type: String, enum: APPLICATION_STATUSES, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const ApplicationSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  applicant: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  coverLetter: { type: String },
+  resumeUrl: { type: String },
+  resumeFile: { type: mongoose.Schema.Types.ObjectId, ref: 'File', index: true }, // uploaded resume (see routes/uploads.js)
+  resumeText: { type: String }, // optional extracted/posted resume text
+  skills: { type: [String], default: [] }, // snapshot of applicant skills
+  // matching metadata
+  matchScore: { type: Number, default: 0 },
+  matchedSkills: { type: [String], default: [] },
+  missingSkills: { type: [String], default: [] },
+  matchBreakdown: [{ _id: false, factor: String, label: String, weight: Number, score: Number, detail: String }], // see lib/matching.js
+  status: { type: String, enum: APPLICATION_STATUSES, default: 'applied', index: true },
+  statusHistory: { type: [StatusHistorySchema], default: [] },
+  appliedAt: { type: Date, default: Date.now },
+  withdrawnAt: { type: Date },
+  withdrawalReason: { type: String },
+  // set when this is a re-application after a withdrawn/rejected one
+  previousApplication: { type: mongoose.Schema.Types.ObjectId, ref: 'Application' },
+  notified: { type: Boolean, default: false } // whether recruiter was notified
+}, {
+  timestamps: true
+});
+
+// job and applicant lookups are served by the compound prefixes below
+ApplicationSchema.index({ job: 1, applicant: 1 });
+ApplicationSchema.index({ job: 1, status: 1, appliedAt: -1 });
+ApplicationSchema.index({ applicant: 1, appliedAt: -1 });
+// Applicant list pages (cursor sorts in jobsController.listApplicants)
+ApplicationSchema.index({ job: 1, appliedAt: -1, _id: -1 });
+ApplicationSchema.index({ job: 1, matchScore: -1, appliedAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Application', ApplicationSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Single-use token mailed to a user (password reset, email verification). Only the hash is stored.
+const AuthTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+AuthTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// Expired tokens are removed by MongoDB
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// An uploaded file. The bytes live in storage under storageKey; access goes through signed URLs.
+const FileSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  purpose: { type: String, enum: ['resume'], default: 'resume' },
+  originalName: { type: String, maxlength: 255 },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  checksum: { type: String, required: true }, // sha256 hex of the content
+  storageKey: { type: String, required: true, unique: true },
+  // Result of lib/resumeParser.js; text feeds application matching, the rest prefills the profile
+  parsed: {
+    status: { type: String, enum: ['parsed', 'failed', 'unsupported'] },
+    text: { type: String },
+    skills: [String],
+    contact: {
+      name: String,
+      email: String,
+      phone: String,
+      links: [String]
+    },
+    headline: String,
+    summary: String,
+    experience: [{
+      _id: false,
+      title: String,
+      company: String,
+      startDate: Date,
+      endDate: Date,
+      current: Boolean,
+      description: String
+    }],
+    education: [{
+      _id: false,
+      school: String,
+      degree: String,
+      startDate: Date,
+      endDate: Date
+    }],
+    error: String,
+    parsedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+FileSchema.methods.toJSON = function () {
+  // The extracted text can be large and is only needed server-side
+  let parsed = null;
+  if (this.parsed && this.parsed.status) {
+    const { text, ...rest } = this.parsed.toObject ? this.parsed.toObject() : this.parsed;
+    parsed = { ...rest, hasText: !!text };
+  }
+  return {
+    id: this._id,
+    name: this.originalName,
+    mimeType: this.mimeType,
+    size: this.size,
+    checksum: this.checksum,
+    purpose: this.purpose,
+    createdAt: this.createdAt,
+    parsed
+  };
+};
+
+module.exports = mongoose.model('File', FileSchema);
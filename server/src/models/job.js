@@ -1,48 +1,127 @@
 const mongoose = require('mongoose');
+const { JOB_STATUSES } = require('../lib/jobStatus');
+const { geocodeLocation } = require('../lib/geo');
+const { PAY_PERIODS, isCurrency, annualRange } = require('../lib/compensation');
+const { wordStartKeys } = require('../lib/searchKeys');
 
+// Percent of the company
+const EquitySchema = new mongoose.Schema({
+  min: { type: Number, min: 0, max: 100 },
+  max: { type: Number, min: 0, max: 100 }
+}, { _id: false });
+
+const BonusSchema = new mongoose.Schema({
+  targetPercent: { type: Number, min: 0, max: 1000 }, // of base pay
+  description: { type: String, maxlength: 200 }
+}, { _id: false });
+
+// Pay for the role (see lib/compensation.js); 0 means no amount given
 const SalaryRangeSchema = new mongoose.Schema({
   min: { type: Number, default: 0 },
-  max: { type: Number, default: 0 }
+  max: { type: Number, default: 0 },
+  currency: { type: String, uppercase: true, validate: { validator: isCurrency, message: 'Unknown currency {VALUE}' } },
+  period: { type: String, enum: PAY_PERIODS },
+  equity: { type: EquitySchema, default: undefined },
+  bonus: { type: BonusSchema, default: undefined },
+  hidden: { type: Boolean, default: false }, // amounts are used for matching but not shown publicly
+  // min / max as yearly amounts in the base currency, set on save
+  annualMin: { type: Number },
+  annualMax: { type: Number }
+}, { _id: false });
+
+const PointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: { type: [Number] } // [longitude, latitude]
+}, { _id: false });
+
+// Structured form of `location`, geocoded from it on save (see lib/geo.js)
+const GeoSchema = new mongoose.Schema({
+  city: { type: String },
+  region: { type: String },
+  country: { type: String },
+  countryCode: { type: String },
+  point: { type: PointSchema, default: undefined } // absent when only the country is known
+}, { _id: false });
+
+// Search box completion keys (lib/searchKeys.js), set on save
+const SuggestKeysSchema = new mongoose.Schema({
+  title: [String],
+  company: [String],
+  location: [String]
 }, { _id: false });
 
-const ApplicationSchema = new mongoose.Schema({
-  applicant: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  coverLetter: { type: String },
-  resumeUrl: { type: String },
-  resumeText: { type: String }, // optional extracted/posted resume text
-  skills: { type: [String], default: [] }, // snapshot of applicant skills
-  // matching metadata
-  matchScore: { type: Number, default: 0 },
-  matchedSkills: { type: [String], default: [] },
-  status: { type: String, enum: ['applied', 'reviewing', 'rejected', 'hired'], default: 'applied' },
-  appliedAt: { type: Date, default: Date.now },
-  notified: { type: Boolean, default: false } // whether recruiter was notified
-}, { timestamps: true });
+const SUGGEST_FIELDS = ['title', 'company', 'location'];
+
+// Whether a seeker may apply again after withdrawing or being rejected, and how long they must wait
+const ReapplyPolicySchema = new mongoose.Schema({
+  allowAfterWithdrawal: { type: Boolean, default: false },
+  allowAfterRejection: { type: Boolean, default: false },
+  cooldownDays: { type: Number, default: 30, min: 0 }
+}, { _id: false });
 
 const JobSchema = new mongoose.Schema({
   title: { type: String, required: true, index: true },
   company: { type: String, required: true, index: true },
   location: { type: String, default: 'Remote' },
+  geo: { type: GeoSchema, default: undefined },
+  suggestKeys: { type: SuggestKeysSchema, default: undefined, select: false },
   isRemote: { type: Boolean, default: false },
   type: { type: String, enum: ['full-time', 'part-time', 'contract', 'internship', 'temporary'], default: 'full-time' },
   salaryRange: { type: SalaryRangeSchema, default: () => ({}) },
   description: { type: String },
   responsibilities: { type: [String], default: [] },
-  requirements: { type: [String], default: [] },
+  requirements: { type: [String], default: [] }, // must-haves for matching
+  niceToHave: { type: [String], default: [] },
+  minYearsExperience: { type: Number, min: 0 },
   tags: { type: [String], default: [] },
   applyUrl: { type: String },
   postedAt: { type: Date, default: Date.now },
   expiresAt: { type: Date },
 
-  // Who posted the job (recruiter)
-  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Lifecycle (see lib/jobStatus.js)
+  status: { type: String, enum: JOB_STATUSES, default: 'published' },
+  publishAt: { type: Date }, // when a scheduled job goes live
+  closedAt: { type: Date },
+  reapplyPolicy: { type: ReapplyPolicySchema, default: () => ({}) },
 
-  // Applications from seekers (embedded)
-  applications: { type: [ApplicationSchema], default: [] }
+  // Who posted the job (recruiter)
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
 }, {
   timestamps: true
 });
 
+JobSchema.pre('validate', function setGeo(next) {
+  if (this.isNew || this.isModified('location')) {
+    this.geo = geocodeLocation(this.location) || undefined;
+  }
+  next();
+});
+
+JobSchema.pre('validate', function setSuggestKeys(next) {
+  if (this.isNew || SUGGEST_FIELDS.some(f => this.isModified(f))) {
+    this.suggestKeys = Object.fromEntries(SUGGEST_FIELDS.map(f => [f, wordStartKeys(this[f])]));
+  }
+  next();
+});
+
+JobSchema.pre('validate', function setAnnualSalary(next) {
+  if (this.salaryRange && (this.isNew || this.isModified('salaryRange'))) {
+    Object.assign(this.salaryRange, annualRange(this.salaryRange));
+  }
+  next();
+});
+
 JobSchema.index({ title: 'text', company: 'text', description: 'text', tags: 'text' });
+JobSchema.index({ 'geo.point': '2dsphere' });
+JobSchema.index({ postedBy: 1, createdAt: -1 });
+// Search box completions (lib/jobSuggestions.js)
+JobSchema.index({ 'suggestKeys.title': 1 });
+JobSchema.index({ 'suggestKeys.company': 1 });
+JobSchema.index({ 'suggestKeys.location': 1 });
+// Public listing pages (cursor on createdAt, _id)
+JobSchema.index({ createdAt: -1, _id: -1 });
+// Lifecycle worker sweeps
+JobSchema.index({ status: 1, publishAt: 1 });
+JobSchema.index({ status: 1, expiresAt: 1 });
 
 module.exports = mongoose.model('Job', JobSchema);
\ No newline at end of file
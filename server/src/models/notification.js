@@ -12,4 +12,8 @@ const NotificationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Notification pages (cursor on createdAt, _id) and unread counts
+NotificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+NotificationSchema.index({ user: 1, read: 1 });
+
 module.exports = mongoose.model('Notification', NotificationSchema);
\ No newline at end of file
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A job a seeker bookmarked; deadline reminders are sent by workers/savedJobReminders.js
+const SavedJobSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true, index: true },
+  // The expiresAt a reminder was sent for; a new deadline gets a new reminder
+  remindedFor: { type: Date }
+}, {
+  timestamps: true
+});
+
+SavedJobSchema.index({ user: 1, job: 1 }, { unique: true });
+SavedJobSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SavedJob', SavedJobSchema);
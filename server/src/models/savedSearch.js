@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { ALERT_FREQUENCIES } = require('../lib/savedSearches');
+const { PAY_PERIODS } = require('../lib/compensation');
+
+// Same criteria as GET /api/jobs (see lib/jobSearch.js)
+const CriteriaSchema = new mongoose.Schema({
+  q: { type: String, maxlength: 200 },
+  location: { type: String, maxlength: 200 },
+  type: { type: String, enum: ['full-time', 'part-time', 'contract', 'internship', 'temporary'] },
+  remote: { type: Boolean },
+  tag: { type: String, maxlength: 100 },
+  salaryMin: { type: Number, min: 0 },
+  salaryMax: { type: Number, min: 0 },
+  // Units of salaryMin / salaryMax; base currency per year when absent
+  salaryCurrency: { type: String, uppercase: true },
+  salaryPeriod: { type: String, enum: PAY_PERIODS }
+}, { _id: false });
+
+// A seeker's saved job search and its alert schedule (run by workers/savedSearchAlerts.js)
+const SavedSearchSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, maxlength: 100 },
+  criteria: { type: CriteriaSchema, default: () => ({}) },
+  frequency: { type: String, enum: ALERT_FREQUENCIES, default: 'daily' },
+  emailDigest: { type: Boolean, default: false },
+  active: { type: Boolean, default: true }, // false while paused
+  // Jobs published after lastRunAt are new on the next run
+  lastRunAt: { type: Date, default: Date.now },
+  nextRunAt: { type: Date, default: Date.now },
+  lastMatchCount: { type: Number, default: 0 },
+  lastNotifiedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+SavedSearchSchema.index({ active: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
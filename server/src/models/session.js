@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The refresh token rotates on every use; only hashes are stored.
+const SessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true },
+  previousTokenHash: { type: String }, // presenting this again means the token was stolen and replayed
+  userAgent: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
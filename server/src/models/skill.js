@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { skillKeys } = require('../lib/skillTaxonomy');
+
+// One canonical skill. Job tags/requirements and profile/application skills are rewritten to `name`
+// when they match the name or any alias (see lib/skills.js).
+const SkillSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  aliases: [{ type: String, trim: true }],
+  category: { type: String, trim: true }, // e.g. 'Frontend', 'Databases'
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill' }, // broader skill, e.g. React -> JavaScript
+  // Name used for free-text detection? false for names that are also common words ("Go")
+  matchName: { type: Boolean, default: true },
+  // Normalised forms of name and aliases; unique so one spelling can't map to two skills
+  keys: [{ type: String }]
+}, {
+  timestamps: true
+});
+
+SkillSchema.pre('validate', function setKeys(next) {
+  this.keys = skillKeys(this);
+  next();
+});
+
+SkillSchema.index({ keys: 1 }, { unique: true });
+SkillSchema.index({ category: 1, name: 1 });
+
+module.exports = mongoose.model('Skill', SkillSchema);
@@ -1,17 +1,98 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Seeker profile sections. Dates are stored as Date; month precision is enough for the UI.
+const ExperienceSchema = new mongoose.Schema({
+  title: { type: String, required: true, maxlength: 200 },
+  company: { type: String, required: true, maxlength: 200 },
+  location: { type: String, maxlength: 200 },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date }, // empty while current
+  current: { type: Boolean, default: false },
+  description: { type: String, maxlength: 4000 }
+});
+
+const EducationSchema = new mongoose.Schema({
+  school: { type: String, required: true, maxlength: 200 },
+  degree: { type: String, maxlength: 200 },
+  field: { type: String, maxlength: 200 },
+  startDate: { type: Date },
+  endDate: { type: Date },
+  description: { type: String, maxlength: 2000 }
+});
+
+const LinkSchema = new mongoose.Schema({
+  type: { type: String, enum: ['linkedin', 'github', 'portfolio', 'website', 'other'], default: 'other' },
+  label: { type: String, maxlength: 100 },
+  url: { type: String, required: true, maxlength: 500 }
+}, { _id: false });
+
+const CertificationSchema = new mongoose.Schema({
+  name: { type: String, required: true, maxlength: 200 },
+  issuer: { type: String, maxlength: 200 },
+  issuedAt: { type: Date },
+  expiresAt: { type: Date },
+  credentialId: { type: String, maxlength: 200 },
+  url: { type: String, maxlength: 500 }
+});
+
 const UserSchema = new mongoose.Schema({
   name: { type: String, required: true, maxlength: 200 },
   email: { type: String, required: true, unique: true, lowercase: true, index: true },
   password: { type: String, required: true },
   role: { type: String, enum: ['seeker', 'recruiter', 'admin'], default: 'seeker' },
   company: { type: String }, // optional for recruiters
-  bio: { type: String }
+  bio: { type: String },
+
+  // Profile (mainly seekers); skills also seed application matching
+  headline: { type: String, maxlength: 200 },
+  location: { type: String, maxlength: 200 },
+  phone: { type: String, maxlength: 50 },
+  skills: [{ type: String, maxlength: 100 }],
+  resumeUrl: { type: String },
+  resumeFile: { type: mongoose.Schema.Types.ObjectId, ref: 'File' }, // default resume for applications
+  experience: [ExperienceSchema],
+  education: [EducationSchema],
+  links: [LinkSchema],
+  certifications: [CertificationSchema],
+  // What the seeker is looking for; used by matching (location, salary) and recommendations
+  preferences: {
+    locations: [{ type: String, maxlength: 200 }],
+    remote: { type: String, enum: ['open', 'only', 'no'], default: 'open' }, // open to remote, remote only, on-site only
+    jobTypes: [{ type: String, enum: ['full-time', 'part-time', 'contract', 'internship', 'temporary'] }],
+    minSalary: { type: Number, min: 0 }
+  },
+
+  // Recruiter candidate search: seekers are only searchable once they opt in, and choose what is shown
+  availability: { type: String, enum: ['immediately', 'within-month', 'within-3-months', 'not-looking'] },
+  privacy: {
+    discoverable: { type: Boolean, default: false },
+    showName: { type: Boolean, default: true }, // name and links; hidden profiles appear anonymised
+    showContact: { type: Boolean, default: false }, // email and phone
+    showResume: { type: Boolean, default: false } // recruiters may download resumeFile
+  },
+  // Derived on profile save for search: total years of experience and the default resume's text
+  yearsExperience: { type: Number },
+  resumeText: { type: String, select: false },
+  // resumeText while privacy.showResume is on, otherwise unset; only this copy is text-searchable
+  resumeSearchText: { type: String, select: false },
+
+  // Jobs the seeker hid from their recommendations
+  dismissedJobs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job' }],
+
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date }
 }, {
   timestamps: true
 });
 
+// Candidate search (one text index per collection)
+UserSchema.index(
+  { headline: 'text', skills: 'text', bio: 'text', resumeSearchText: 'text' },
+  { name: 'candidate_search', weights: { skills: 5, headline: 4, bio: 1, resumeSearchText: 1 } }
+);
+UserSchema.index({ role: 1, 'privacy.discoverable': 1, updatedAt: -1 });
+
 // Hash password before saving
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/applicationsController');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+
+// GET /api/applications/mine - seeker's application tracker
+router.get('/mine', authenticate, authorizeRoles('seeker'), controller.listMine);
+
+// POST /api/applications/:id/withdraw - seeker withdraws their own application
+router.post('/:id/withdraw', authenticate, authorizeRoles('seeker'), controller.withdraw);
+
+module.exports = router;
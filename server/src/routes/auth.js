@@ -12,4 +12,23 @@ router.post('/login', controller.login);
 // GET /api/auth/me
 router.get('/me', authenticate, controller.me);
 
+// POST /api/auth/refresh - rotate refresh token (cookie) and get a new access token
+router.post('/refresh', controller.refresh);
+
+// POST /api/auth/logout - revoke the current session
+router.post('/logout', controller.logout);
+
+// Email verification: request (resend) a link, then confirm with the token from it
+router.post('/verify-email/request', authenticate, controller.requestEmailVerification);
+router.post('/verify-email', controller.verifyEmail);
+
+// Password reset: request a link by email, then set a new password with the token
+router.post('/forgot-password', controller.forgotPassword);
+router.post('/reset-password', controller.resetPassword);
+
+// Active sessions (one per signed-in device)
+router.get('/sessions', authenticate, controller.listSessions);
+router.delete('/sessions', authenticate, controller.revokeOtherSessions);
+router.delete('/sessions/:id', authenticate, controller.revokeSessionById);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const controller = require('../controllers/candidatesController');
+
+// Recruiters search the talent pool of discoverable seekers
+router.get('/', authenticate, authorizeRoles('recruiter', 'admin'), controller.searchCandidates);
+
+module.exports = router;
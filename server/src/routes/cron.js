@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { runWorkers } = require('../workers');
+
+// Vercel cron sends "Authorization: Bearer <CRON_SECRET>"; refuse to run without a configured secret
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Authorization required' });
+  }
+  next();
+}
+
+// GET /api/cron/run - run all background workers once
+router.get('/run', requireCronSecret, async (req, res, next) => {
+  try {
+    const results = await runWorkers();
+    res.json({ results });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/jobsController');
-const { authenticate, authorizeRoles } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate, authorizeRoles, requireVerifiedEmail } = require('../middleware/auth');
 
 // Public listing and read
 router.get('/', controller.getJobs);
-router.get('/:id', controller.getJobById);
+
+// Search box completions (must precede /:id)
+router.get('/suggest', controller.suggestJobs);
+
+// Filter counts for the listing (must precede /:id)
+router.get('/facets', controller.getJobFacets);
+
+// Pins for the map view (must precede /:id)
+router.get('/map', controller.getJobMap);
+
+// Recruiter's own jobs with applicant stats (must precede /:id)
+router.get('/mine', authenticate, authorizeRoles('recruiter', 'admin'), controller.getMyJobs);
+
+// Seeker's personalised recommendations (must precede /:id)
+router.get('/recommended', authenticate, authorizeRoles('seeker'), controller.getRecommendedJobs);
+
+// Seeker's bookmarked jobs (must precede /:id)
+router.get('/saved', authenticate, authorizeRoles('seeker'), controller.getSavedJobs);
+
+router.get('/:id', optionalAuthenticate, controller.getJobById);
+router.get('/:id/similar', optionalAuthenticate, controller.getSimilarJobs);
+
+// Seekers hide jobs from their recommendations (and undo it)
+router.post('/:id/dismiss', authenticate, authorizeRoles('seeker'), controller.dismissJob);
+router.delete('/:id/dismiss', authenticate, authorizeRoles('seeker'), controller.undismissJob);
+
+// Seekers bookmark jobs for later (and remove them)
+router.post('/:id/save', authenticate, authorizeRoles('seeker'), controller.saveJob);
+router.delete('/:id/save', authenticate, authorizeRoles('seeker'), controller.unsaveJob);
+
+// Recruiter changes below require a verified email address
 
 // Recruiters (and admin) create jobs
-router.post('/', authenticate, authorizeRoles('recruiter', 'admin'), controller.createJob);
+router.post('/', authenticate, authorizeRoles('recruiter', 'admin'), requireVerifiedEmail, controller.createJob);
 
 // Update/delete - only recruiter who posted or admin
-router.put('/:id', authenticate, authorizeRoles('recruiter', 'admin'), controller.updateJob);
-router.delete('/:id', authenticate, authorizeRoles('recruiter', 'admin'), controller.deleteJob);
+router.put('/:id', authenticate, authorizeRoles('recruiter', 'admin'), requireVerifiedEmail, controller.updateJob);
+router.delete('/:id', authenticate, authorizeRoles('recruiter', 'admin'), requireVerifiedEmail, controller.deleteJob);
+
+// Lifecycle: draft, scheduled, published, paused, closed, archived
+router.patch('/:id/status', authenticate, authorizeRoles('recruiter', 'admin'), requireVerifiedEmail, controller.updateJobStatus);
 
 // Seekers apply to job
 router.post('/:id/apply', authenticate, authorizeRoles('seeker'), controller.applyToJob);
@@ -20,4 +53,7 @@ router.post('/:id/apply', authenticate, authorizeRoles('seeker'), controller.app
 // Recruiter can view applicants for their job
 router.get('/:id/applicants', authenticate, authorizeRoles('recruiter', 'admin'), controller.listApplicants);
 
+// Recruiter moves an application through the status pipeline
+router.patch('/:id/applications/:appId', authenticate, authorizeRoles('recruiter', 'admin'), requireVerifiedEmail, controller.updateApplicationStatus);
+
 module.exports = router;
\ No newline at end of file
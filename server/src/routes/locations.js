@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/locationsController');
+
+// Public: place names known to the offline gazetteer
+router.get('/suggest', controller.suggest);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { authenticate } = require('../middleware/auth');
 const controller = require('../controllers/notificationsController');
 
 router.get('/', authenticate, controller.listNotifications);
+router.post('/read-all', authenticate, controller.markAllRead);
 router.post('/:id/read', authenticate, controller.markRead);
 
 module.exports = router;
\ No newline at end of file
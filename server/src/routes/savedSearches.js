@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const controller = require('../controllers/savedSearchesController');
+
+// Seekers manage their own saved searches / job alerts
+router.get('/', authenticate, authorizeRoles('seeker'), controller.listSavedSearches);
+router.post('/', authenticate, authorizeRoles('seeker'), controller.createSavedSearch);
+router.patch('/:id', authenticate, authorizeRoles('seeker'), controller.updateSavedSearch);
+router.delete('/:id', authenticate, authorizeRoles('seeker'), controller.deleteSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+const controller = require('../controllers/skillsController');
+
+// Public: browse the taxonomy and autocomplete skill inputs
+router.get('/', controller.listSkills);
+router.get('/suggest', controller.suggest);
+
+// Admins manage canonical names, aliases and categories
+router.post('/', authenticate, authorizeRoles('admin'), controller.createSkill);
+router.put('/:id', authenticate, authorizeRoles('admin'), controller.updateSkill);
+router.delete('/:id', authenticate, authorizeRoles('admin'), controller.deleteSkill);
+
+module.exports = router;
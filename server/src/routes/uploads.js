@@ -1,31 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// ensure uploads/resumes exists
-const uploadDir = path.join(__dirname, '..', 'uploads', 'resumes');
-fs.mkdirSync(uploadDir, { recursive: true });
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname);
-    const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}${ext}`;
-    cb(null, name);
+const { authenticate } = require('../middleware/auth');
+const controller = require('../controllers/uploadsController');
+
+const MAX_RESUME_BYTES = 8 * 1024 * 1024;
+
+// Files are kept in memory just long enough to checksum and store them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RESUME_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!controller.RESUME_TYPES[file.mimetype]) {
+      const err = new Error('Unsupported file type. Please upload PDF, DOC or DOCX.');
+      err.status = 400;
+      return cb(err);
+    }
+    cb(null, true);
   }
 });
 
-const upload = multer({ storage });
+// Turn multer errors into the usual { error } responses
+function singleFile(field) {
+  return (req, res, next) => upload.single(field)(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'File too large. Max size is 8 MB.' });
+    if (err instanceof multer.MulterError || err.status === 400) return res.status(400).json({ error: err.message });
+    next(err);
+  });
+}
 
-router.post('/resume', upload.single('file'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'File required' });
-  // return accessible URL path
-  const url = `/uploads/resumes/${req.file.filename}`;
-  res.json({ url });
-});
+// POST /api/uploads/resume
+router.post('/resume', authenticate, singleFile('file'), controller.uploadResume);
+
+// GET /api/uploads/files/:id - metadata and a short-lived download URL
+router.get('/files/:id', authenticate, controller.getFileUrl);
+
+// GET /api/uploads/files/:id/download - signed URL target
+router.get('/files/:id/download', controller.downloadFile);
+
+// DELETE /api/uploads/files/:id
+router.delete('/files/:id', authenticate, controller.deleteFile);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
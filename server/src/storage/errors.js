@@ -0,0 +1,9 @@
+// Drivers normalise "object does not exist" to this error so callers can answer 404
+function notFoundError(key) {
+  const err = new Error(`Stored file not found: ${key}`);
+  err.code = 'NOT_FOUND';
+  err.status = 404;
+  return err;
+}
+
+module.exports = { notFoundError };
@@ -0,0 +1,31 @@
+/**
+ * server/src/storage/index.js
+ *
+ * Storage adapter for uploaded files, selected with STORAGE_DRIVER ("local" or "s3").
+ * Every driver implements:
+ * - put(key, body, { contentType })            store bytes under key
+ * - createReadStream(key)                       Promise<Readable>; rejects with err.code 'NOT_FOUND'
+ * - delete(key)                                 remove the object (missing keys are ignored)
+ * - getSignedUrl(key, { fileId, fileName, contentType, expiresIn, baseUrl })
+ *                                               Promise<{ url, expiresAt }> for a time-limited download
+ * Missing objects are reported with storage/errors.js notFoundError.
+ */
+// Loaded lazily so the AWS SDK is only required when the s3 driver is selected
+const DRIVERS = {
+  local: () => require('./local').createLocalStorage(),
+  s3: () => require('./s3').createS3Storage()
+};
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    const create = DRIVERS[driver];
+    if (!create) throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+    storage = create();
+  }
+  return storage;
+}
+
+module.exports = { getStorage };
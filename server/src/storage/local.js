@@ -0,0 +1,53 @@
+/**
+ * server/src/storage/local.js
+ *
+ * Local filesystem driver. Files live under UPLOAD_DIR and are downloaded through the API's
+ * /api/uploads/files/:id/download endpoint with an HMAC-signed link (see lib/signedUrls.js).
+ * Not suitable for serverless deployments, where the filesystem is ephemeral.
+ */
+const fs = require('fs');
+const path = require('path');
+const { signFileUrl } = require('../lib/signedUrls');
+const { notFoundError } = require('./errors');
+
+function createLocalStorage({ root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads') } = {}) {
+  const rootDir = path.resolve(root);
+
+  // Keys come from our own code, but never let one escape the upload root
+  function resolveKey(key) {
+    const full = path.resolve(rootDir, key);
+    if (!full.startsWith(rootDir + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const full = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      await fs.promises.writeFile(full, body);
+    },
+
+    async createReadStream(key) {
+      const full = resolveKey(key);
+      try {
+        await fs.promises.access(full, fs.constants.R_OK);
+      } catch {
+        throw notFoundError(key);
+      }
+      return fs.createReadStream(full);
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async getSignedUrl(key, { fileId, expiresIn, baseUrl = '' }) {
+      const { path: urlPath, expiresAt } = signFileUrl(fileId, expiresIn);
+      return { url: `${baseUrl.replace(/\/$/, '')}${urlPath}`, expiresAt };
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
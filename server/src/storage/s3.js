@@ -0,0 +1,85 @@
+/**
+ * server/src/storage/s3.js
+ *
+ * S3-compatible driver (AWS S3, MinIO, R2, ...). Downloads use presigned GetObject URLs that point
+ * straight at the bucket, so file bytes never pass through the API.
+ *
+ * Env vars:
+ * - S3_BUCKET (required)
+ * - S3_REGION (default "us-east-1")
+ * - S3_ENDPOINT (for MinIO etc., e.g. http://localhost:9000)
+ * - S3_FORCE_PATH_STYLE ("true" for MinIO)
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (otherwise the default AWS credential chain is used)
+ * - S3_KEY_PREFIX (optional prefix for every object key)
+ */
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { notFoundError } = require('./errors');
+const { SIGNED_URL_TTL_SECONDS } = require('../lib/signedUrls');
+
+function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  keyPrefix = process.env.S3_KEY_PREFIX || ''
+} = {}) {
+  if (!bucket) throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = key => `${keyPrefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    async createReadStream(key) {
+      try {
+        const out = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return out.Body;
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) throw notFoundError(key);
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      // S3 treats deleting a missing key as success
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    async getSignedUrl(key, { fileName, contentType, expiresIn = SIGNED_URL_TTL_SECONDS }) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        ResponseContentType: contentType,
+        ResponseContentDisposition: fileName ? `inline; filename="${fileName}"` : undefined
+      });
+      const url = await getSignedUrl(client, command, { expiresIn });
+      return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+    }
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,27 @@
+const Joi = require('joi');
+const { APPLICATION_STATUSES } = require('../lib/applicationStatus');
+
+const updateStatusSchema = Joi.object({
+  status: Joi.string().valid(...APPLICATION_STATUSES).required(),
+  note: Joi.string().max(1000).optional().allow('')
+});
+
+const withdrawSchema = Joi.object({
+  reason: Joi.string().max(1000).optional().allow('')
+});
+
+// GET /api/jobs/:id/applicants; status is a comma-separated list
+const listApplicantsSchema = Joi.object({
+  status: Joi.string().custom((value, helpers) => {
+    const statuses = value.split(',').map(s => s.trim()).filter(Boolean);
+    if (statuses.some(s => !APPLICATION_STATUSES.includes(s))) return helpers.error('any.invalid');
+    return statuses;
+  }),
+  sort: Joi.string().valid('newest', 'oldest', 'match').default('newest'),
+  q: Joi.string().trim().max(100).allow('').default(''),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(1000),
+  includeTotal: Joi.boolean().default(false)
+});
+
+module.exports = { updateStatusSchema, withdrawSchema, listApplicantsSchema };
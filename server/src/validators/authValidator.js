@@ -14,4 +14,17 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
-module.exports = { registerSchema, loginSchema };
\ No newline at end of file
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required()
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+module.exports = { registerSchema, loginSchema, forgotPasswordSchema, resetPasswordSchema, verifyEmailSchema };
\ No newline at end of file
@@ -0,0 +1,27 @@
+const Joi = require('joi');
+const { AVAILABILITY } = require('./profileValidator');
+
+const commaList = Joi.string().trim().max(500).allow('');
+
+// GET /api/candidates query string
+const searchCandidatesSchema = Joi.object({
+  q: Joi.string().trim().max(200).allow(''),
+  location: Joi.string().trim().max(200).allow(''),
+  availability: commaList.custom((value, helpers) => {
+    const invalid = value.split(',').map(s => s.trim()).filter(s => s && !AVAILABILITY.includes(s));
+    return invalid.length ? helpers.message(`Invalid availability: ${invalid.join(', ')}`) : value;
+  }),
+  skills: commaList,
+  minYears: Joi.number().min(0).max(60),
+  maxYears: Joi.when('minYears', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('minYears')).max(60)
+      .messages({ 'number.min': 'maxYears must not be below minYears' }),
+    otherwise: Joi.number().min(0).max(60)
+  }),
+  jobId: Joi.string().hex().length(24),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+module.exports = { searchCandidatesSchema };
@@ -1,8 +1,38 @@
 const Joi = require('joi');
+const { JOB_STATUSES, INITIAL_JOB_STATUSES } = require('../lib/jobStatus');
+const { PAY_PERIODS, isCurrency, salaryRangeError } = require('../lib/compensation');
 
-const salarySchema = Joi.object({
+const salaryFields = {
   min: Joi.number().min(0).optional(),
-  max: Joi.number().min(0).optional()
+  max: Joi.number().min(0).optional(),
+  currency: Joi.string().trim().uppercase().length(3).custom((value, helpers) => (
+    isCurrency(value) ? value : helpers.message(`Unknown currency "${value}"`)
+  )).optional(),
+  period: Joi.string().valid(...PAY_PERIODS).optional(),
+  // null removes equity / bonus on update
+  equity: Joi.object({
+    min: Joi.number().min(0).max(100).optional(),
+    max: Joi.number().min(0).max(100).optional()
+  }).allow(null).optional(),
+  bonus: Joi.object({
+    targetPercent: Joi.number().min(0).max(1000).optional(),
+    description: Joi.string().trim().max(200).allow('').optional()
+  }).allow(null).optional(),
+  hidden: Joi.boolean().optional(),
+  // Computed by the server; dropped when a job is sent back as it was read
+  annualMin: Joi.any().strip(),
+  annualMax: Joi.any().strip()
+};
+
+const salarySchema = Joi.object(salaryFields).custom((value, helpers) => {
+  const message = salaryRangeError(value);
+  return message ? helpers.message(message) : value;
+}).optional();
+
+const reapplyPolicySchema = Joi.object({
+  allowAfterWithdrawal: Joi.boolean().optional(),
+  allowAfterRejection: Joi.boolean().optional(),
+  cooldownDays: Joi.number().integer().min(0).max(365).optional()
 }).optional();
 
 const createJobSchema = Joi.object({
@@ -15,11 +45,41 @@ const createJobSchema = Joi.object({
   description: Joi.string().optional().allow(''),
   responsibilities: Joi.array().items(Joi.string()).optional(),
   requirements: Joi.array().items(Joi.string()).optional(),
+  niceToHave: Joi.array().items(Joi.string()).optional(),
+  minYearsExperience: Joi.number().min(0).max(50).allow(null).optional(),
   tags: Joi.array().items(Joi.string()).optional(),
   applyUrl: Joi.string().uri().optional(),
-  expiresAt: Joi.date().optional()
+  expiresAt: Joi.date().optional(),
+  reapplyPolicy: reapplyPolicySchema,
+  status: Joi.string().valid(...INITIAL_JOB_STATUSES).optional(),
+  publishAt: Joi.when('status', {
+    is: 'scheduled',
+    then: Joi.date().greater('now').required(),
+    otherwise: Joi.date().optional()
+  })
 });
 
-const updateJobSchema = createJobSchema.min(1);
+// Status changes go through PATCH /:id/status so transitions are enforced
+// salaryRange may be partial here; the controller checks it once merged with the stored one
+const updateJobSchema = createJobSchema.keys({
+  salaryRange: Joi.object(salaryFields).optional(),
+  status: Joi.forbidden(),
+  publishAt: Joi.date().optional()
+}).min(1);
+
+const updateJobStatusSchema = Joi.object({
+  status: Joi.string().valid(...JOB_STATUSES).required(),
+  publishAt: Joi.when('status', {
+    is: 'scheduled',
+    then: Joi.date().greater('now').required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+// GET /api/jobs/suggest; limit is per suggestion type
+const suggestJobsSchema = Joi.object({
+  q: Joi.string().trim().max(100).allow('').default(''),
+  limit: Joi.number().integer().min(1).max(10).default(5)
+});
 
-module.exports = { createJobSchema, updateJobSchema };
\ No newline at end of file
+module.exports = { createJobSchema, updateJobSchema, updateJobStatusSchema, suggestJobsSchema };
\ No newline at end of file
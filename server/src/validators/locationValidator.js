@@ -0,0 +1,8 @@
+const Joi = require('joi');
+
+const suggestLocationsSchema = Joi.object({
+  q: Joi.string().trim().max(100).allow('').default(''),
+  limit: Joi.number().integer().min(1).max(25).default(8)
+});
+
+module.exports = { suggestLocationsSchema };
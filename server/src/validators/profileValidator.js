@@ -0,0 +1,94 @@
+const Joi = require('joi');
+
+const endAfterStart = { 'date.min': '{{#label}} must not be before the start date' };
+
+const url = Joi.string().uri({ scheme: ['http', 'https'] }).max(500);
+
+const experienceSchema = Joi.object({
+  _id: Joi.string().hex().length(24).optional(),
+  title: Joi.string().trim().max(200).required(),
+  company: Joi.string().trim().max(200).required(),
+  location: Joi.string().trim().max(200).allow('').optional(),
+  startDate: Joi.date().required(),
+  current: Joi.boolean().default(false),
+  endDate: Joi.when('current', {
+    is: true,
+    then: Joi.valid(null, '').optional(),
+    otherwise: Joi.date().min(Joi.ref('startDate')).allow(null).optional().messages(endAfterStart)
+  }),
+  description: Joi.string().max(4000).allow('').optional()
+});
+
+const educationSchema = Joi.object({
+  _id: Joi.string().hex().length(24).optional(),
+  school: Joi.string().trim().max(200).required(),
+  degree: Joi.string().trim().max(200).allow('').optional(),
+  field: Joi.string().trim().max(200).allow('').optional(),
+  startDate: Joi.date().allow(null).optional(),
+  endDate: Joi.when('startDate', {
+    is: Joi.date().required(),
+    then: Joi.date().min(Joi.ref('startDate')).allow(null).messages(endAfterStart),
+    otherwise: Joi.date().allow(null)
+  }).optional(),
+  description: Joi.string().max(2000).allow('').optional()
+});
+
+const linkSchema = Joi.object({
+  type: Joi.string().valid('linkedin', 'github', 'portfolio', 'website', 'other').default('other'),
+  label: Joi.string().trim().max(100).allow('').optional(),
+  url: url.required()
+});
+
+const certificationSchema = Joi.object({
+  _id: Joi.string().hex().length(24).optional(),
+  name: Joi.string().trim().max(200).required(),
+  issuer: Joi.string().trim().max(200).allow('').optional(),
+  issuedAt: Joi.date().allow(null).optional(),
+  expiresAt: Joi.when('issuedAt', {
+    is: Joi.date().required(),
+    then: Joi.date().min(Joi.ref('issuedAt')).allow(null)
+      .messages({ 'date.min': '{{#label}} must not be before the issue date' }),
+    otherwise: Joi.date().allow(null)
+  }).optional(),
+  credentialId: Joi.string().trim().max(200).allow('').optional(),
+  url: url.allow('').optional()
+});
+
+const preferencesSchema = Joi.object({
+  locations: Joi.array().items(Joi.string().trim().max(200)).max(20),
+  remote: Joi.string().valid('open', 'only', 'no'),
+  jobTypes: Joi.array().items(Joi.string().valid('full-time', 'part-time', 'contract', 'internship', 'temporary')).unique(),
+  minSalary: Joi.number().min(0).allow(null)
+});
+
+const privacySchema = Joi.object({
+  discoverable: Joi.boolean(),
+  showName: Joi.boolean(),
+  showContact: Joi.boolean(),
+  showResume: Joi.boolean()
+});
+
+const AVAILABILITY = ['immediately', 'within-month', 'within-3-months', 'not-looking'];
+
+// PUT /api/profile — every field optional; arrays replace the stored list as a whole
+const updateProfileSchema = Joi.object({
+  name: Joi.string().trim().max(200),
+  company: Joi.string().trim().max(200).allow(''),
+  bio: Joi.string().max(1000).allow(''),
+  headline: Joi.string().trim().max(200).allow(''),
+  location: Joi.string().trim().max(200).allow(''),
+  phone: Joi.string().trim().max(50).pattern(/^[+\d][\d\s().-]*$/).allow('')
+    .messages({ 'string.pattern.base': 'Phone may only contain digits, spaces and + ( ) . -' }),
+  skills: Joi.array().items(Joi.string().trim().min(1).max(100)).max(100),
+  resumeUrl: Joi.string().max(500).allow(''),
+  resumeFile: Joi.string().hex().length(24).allow(null),
+  experience: Joi.array().items(experienceSchema).max(50),
+  education: Joi.array().items(educationSchema).max(20),
+  links: Joi.array().items(linkSchema).max(20),
+  certifications: Joi.array().items(certificationSchema).max(50),
+  preferences: preferencesSchema,
+  availability: Joi.string().valid(...AVAILABILITY).allow(null),
+  privacy: privacySchema
+}).min(1);
+
+module.exports = { updateProfileSchema, AVAILABILITY };
@@ -0,0 +1,36 @@
+const Joi = require('joi');
+const { ALERT_FREQUENCIES } = require('../lib/savedSearches');
+const { PAY_PERIODS, hasExchangeRate } = require('../lib/compensation');
+
+const criteriaSchema = Joi.object({
+  q: Joi.string().trim().max(200).allow(''),
+  location: Joi.string().trim().max(200).allow(''),
+  type: Joi.string().valid('full-time', 'part-time', 'contract', 'internship', 'temporary').allow('', null),
+  remote: Joi.boolean().allow(null),
+  tag: Joi.string().trim().max(100).allow(''),
+  salaryMin: Joi.number().min(0).allow(null),
+  salaryMax: Joi.number().min(0).allow(null),
+  salaryCurrency: Joi.string().trim().uppercase().length(3).custom((value, helpers) => (
+    hasExchangeRate(value) ? value : helpers.message(`No exchange rate for "${value}"`)
+  )).allow('', null),
+  salaryPeriod: Joi.string().valid(...PAY_PERIODS).allow('', null)
+});
+
+const createSavedSearchSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  criteria: criteriaSchema.required(),
+  frequency: Joi.string().valid(...ALERT_FREQUENCIES).default('daily'),
+  emailDigest: Joi.boolean().default(false),
+  active: Joi.boolean().default(true)
+});
+
+// PATCH: any subset; criteria replace the stored ones as a whole
+const updateSavedSearchSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  criteria: criteriaSchema,
+  frequency: Joi.string().valid(...ALERT_FREQUENCIES),
+  emailDigest: Joi.boolean(),
+  active: Joi.boolean()
+}).min(1);
+
+module.exports = { createSavedSearchSchema, updateSavedSearchSchema };
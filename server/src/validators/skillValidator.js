@@ -0,0 +1,23 @@
+const Joi = require('joi');
+
+const createSkillSchema = Joi.object({
+  name: Joi.string().trim().max(100).pattern(/[a-z0-9]/i).required()
+    .messages({ 'string.pattern.base': 'name must contain a letter or digit' }),
+  aliases: Joi.array().items(Joi.string().trim().max(100)).max(50).optional(),
+  category: Joi.string().trim().max(100).allow('').optional(),
+  parent: Joi.string().hex().length(24).allow(null).optional(),
+  matchName: Joi.boolean().optional()
+});
+
+const updateSkillSchema = createSkillSchema.keys({
+  name: Joi.string().trim().max(100).pattern(/[a-z0-9]/i).optional()
+    .messages({ 'string.pattern.base': 'name must contain a letter or digit' })
+}).min(1);
+
+const suggestSkillsSchema = Joi.object({
+  q: Joi.string().trim().max(100).allow('').default(''),
+  category: Joi.string().trim().max(100).optional(),
+  limit: Joi.number().integer().min(1).max(25).default(10)
+});
+
+module.exports = { createSkillSchema, updateSkillSchema, suggestSkillsSchema };
@@ -0,0 +1,83 @@
+/**
+ * server/src/workers/index.js
+ *
+ * Background tasks. Long-running servers (src/index.js) call startWorkers() to run
+ * each task on an interval; serverless deployments hit GET /api/cron/run instead,
+ * which calls runWorkers() once (see routes/cron.js and vercel.json "crons").
+ *
+ * Env vars:
+ * - WORKERS_DISABLED=true to skip the in-process intervals
+ * - JOB_LIFECYCLE_INTERVAL_MS (default 60000)
+ * - SAVED_SEARCH_ALERTS_INTERVAL_MS (default 300000; how often instant alerts are checked)
+ * - SAVED_JOB_REMINDERS_INTERVAL_MS (default 3600000)
+ */
+const { sweepJobLifecycle } = require('./jobLifecycle');
+const { runSavedSearchAlerts } = require('./savedSearchAlerts');
+const { sendSavedJobReminders } = require('./savedJobReminders');
+
+const TASKS = [
+  {
+    name: 'jobLifecycle',
+    run: () => sweepJobLifecycle(),
+    intervalMs: Number(process.env.JOB_LIFECYCLE_INTERVAL_MS) || 60000
+  },
+  {
+    // After jobLifecycle so jobs published in the same run are included
+    name: 'savedSearchAlerts',
+    run: () => runSavedSearchAlerts(),
+    intervalMs: Number(process.env.SAVED_SEARCH_ALERTS_INTERVAL_MS) || 5 * 60 * 1000
+  },
+  {
+    name: 'savedJobReminders',
+    run: () => sendSavedJobReminders(),
+    intervalMs: Number(process.env.SAVED_JOB_REMINDERS_INTERVAL_MS) || 60 * 60 * 1000
+  }
+];
+
+async function runTask(task) {
+  try {
+    const result = await task.run();
+    return { name: task.name, ok: true, result };
+  } catch (err) {
+    console.error(`[workers] ${task.name} failed:`, err && (err.stack || err));
+    return { name: task.name, ok: false, error: err && err.message };
+  }
+}
+
+// Run every task once, sequentially
+async function runWorkers() {
+  const results = [];
+  for (const task of TASKS) {
+    results.push(await runTask(task));
+  }
+  return results;
+}
+
+// Schedule every task on its interval; returns a stop() function
+function startWorkers() {
+  if (process.env.WORKERS_DISABLED === 'true') {
+    console.info('[workers] disabled via WORKERS_DISABLED');
+    return () => {};
+  }
+
+  const timers = TASKS.map((task) => {
+    let running = false;
+    const timer = setInterval(async () => {
+      // skip a tick rather than overlap a slow run
+      if (running) return;
+      running = true;
+      try {
+        await runTask(task);
+      } finally {
+        running = false;
+      }
+    }, task.intervalMs);
+    timer.unref();
+    console.info(`[workers] ${task.name} every ${task.intervalMs}ms`);
+    return timer;
+  });
+
+  return () => timers.forEach(clearInterval);
+}
+
+module.exports = { runWorkers, startWorkers };
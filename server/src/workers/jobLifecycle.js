@@ -0,0 +1,73 @@
+/**
+ * server/src/workers/jobLifecycle.js
+ *
+ * Publishes scheduled jobs whose publishAt has passed and closes published/paused
+ * jobs whose expiresAt has passed, notifying the poster each time.
+ * Each job is claimed with a conditional update so concurrent sweeps (several
+ * instances, or the interval racing the cron endpoint) never handle a job twice.
+ */
+const Job = require('../models/job');
+const Notification = require('../models/notification');
+
+const BATCH_SIZE = 200;
+
+async function notifyPoster(job, type, title, body) {
+  try {
+    await new Notification({
+      user: job.postedBy,
+      type,
+      title,
+      body,
+      link: `/jobs/${job._id}`,
+      meta: { jobId: job._id, status: job.status }
+    }).save();
+  } catch (nerr) {
+    console.error(`Failed to create ${type} notification:`, nerr);
+  }
+}
+
+async function publishScheduled(now) {
+  const due = await Job.find({ status: 'scheduled', publishAt: { $lte: now } })
+    .select('_id').limit(BATCH_SIZE).lean();
+
+  let published = 0;
+  for (const { _id } of due) {
+    const job = await Job.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      { $set: { status: 'published', postedAt: now }, $unset: { publishAt: '' } },
+      { new: true }
+    );
+    if (!job) continue;
+    published += 1;
+    await notifyPoster(job, 'job_published', `Your job "${job.title}" is now live`,
+      `"${job.title}" was published as scheduled and is accepting applications.`);
+  }
+  return published;
+}
+
+async function closeExpired(now) {
+  const due = await Job.find({ status: { $in: ['published', 'paused', null] }, expiresAt: { $lte: now } })
+    .select('_id').limit(BATCH_SIZE).lean();
+
+  let closed = 0;
+  for (const { _id } of due) {
+    const job = await Job.findOneAndUpdate(
+      { _id, status: { $in: ['published', 'paused', null] }, expiresAt: { $lte: now } },
+      { $set: { status: 'closed', closedAt: now } },
+      { new: true }
+    );
+    if (!job) continue;
+    closed += 1;
+    await notifyPoster(job, 'job_closed', `Your job "${job.title}" has closed`,
+      `"${job.title}" reached its expiry date and no longer accepts applications.`);
+  }
+  return closed;
+}
+
+async function sweepJobLifecycle(now = new Date()) {
+  const published = await publishScheduled(now);
+  const closed = await closeExpired(now);
+  return { published, closed };
+}
+
+module.exports = { sweepJobLifecycle };
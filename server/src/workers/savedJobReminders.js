@@ -0,0 +1,83 @@
+/**
+ * server/src/workers/savedJobReminders.js
+ *
+ * Reminds seekers about saved jobs that are closing soon (see isJobClosingSoon in lib/jobStatus.js),
+ * unless they already applied. Each saved job records the deadline it was reminded about, so a
+ * reminder goes out once per deadline and again only if the recruiter moves expiresAt.
+ * Reminders are claimed with a conditional update so concurrent runs never send one twice.
+ * Every run works through all closing-soon jobs and their waiting saves in batches, so none are left
+ * behind however many there are.
+ */
+const Job = require('../models/job');
+const SavedJob = require('../models/savedJob');
+const Application = require('../models/application');
+const Notification = require('../models/notification');
+const { liveJobFilter, CLOSING_SOON_MS } = require('../lib/jobStatus');
+const { afterFilter, toMongoSort } = require('../lib/cursor');
+
+const BATCH_SIZE = 200;
+const CLOSING_SORT = [['expiresAt', 1], ['_id', 1]];
+
+function daysLeft(expiresAt, now) {
+  const days = Math.ceil((new Date(expiresAt) - now) / (24 * 60 * 60 * 1000));
+  return days <= 1 ? 'in the next day' : `in ${days} days`;
+}
+
+async function remindSaver(job, saved, now) {
+  const claimed = await SavedJob.findOneAndUpdate(
+    { _id: saved._id, remindedFor: { $ne: job.expiresAt } },
+    { $set: { remindedFor: job.expiresAt } }
+  );
+  if (!claimed) return false;
+
+  // Nothing to remind about once they applied
+  const applied = await Application.exists({ job: job._id, applicant: saved.user, status: { $ne: 'withdrawn' } });
+  if (applied) return false;
+
+  try {
+    await new Notification({
+      user: saved.user,
+      type: 'saved_job_deadline',
+      title: `"${job.title}" closes ${daysLeft(job.expiresAt, now)}`,
+      body: `A job you saved at ${job.company} stops accepting applications on ${job.expiresAt.toDateString()}.`,
+      link: `/jobs/${job._id}`,
+      meta: { jobId: job._id, expiresAt: job.expiresAt }
+    }).save();
+    return true;
+  } catch (nerr) {
+    console.error('Failed to create saved_job_deadline notification:', nerr);
+    return false;
+  }
+}
+
+// Saves still waiting for this deadline drop out once claimed, so each batch picks up where the last ended
+async function remindSavers(job, now) {
+  let reminded = 0;
+  for (;;) {
+    const pending = await SavedJob.find({ job: job._id, remindedFor: { $ne: job.expiresAt } })
+      .select('_id user').limit(BATCH_SIZE).lean();
+    for (const saved of pending) {
+      if (await remindSaver(job, saved, now)) reminded += 1;
+    }
+    if (pending.length < BATCH_SIZE) return reminded;
+  }
+}
+
+async function sendSavedJobReminders(now = new Date()) {
+  const closingSoon = [liveJobFilter(now), { expiresAt: { $lte: new Date(now.getTime() + CLOSING_SOON_MS) } }];
+
+  let reminded = 0;
+  let last = null;
+  for (;;) {
+    // Batches of jobs in deadline order, each starting after the last job of the previous one
+    const after = last ? [afterFilter(CLOSING_SORT, [last.expiresAt, last._id])] : [];
+    const closing = await Job.find({ $and: [...closingSoon, ...after] })
+      .select('_id title company expiresAt').sort(toMongoSort(CLOSING_SORT)).limit(BATCH_SIZE).lean();
+
+    for (const job of closing) reminded += await remindSavers(job, now);
+    if (closing.length < BATCH_SIZE) return { reminded };
+    last = closing[closing.length - 1];
+  }
+}
+
+module.exports = { sendSavedJobReminders };
@@ -0,0 +1,128 @@
+/**
+ * server/src/workers/savedSearchAlerts.js
+ *
+ * Runs every due saved search (see lib/savedSearches.js for the schedule) against jobs published
+ * since its previous run and delivers the matches as one in-app notification, plus an email digest
+ * when the seeker asked for one and their address is verified.
+ * Each search is claimed with a conditional update on nextRunAt so concurrent sweeps never
+ * deliver the same alert twice. Due searches are taken in nextRunAt order, in batches until none are
+ * left, so a backlog can't keep any of them waiting.
+ */
+const SavedSearch = require('../models/savedSearch');
+const Job = require('../models/job');
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const { sendEmail } = require('../controllers/notificationsController');
+const { buildJobFilter } = require('../lib/jobSearch');
+const { liveJobFilter } = require('../lib/jobStatus');
+const { nextAlertRun, searchPath } = require('../lib/savedSearches');
+const { clientUrl, escapeHtml } = require('../lib/mail');
+const { afterFilter, toMongoSort } = require('../lib/cursor');
+
+const BATCH_SIZE = 200;
+const DUE_SORT = [['nextRunAt', 1], ['_id', 1]];
+// Jobs listed in one notification / email; the count covers all of them
+const MAX_JOBS_PER_ALERT = 10;
+
+function describeJob(job) {
+  return `${job.title} at ${job.company}${job.isRemote ? ' (remote)' : job.location ? ` (${job.location})` : ''}`;
+}
+
+async function emailDigest(user, search, jobs, total) {
+  const lines = jobs.map(job => ({ text: describeJob(job), url: clientUrl(`/jobs/${job._id}`) }));
+  const more = total > jobs.length ? total - jobs.length : 0;
+  const manageUrl = clientUrl('/alerts');
+  await sendEmail({
+    to: user.email,
+    subject: `${total} new job${total === 1 ? '' : 's'} for "${search.name}"`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `New jobs matching your saved search "${search.name}":`,
+      ...lines.map(l => `- ${l.text}: ${l.url}`),
+      ...(more ? [`...and ${more} more: ${clientUrl(searchPath(search.criteria))}`] : []),
+      '',
+      `Manage or pause your alerts: ${manageUrl}`
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>New jobs matching your saved search <strong>${escapeHtml(search.name)}</strong>:</p>` +
+      `<ul>${lines.map(l => `<li><a href="${l.url}">${escapeHtml(l.text)}</a></li>`).join('')}</ul>` +
+      (more ? `<p><a href="${clientUrl(searchPath(search.criteria))}">…and ${more} more</a></p>` : '') +
+      `<p><a href="${manageUrl}">Manage or pause your alerts</a></p>`
+  });
+}
+
+async function deliver(search, since, now) {
+  const filter = {
+    $and: [buildJobFilter(search.criteria || {}), liveJobFilter(now), { postedAt: { $gt: since, $lte: now } }]
+  };
+  const [jobs, total] = await Promise.all([
+    Job.find(filter).sort({ postedAt: -1 }).limit(MAX_JOBS_PER_ALERT).lean(),
+    Job.countDocuments(filter)
+  ]);
+  if (!total) return 0;
+
+  await new Notification({
+    user: search.user,
+    type: 'job_alert',
+    title: `${total} new job${total === 1 ? '' : 's'} for "${search.name}"`,
+    body: jobs.slice(0, 3).map(describeJob).join('; ') + (total > 3 ? ` and ${total - 3} more` : ''),
+    link: searchPath(search.criteria),
+    meta: { savedSearchId: search._id, jobIds: jobs.map(j => j._id), total }
+  }).save();
+
+  if (search.emailDigest) {
+    const user = await User.findById(search.user, 'name email emailVerified').lean();
+    // Digests only go to confirmed addresses
+    if (user && user.emailVerified) {
+      try {
+        await emailDigest(user, search, jobs, total);
+      } catch (err) {
+        console.error(`[alerts] email for saved search ${search._id} failed:`, err.message || err);
+      }
+    }
+  }
+  return total;
+}
+
+async function runSavedSearch(_id, now) {
+  const search = await SavedSearch.findById(_id);
+  if (!search || !search.active) return null;
+  const since = search.lastRunAt || search.createdAt;
+
+  const claimed = await SavedSearch.findOneAndUpdate(
+    { _id, active: true, nextRunAt: search.nextRunAt },
+    { $set: { lastRunAt: now, nextRunAt: nextAlertRun(search.frequency, now) } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const total = await deliver(claimed, since, now);
+  if (total) await SavedSearch.updateOne({ _id }, { $set: { lastMatchCount: total, lastNotifiedAt: now } });
+  return total;
+}
+
+async function runSavedSearchAlerts(now = new Date()) {
+  // Instant searches are due again at once (nextRunAt = now); lastRunAt keeps them to one run per sweep
+  const due = { active: true, nextRunAt: { $lte: now }, $or: [{ lastRunAt: null }, { lastRunAt: { $lt: now } }] };
+
+  let checked = 0;
+  let notified = 0;
+  let last = null;
+  for (;;) {
+    const after = last ? [afterFilter(DUE_SORT, [last.nextRunAt, last._id])] : [];
+    const batch = await SavedSearch.find({ $and: [due, ...after] })
+      .select('_id nextRunAt').sort(toMongoSort(DUE_SORT)).limit(BATCH_SIZE).lean();
+
+    for (const { _id } of batch) {
+      const total = await runSavedSearch(_id, now);
+      if (total === null) continue;
+      checked += 1;
+      if (total) notified += 1;
+    }
+    if (batch.length < BATCH_SIZE) return { checked, notified };
+    last = batch[batch.length - 1];
+  }
+}
+
+module.exports = { runSavedSearchAlerts };